@@ -1,175 +1,79 @@
 // Background/service worker script.
 // Responsibilities:
 // - Receives OPENAI_MAP_FIELDS requests from the popup
-// - Retrieves the session API key
-// - Calls OpenAI Responses API with: prompt + screenshot + document file
-// - Returns normalized mappings back to the popup
-
-async function getSessionApiKey() {
-  // API key is stored in chrome.storage.session by the popup.
-  // This keeps the key ephemeral (not persisted across browser restarts).
-  const { apiKey } = await chrome.storage.session.get(["apiKey"]);
-  if (!apiKey) throw new Error("API key not set (session). Re-open popup and enter it again.");
-  return apiKey;
-}
-
-function buildSchema() {
-  // Strict JSON schema used to force the model to return machine-readable mappings.
-  // Note: `value` is always a string; special types are encoded as strings.
-  return {
-    type: "object",
-    additionalProperties: false,
-    properties: {
-      mappings: {
-        type: "array",
-        items: {
-          type: "object",
-          additionalProperties: false,
-          properties: {
-            selector: { type: "string" },
-            kind: { type: "string" },
-            value: { type: "string" }
-          },
-          required: ["selector", "kind", "value"]
-        }
-      }
-    },
-    required: ["mappings"]
-  };
-}
-
-
-function buildPrompt({ pageUrl, fields, userRules }) {
-  // Prompt includes:
-  // - Rules about selector usage and value formats
-  // - The current page URL (light context)
-  // - A JSON dump of extracted fields (selector + metadata)
-  return [
-    "Task: Fill a web form using information extracted from the attached document and the provided screenshot of the form.",
-    "Return ONLY JSON that matches the provided schema.",
-    "MUST RESPECT THESE RULES:",
-    "1) Use selectors exactly as provided.",
-    "2) Map only when the document clearly provides the value.",
-    "3) value MUST always be a string. Use conventions:",
-      "   - checkbox: 'true' or 'false'",
-      "   - multi-select: JSON array string like '[\"Option 1\",\"Option 2\"]'",
-      "   - single select: option visible text (or value if provided)",
-      "   - radio: radio visible label text (or value if provided)",
-    "4) Try to fill all fields if possible, but prioritize accuracy over quantity.",
-    "5) If value exists in document Keep values exactly as they should be typed into the field.",
-    "",
-    userRules ? `Extra instructions: ${userRules}` : "",
-    
-    "",
-    `Page: ${pageUrl}`,
-    "",
-    "Fields JSON (each has selector + label/placeholder/name/type):",
-    JSON.stringify(fields)
-  ].filter(Boolean).join("\n");
-}
-
-async function callOpenAI({ apiKey, docBase64, docfilename, pageUrl, fields, screenshotDataUrl, userRules }) {
-  // Calls OpenAI Responses API using structured output (json_schema).
-  const schema = buildSchema();
-  const prompt = buildPrompt({ pageUrl, fields, userRules });
-  const ext = (docfilename || "").split(".").pop().toLowerCase();
-
-  let mime = "application/pdf";
-
-  if (ext === "doc") {
-    mime = "application/msword";
-  } else if (ext === "docx") {
-    mime = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
-  } else if (ext === "pdf") {
-    mime = "application/pdf";
-  }
-
-  // Responses API payload:
-  // - input_text: our instruction + fields list
-  // - input_image: screenshot data URL
-  // - input_file: base64 document as a data URL with inferred mime
-  const body = {
-    model: "gpt-4o-mini",
-    input: [
-      {
-        role: "system",
-        content: [{ type: "input_text", text: "Extract document info from a document and map it to web form fields." }]
-      },
-      {
-        role: "user",
-        content: [
-        { type: "input_text", text: prompt },
-        {
-            type: "input_image",
-            image_url: screenshotDataUrl
-        },
-        {
-            type: "input_file",
-            filename: docfilename || "document",
-            file_data: `data:${mime};base64,${docBase64}`
-        }
-        ]
-      }
-    ],
-    text: {
-        format: {
-            type: "json_schema",
-            name: "field_mappings",
-            strict: true,
-            schema
-        }
-    }
+// - Retrieves the session API key and the selected provider
+// - Calls the provider (mapping.js) with: prompt + screenshot + document text, files and images (or a saved profile)
+// - Runs the popup's fills as jobs that outlive the popup, with progress, timeout and Cancel (jobs.js)
+// - Returns normalized mappings (and optionally extracted profile facts) back to the popup,
+//   with an audit of exactly what was sent
+// - Splits large forms over several requests, estimates their tokens and cost up front and
+//   records what each request used (usage.js)
+// - Drafts answers to essay-style questions for review in the popup (drafts.js)
+// - Asks once more for the fields the page rejected after a fill (corrections.js)
+// - Runs wizard sessions for multi-step forms (wizard.js) and batch fills from a sheet (batch.js)
+// - Fills from the keyboard shortcut, context menu and floating page button, without the popup (quickfill.js)
+// - Starts and ends the on-page picker that limits a fill to part of the page (scope.js)
+
+importScripts("providers.js", "usage.js", "mapping.js", "jobs.js", "profiles.js", "frames.js", "sites.js", "redact.js", "wizard.js", "batch.js", "quickfill.js", "scope.js", "drafts.js", "corrections.js", "fillhistory.js");
+
+// Message types handled here. Popup messages carry tabId; content-script messages
+// use the sender's tab.
+// - OPENAI_MAP_FIELDS (popup) -> { mappings, lowConfidence, audit, profileFacts? }
+// - ESTIMATE_MAP_FIELDS (popup, same payload) -> { requests, input, output, cost, uncountedFiles }
+// - MAP_JOB_START (popup, { payload, context }) -> { jobId }; the answer comes through the job
+// - MAP_JOB_STATUS / MAP_JOB_CANCEL / MAP_JOB_CLEAR (popup) for the tab's job
+// - DRAFT_LONG_ANSWERS (popup) -> { mappings, audit }
+// - CORRECT_INVALID_FIELDS (popup) -> { mappings, audit } for the fields a fill left invalid
+// - WIZARD_START / WIZARD_END / WIZARD_STATUS (popup)
+// - WIZARD_CHECK_STEP / WIZARD_FILL_STEP / WIZARD_DISMISS_STEP / WIZARD_UNDO / WIZARD_END (in-page bar)
+// - BATCH_MAP_COLUMNS / BATCH_START / BATCH_STATUS / BATCH_CLEAR (popup)
+// - BATCH_CHECK (content script in every frame) / BATCH_SUBMITTED (frame that saw the form reset)
+// - BATCH_REFILL / BATCH_SKIP / BATCH_MARK_FAILED / BATCH_STOP (in-page bar and popup)
+// - QUICK_FILL (floating page button) / QUICK_FILL_UNDO (toast)
+// - SCOPE_PICK / SCOPE_STATUS / SCOPE_RESET (popup)
+// - SCOPE_CHANGED (frame being picked in) / SCOPE_DONE / SCOPE_RESET (in-page bar, Esc)
+const MESSAGE_HANDLERS = {
+  OPENAI_MAP_FIELDS: (msg) => mapFieldsWithSelectedProvider(msg.payload),
+  ESTIMATE_MAP_FIELDS: (msg) => estimateMapFields(msg.payload),
+  MAP_JOB_START: (msg, tabId) => startMapJob(tabId, msg),
+  MAP_JOB_STATUS: (msg, tabId) => getMapJobStatus(tabId),
+  MAP_JOB_CANCEL: (msg, tabId) => cancelMapJob(tabId),
+  MAP_JOB_CLEAR: (msg, tabId) => clearMapJob(tabId),
+  CORRECT_INVALID_FIELDS: (msg) => correctInvalidFields(msg.payload),
+  DRAFT_LONG_ANSWERS: (msg) => draftLongAnswers(msg.payload),
+  WIZARD_START: (msg, tabId) => startWizard(tabId, msg.payload),
+  WIZARD_END: (msg, tabId) => endWizard(tabId),
+  WIZARD_STATUS: (msg, tabId) => getWizardStatus(tabId),
+  WIZARD_CHECK_STEP: (msg, tabId) => checkWizardStep(tabId),
+  WIZARD_FILL_STEP: (msg, tabId) => fillWizardStep(tabId),
+  WIZARD_DISMISS_STEP: (msg, tabId) => dismissWizardStep(tabId),
+  WIZARD_UNDO: (msg, tabId) => undoFillInFrames(tabId),
+  BATCH_MAP_COLUMNS: (msg) => suggestBatchColumns(msg.payload),
+  BATCH_START: (msg, tabId) => startBatch(tabId, msg.payload),
+  BATCH_STATUS: (msg, tabId) => getBatchStatus(tabId),
+  BATCH_CLEAR: (msg, tabId) => clearBatch(tabId),
+  BATCH_CHECK: (msg, tabId, sender) => checkBatch(tabId, { loaded: !!msg.loaded, frameId: sender.frameId ?? 0 }),
+  BATCH_SUBMITTED: (msg, tabId) => batchRowSubmitted(tabId, msg.row),
+  BATCH_REFILL: (msg, tabId) => refillBatchRow(tabId),
+  BATCH_SKIP: (msg, tabId) => skipBatchRow(tabId),
+  BATCH_MARK_FAILED: (msg, tabId) => markBatchRowFailed(tabId, msg.row),
+  BATCH_STOP: (msg, tabId) => stopBatch(tabId),
+  QUICK_FILL: (msg, tabId) => quickFill(tabId),
+  QUICK_FILL_UNDO: (msg, tabId) => undoFillInFrames(tabId),
+  SCOPE_PICK: (msg, tabId) => startScopePicker(tabId),
+  SCOPE_CHANGED: (msg, tabId, sender) => scopeChanged(tabId, { exclusive: !!msg.exclusive, frameId: sender.frameId ?? 0 }),
+  SCOPE_DONE: (msg, tabId) => endScopePicker(tabId),
+  SCOPE_STATUS: (msg, tabId) => getScopeCount(tabId),
+  SCOPE_RESET: (msg, tabId) => clearScope(tabId)
 };
-    
-    
-  // Do the network call from the background/service worker.
-  // (The popup is short-lived and is not ideal for long requests.)
-  const resp = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${apiKey}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(body)
-  });
-
-  if (!resp.ok) {
-    const t = await resp.text().catch(() => "");
-    throw new Error(`OpenAI error ${resp.status}: ${t || resp.statusText}`);
-  }
-
-  const data = await resp.json();
-
-  // Prefer output_text; fallback to scanning output content.
-  // (Some responses may nest the text in the output array.)
-  const outText =
-    (typeof data?.output_text === "string" && data.output_text) ||
-    data?.output?.flatMap(i => i?.content || [])?.find(c => c?.type === "output_text")?.text ||
-    "";
-
-  if (!outText) throw new Error("No JSON output from model.");
-
-  // Parse and normalize mappings for the content script.
-  let parsed;
-  try { parsed = JSON.parse(outText); } catch { throw new Error("Model returned non-JSON."); }
-
-  const mappings = Array.isArray(parsed?.mappings)
-    ? parsed.mappings
-        .filter(m => m && typeof m.selector === "string" && typeof m.value !== "undefined")
-        .map(m => ({ selector: m.selector, kind: m.kind, value: m.value }))
-    : [];
-
-  return { mappings };
-}
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  (async () => {
-    // Popup -> background message used to request mappings from OpenAI.
-    if (msg?.type !== "OPENAI_MAP_FIELDS") return;
+  const handler = MESSAGE_HANDLERS[msg?.type];
+  if (!handler) return;
 
-    const apiKey = await getSessionApiKey();
-    const res = await callOpenAI({ apiKey, ...msg.payload });
-    sendResponse(res);
+  (async () => {
+    const tabId = msg.tabId ?? sender.tab?.id;
+    sendResponse(await handler(msg, tabId, sender));
   })().catch(err => sendResponse({ error: String(err.message || err) }));
 
   // Required for async sendResponse in MV3 service workers.
@@ -0,0 +1,333 @@
+// Batch mode: fill the same form once per row of a CSV / XLSX sheet.
+// Loaded by the service worker (importScripts); uses frames.js, sites.js, fillhistory.js and mapping.js helpers.
+//
+// The popup maps the sheet's columns to the form's fields once (suggested by the model,
+// then reviewed and saved per form in sites.js). Every row is then filled from that
+// column map, so rows cost no model call. After a row is filled the user submits the
+// form; the row counts as done when the page reloads or the filled fields go back to
+// how they were before the fill (the form reset), and the next row is filled.
+//
+// A batch belongs to a tab and is kept in chrome.storage.session under "batch:<tabId>":
+//   { sourceName, headers, rows, columns, index, state, statuses, filledFrames, previous }
+// - rows: [[cell, ...]] without the header row.
+// - columns: [{ column, header, key }]: column index -> field, by siteFieldKey.
+// - index: the current row. state:
+//   "fill" (waiting for the form to fill the current row), "submit" (filled, waiting for
+//   the user to submit), "error" (the fill failed), "stopped" or "finished".
+// - statuses: per row { status: pending | filled | done | skipped | failed, note }.
+// - filledFrames: frames written for the current row; a reload of one of them means
+//   the form was submitted.
+// - previous: the row just counted as done (1-based), so the bar can take it back.
+// Submitting is always left to the user.
+
+const batchKey = (tabId) => `batch:${tabId}`;
+
+// Tabs with a fill in progress, so overlapping checks (every frame reports its load)
+// don't fill the same row twice.
+const batchBusyTabs = new Set();
+
+async function getBatch(tabId) {
+  const key = batchKey(tabId);
+  const stored = await chrome.storage.session.get([key]);
+  return stored[key] || null;
+}
+
+async function saveBatch(tabId, batch) {
+  await chrome.storage.session.set({ [batchKey(tabId)]: batch });
+}
+
+function isBatchRunning(batch) {
+  return !!batch && ["fill", "submit", "error"].includes(batch.state);
+}
+
+// Ask the model which field each column fills. samples: a few (redacted) values per column.
+// Returns { columns: [{ header, selector }], audit }.
+async function suggestBatchColumns({ headers, samples, fields, pageUrl }) {
+  const { provider, apiKey } = await getSelectedProvider();
+  const { parsed, audit } = await requestStructured({
+    provider,
+    apiKey,
+    pageUrl,
+    system: "Match spreadsheet columns to web form fields.",
+    prompt: [
+      "Task: For each spreadsheet column below, pick the web form field its values should be typed into.",
+      "Return ONLY JSON that matches the provided schema.",
+      "Rules:",
+      "1) Use selectors exactly as provided. Use each field for at most one column.",
+      "2) Use an empty selector when no field fits the column.",
+      "",
+      "Columns JSON (header + sample values):",
+      JSON.stringify(headers.map((header, i) => ({ header, samples: samples[i] || [] }))),
+      "",
+      "Fields JSON (each has selector + label/placeholder/name/type, or role for ARIA widgets):",
+      JSON.stringify(fields)
+    ].join("\n"),
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        columns: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: { header: { type: "string" }, selector: { type: "string" } },
+            required: ["header", "selector"]
+          }
+        }
+      },
+      required: ["columns"]
+    }
+  });
+
+  const selectors = new Set(fields.map(f => f.selector));
+  const columns = (Array.isArray(parsed?.columns) ? parsed.columns : [])
+    .filter(c => headers.includes(c?.header) && selectors.has(c.selector));
+  return { columns, audit };
+}
+
+// How a cell is written to a field, as in the model's mappings.
+function batchFieldKind(field) {
+  if (field.type === "checkbox") return "checkbox";
+  if (field.type === "radio") return "radio";
+  if (field.multiple) return "multi_select";
+  if (field.tag === "select") return "select";
+  return "text";
+}
+
+// Mappings for one row on the current page: { mappings, formFound }. Empty cells are
+// left alone; formFound tells whether any mapped field is on the page at all.
+// Multi-selects take "a; b" (or a JSON array) in one cell.
+function batchRowMappings(batch, fields) {
+  const byKey = new Map(fields.map(f => [siteFieldKey(f), f]));
+  const row = batch.rows[batch.index] || [];
+
+  const mappings = [];
+  let formFound = false;
+  for (const c of batch.columns) {
+    const field = byKey.get(c.key);
+    const cell = String(row[c.column] ?? "").trim();
+    formFound ||= !!field;
+    if (!field || !cell) continue;
+
+    const kind = batchFieldKind(field);
+    const value = kind === "multi_select" && !cell.startsWith("[")
+      ? JSON.stringify(cell.split(/\s*[;|]\s*/).filter(Boolean))
+      : cell;
+    mappings.push({ selector: field.selector, kind, value, confidence: null, source: `Column "${c.header}", row ${batch.index + 1}` });
+  }
+  return { mappings, formFound };
+}
+
+// Bar state for the top frame (see content.js); also what the popup shows.
+function batchState(batch) {
+  const row = batch.index + 1;
+  const counts = {};
+  for (const s of batch.statuses) counts[s.status] = (counts[s.status] || 0) + 1;
+  return {
+    active: isBatchRunning(batch),
+    sourceName: batch.sourceName,
+    state: batch.state,
+    row,
+    total: batch.rows.length,
+    note: batch.statuses[batch.index]?.note || "",
+    previous: batch.previous ?? null,
+    counts
+  };
+}
+
+function notifyBatchTab(tabId, batch) {
+  return chrome.tabs.sendMessage(tabId, { type: "BATCH_STATE", ...batchState(batch) }, { frameId: 0 }).catch(() => null);
+}
+
+async function startBatch(tabId, { sourceName, headers, rows, columns }) {
+  if (!rows?.length) throw new Error("The sheet has no rows below the header row.");
+  if (!columns?.length) throw new Error("Map at least one column to a field.");
+  if (await getWizard(tabId)) throw new Error("End the wizard in this tab first.");
+  if (isBatchRunning(await getBatch(tabId))) throw new Error("A batch is already running in this tab. Stop it first.");
+
+  try {
+    await saveBatch(tabId, {
+      sourceName: sourceName || "sheet",
+      headers,
+      rows,
+      columns,
+      index: 0,
+      state: "fill",
+      statuses: rows.map(() => ({ status: "pending", note: "" })),
+      filledFrames: [],
+      previous: null
+    });
+  } catch {
+    // chrome.storage.session is capped (10 MB).
+    throw new Error("Sheet too large for batch mode. Split it into smaller files.");
+  }
+
+  return fillBatchRow(tabId);
+}
+
+// Fill the current row if its fields are on the page; otherwise keep waiting
+// (the content script checks again when fields show up).
+async function fillBatchRow(tabId) {
+  if (batchBusyTabs.has(tabId)) return getBatchStatus(tabId);
+  batchBusyTabs.add(tabId);
+  try {
+    const batch = await getBatch(tabId);
+    if (!batch || batch.state !== "fill") return getBatchStatus(tabId);
+
+    // No widget probing: this runs on page loads and DOM changes and must not open dropdowns.
+    const fields = await extractFieldsFromAllFrames(tabId, { probe: false });
+    let row = batchRowMappings(batch, fields);
+
+    // Rows with nothing to fill are skipped without waiting for a submit.
+    while (row.formFound && !row.mappings.length && batch.index < batch.rows.length) {
+      markBatchRow(batch, "skipped", "No values in the mapped columns");
+      row = batchRowMappings(batch, fields);
+    }
+
+    if (batch.index >= batch.rows.length) {
+      batch.state = "finished";
+      await saveBatch(tabId, batch);
+      await notifyBatchTab(tabId, batch);
+      return batchState(batch);
+    }
+    if (!row.formFound) {
+      await saveBatch(tabId, batch);
+      await notifyBatchTab(tabId, batch);
+      return batchState(batch);
+    }
+
+    const { mappings } = row;
+    const status = batch.statuses[batch.index];
+    try {
+      const fill = await applyMappingsToFrames(tabId, mappings);
+      await recordFill({
+        tab: await chrome.tabs.get(tabId),
+        mode: "batch",
+        source: `${batch.sourceName}, row ${batch.index + 1}`,
+        fields,
+        mappings,
+        fill,
+        usedModel: false
+      });
+      if (!fill.updated) throw new Error(`the page took none of the ${mappings.length} value(s)`);
+
+      Object.assign(status, {
+        status: "filled",
+        note: `updated ${fill.updated}, rejected ${fill.rejected}, skipped ${fill.skipped}` +
+          (fill.lost ? `, ${fill.lost} no longer on the page` : "") +
+          (fill.invalid.length ? `, ${fill.invalid.length} flagged by the page` : "") +
+          (fill.results.some(r => r.policy) ? `, ${fill.results.filter(r => r.policy).length} kept back as sensitive` : "")
+      });
+      batch.state = "submit";
+      batch.filledFrames = [...new Set(fill.results.map(r => splitFramePrefix(r.selector).frameId))];
+    } catch (e) {
+      Object.assign(status, { status: "failed", note: String(e.message || e) });
+      batch.state = "error";
+    }
+
+    await saveBatch(tabId, batch);
+
+    // Each filled frame watches its fields for the form reset that follows a submit.
+    if (batch.state === "submit") {
+      for (const frameId of batch.filledFrames) await sendToFrame(tabId, frameId, { type: "BATCH_WATCH", row: batch.index });
+    }
+    await notifyBatchTab(tabId, batch);
+    return batchState(batch);
+  } finally {
+    batchBusyTabs.delete(tabId);
+  }
+}
+
+// Mark the current row and move on to the next one (not saved).
+function markBatchRow(batch, status, note = "") {
+  batch.statuses[batch.index] = { status, note: note || batch.statuses[batch.index].note };
+  batch.previous = status === "done" ? batch.index + 1 : null;
+  batch.index++;
+  batch.state = "fill";
+  batch.filledFrames = [];
+}
+
+async function advanceBatch(tabId, batch, status) {
+  markBatchRow(batch, status);
+  await saveBatch(tabId, batch);
+  return fillBatchRow(tabId);
+}
+
+// Called by the content script on every page load (loaded) and when fields show up.
+async function checkBatch(tabId, { loaded, frameId }) {
+  const batch = await getBatch(tabId);
+  if (!isBatchRunning(batch)) return { active: false };
+
+  if (batch.state === "submit") {
+    // A new document in a frame we wrote to: the form was submitted.
+    if (loaded && (frameId === 0 || batch.filledFrames.includes(frameId))) return advanceBatch(tabId, batch, "done");
+    return batchState(batch);
+  }
+  if (batch.state === "fill") return fillBatchRow(tabId);
+
+  if (loaded && frameId === 0) await notifyBatchTab(tabId, batch);
+  return batchState(batch);
+}
+
+// The filled fields went back to their state from before the fill (single-page forms).
+async function batchRowSubmitted(tabId, row) {
+  const batch = await getBatch(tabId);
+  if (!batch || batch.state !== "submit" || batch.index !== row) return { active: isBatchRunning(batch) };
+  return advanceBatch(tabId, batch, "done");
+}
+
+async function refillBatchRow(tabId) {
+  const batch = await getBatch(tabId);
+  if (!isBatchRunning(batch)) throw new Error("No batch running in this tab.");
+  batch.state = "fill";
+  await saveBatch(tabId, batch);
+  return fillBatchRow(tabId);
+}
+
+async function skipBatchRow(tabId) {
+  const batch = await getBatch(tabId);
+  if (!isBatchRunning(batch)) throw new Error("No batch running in this tab.");
+  return advanceBatch(tabId, batch, batch.state === "error" ? "failed" : "skipped");
+}
+
+// A row counted as done that didn't go through (the page reloaded with an error, say).
+async function markBatchRowFailed(tabId, row) {
+  const batch = await getBatch(tabId);
+  if (!batch?.statuses[row - 1]) throw new Error("No such row.");
+  batch.statuses[row - 1] = { status: "failed", note: "Marked as not saved" };
+  if (batch.previous === row) batch.previous = null;
+  await saveBatch(tabId, batch);
+  await notifyBatchTab(tabId, batch);
+  return batchState(batch);
+}
+
+async function stopBatch(tabId) {
+  const batch = await getBatch(tabId);
+  if (!batch) return { active: false };
+  if (isBatchRunning(batch)) batch.state = "stopped";
+  await saveBatch(tabId, batch);
+  await notifyBatchTab(tabId, batch);
+  return batchState(batch);
+}
+
+// Progress for the popup: the bar state plus every row's status and first cells.
+async function getBatchStatus(tabId) {
+  const batch = await getBatch(tabId);
+  if (!batch) return { active: false, rows: [] };
+  return {
+    ...batchState(batch),
+    rows: batch.rows.map((r, i) => ({ ...batch.statuses[i], label: r.filter(Boolean).slice(0, 2).join(" · ") }))
+  };
+}
+
+async function clearBatch(tabId) {
+  const batch = await getBatch(tabId);
+  if (isBatchRunning(batch)) throw new Error("Stop the batch first.");
+  await chrome.storage.session.remove(batchKey(tabId));
+  return { active: false, rows: [] };
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(batchKey(tabId));
+});
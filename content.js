@@ -1,86 +1,554 @@
 // Content script: extracts form fields from the current page and applies AI-provided mappings.
 // It communicates with the extension via chrome.runtime messages.
+// It is injected into every frame (all_frames); each instance only handles its own
+// document, including open shadow roots. The popup routes messages per frame.
 
-// Best-effort label extraction for an input/select/textarea.
-// Strategy: prefer <label for="id">, otherwise look for a wrapping <label>.
+// Separates shadow-root hops in a selector: "host-selector >>> inner-selector".
+// CSS.escape() escapes spaces, so this never appears inside an escaped value.
+const SHADOW_SEPARATOR = " >>> ";
+
+// ARIA widgets that can be filled even though they are not native form controls.
+const ARIA_FIELD_ROLES = ["textbox", "combobox", "listbox"];
+
+// Document and every open shadow root below it (closed roots are unreachable).
+function collectRoots(root = document, out = []) {
+  out.push(root);
+  for (const el of root.querySelectorAll("*")) {
+    if (el.shadowRoot) collectRoots(el.shadowRoot, out);
+  }
+  return out;
+}
+
+// Find an element from a selector built by buildSelector, hopping into shadow roots.
+function resolveSelector(sel) {
+  const parts = String(sel || "").split(SHADOW_SEPARATOR);
+  let root = document;
+  let el = null;
+
+  for (let i = 0; i < parts.length; i++) {
+    try { el = root.querySelector(parts[i]); } catch { return null; }
+    if (!el) return null;
+    if (i < parts.length - 1) {
+      root = el.shadowRoot;
+      if (!root) return null;
+    }
+  }
+  return el;
+}
+
+// All radios sharing el's name inside the same document or shadow root.
+function radioGroup(el) {
+  return Array.from(el.getRootNode().querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`));
+}
+
+// Editing host of a rich-text editor (outermost contenteditable element).
+function isEditableHost(el) {
+  return el.isContentEditable && !el.parentElement?.isContentEditable;
+}
+
+// Native controls are handled by tag/type; role only matters on other elements.
+function getAriaRole(el) {
+  if (["input", "textarea", "select"].includes(el.tagName.toLowerCase())) return "";
+  const role = (el.getAttribute("role") || "").toLowerCase();
+  return ARIA_FIELD_ROLES.includes(role) ? role : "";
+}
+
+// Best-effort label extraction for an input/select/textarea or ARIA widget.
+// Strategy: prefer <label for="id">, then a wrapping <label>, then ARIA labelling.
 function getLabelText(el) {
+  const root = el.getRootNode();
   const id = el.getAttribute("id");
   if (id) {
-    const lab = document.querySelector(`label[for="${CSS.escape(id)}"]`);
+    const lab = root.querySelector(`label[for="${CSS.escape(id)}"]`);
     if (lab) return (lab.innerText || "").trim();
   }
   const p = el.closest("label");
-  return p ? (p.innerText || "").trim() : "";
+  if (p) return (p.innerText || "").trim();
+
+  const labelledBy = (el.getAttribute("aria-labelledby") || "").split(/\s+/).filter(Boolean);
+  const text = labelledBy
+    .map(ref => root.getElementById?.(ref) || document.getElementById(ref))
+    .map(n => (n?.innerText || "").trim())
+    .filter(Boolean)
+    .join(" ");
+  return text || (el.getAttribute("aria-label") || "").trim();
+}
+
+// Text of the elements referenced by aria-describedby (help text under a question).
+function getDescriptionText(el) {
+  const root = el.getRootNode();
+  return (el.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean)
+    .map(ref => (root.getElementById?.(ref) || document.getElementById(ref))?.innerText?.trim() || "")
+    .filter(Boolean)
+    .join(" ")
+    .slice(0, 300);
+}
+
+// Length limits written around a free-text question: "max. 250 words", "(500 characters)",
+// "200 words or less". Read from the label, placeholder, help text and a short hint right
+// after the field. Returns { words, chars }, each 0 when not stated.
+const TEXT_LIMIT_RES = [
+  /(?:max(?:imum)?\.?|up to|no more than|not (?:to )?exceed(?:ing)?|limit(?:ed)?(?: of| to)?|at most)\s*:?\s*(\d[\d,.]*)\s*(words?|char(?:acter)?s?)/i,
+  /(\d[\d,.]*)\s*(words?|char(?:acter)?s?)\s*(?:max(?:imum)?|or (?:less|fewer)|limit|at most)/i,
+  /\(\s*(\d[\d,.]*)\s*(words?|char(?:acter)?s?)\s*\)/i
+];
+
+function getTextLimits(el) {
+  const hint = el.nextElementSibling;
+  const text = [
+    getLabelText(el),
+    el.getAttribute("placeholder") || el.getAttribute("aria-placeholder") || "",
+    el.getAttribute("title") || "",
+    getDescriptionText(el),
+    hint && (hint.innerText || "").length <= 200 ? hint.innerText : ""
+  ].join(" ");
+
+  const limits = { words: 0, chars: 0 };
+  for (const re of TEXT_LIMIT_RES) {
+    const m = re.exec(text);
+    if (!m) continue;
+    const n = Number(m[1].replace(/[,.]/g, ""));
+    const unit = /^w/i.test(m[2]) ? "words" : "chars";
+    if (n > 0 && !limits[unit]) limits[unit] = n;
+  }
+  return limits;
+}
+
+// Error text the site shows for a field: aria-errormessage, error-looking aria-describedby
+// targets, or an error element in the wrapper that holds only this field (or its radio
+// group). Only visible text counts; hidden error templates are common.
+const FIELD_ERROR_QUERY = '[role="alert"], [aria-live="assertive"], .error, .errors, .invalid-feedback, ' +
+  '.field-error, .form-error, .error-message, .error-text, .help-block.error, [class*="errorMessage"], [class*="error-msg"]';
+const MAX_ERROR_WRAPPER_DEPTH = 3;
+
+function getFieldErrorText(el) {
+  const root = el.getRootNode();
+  const byId = (ref) => root.getElementById?.(ref) || document.getElementById(ref);
+  const nodes = [
+    ...(el.getAttribute("aria-errormessage") || "").split(/\s+/).filter(Boolean).map(byId),
+    ...(el.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean).map(byId)
+      .filter(n => n && (/err|invalid/i.test(n.id) || n.matches(FIELD_ERROR_QUERY)))
+  ];
+
+  const group = fieldGroup(el);
+  let wrapper = el.parentElement;
+  for (let depth = 0; wrapper && depth < MAX_ERROR_WRAPPER_DEPTH; depth++) {
+    if (fieldsIn(wrapper).some(f => !group.includes(f))) break;
+    const found = Array.from(wrapper.querySelectorAll(FIELD_ERROR_QUERY));
+    if (found.length) {
+      nodes.push(...found);
+      break;
+    }
+    wrapper = wrapper.parentElement;
+  }
+
+  const texts = nodes
+    .filter(n => n && !n.matches("input, textarea, select") && isShown(n))
+    .map(n => (n.innerText || "").trim())
+    .filter(t => t && t.length <= 300);
+  return [...new Set(texts)].join(" ").slice(0, 300);
+}
+
+// Validation rules the page states for a field, sent so values come back in a form the
+// page accepts: required, pattern, min / max / step, min_length, max_length, inputmode,
+// and invalid + error when the page already flags the field. Left out when absent.
+function describeConstraints(el) {
+  const attr = (name) => el.getAttribute(name) || undefined;
+  const error = getFieldErrorText(el);
+  return {
+    required: isRequiredField(el) || undefined,
+    pattern: attr("pattern"),
+    min: attr("min"),
+    max: attr("max"),
+    step: attr("step"),
+    min_length: el.minLength > 0 ? el.minLength : undefined,
+    max_length: el.maxLength > 0 ? el.maxLength : undefined,
+    inputmode: attr("inputmode"),
+    invalid: el.getAttribute("aria-invalid") === "true" || !!error || undefined,
+    error: error || undefined
+  };
+}
+
+// Sensitive-field policy (policy.js) for this frame's elements. Settings are read once per
+// extraction or apply; site lists are keyed by the page in the tab, also inside iframes.
+function policyOrigin() {
+  const ancestors = location.ancestorOrigins;
+  return ancestors?.length ? ancestors[ancestors.length - 1] : location.origin;
+}
+
+function policyInput(el) {
+  return {
+    type: (el.getAttribute("type") || "").toLowerCase(),
+    autocomplete: el.getAttribute("autocomplete") || "",
+    text: [getLabelText(el), el.getAttribute("name"), el.getAttribute("id"), el.getAttribute("placeholder"), el.getAttribute("aria-label")]
+      .filter(Boolean)
+      .join(" ")
+  };
+}
+
+// el -> { category, action }
+async function loadFieldPolicy() {
+  const settings = await getFieldPolicySettings().catch(() => DEFAULT_FIELD_POLICY);
+  const origin = policyOrigin();
+  return (el) => fieldPolicy(policyInput(el), settings, origin);
+}
+
+// Blocked fields in the fill scope, one entry per radio group, for the fill summary.
+async function listBlockedFields(policyOf) {
+  const seen = new Set();
+  const blocked = [];
+  for (const el of await scopedFieldElements()) {
+    const first = fieldGroup(el)[0];
+    if (seen.has(first)) continue;
+    seen.add(first);
+    const { category, action } = policyOf(el);
+    if (action !== "block") continue;
+    blocked.push({
+      selector: buildSelector(el),
+      label: getLabelText(el) || el.getAttribute("name") || el.getAttribute("placeholder") || "",
+      category
+    });
+  }
+  return blocked;
 }
 
 // Build a selector that can be used later to find the same element.
-// Order of preference:
+// Order of preference, keeping the first one that matches only this element:
 // 1) #id (most stable)
-// 2) tag[name="..."] (+ nth-of-type for checkbox/radio group collisions)
+// 2) tag[name="..."] (+ nth-of-type, then value, for checkbox/radio group collisions)
 // 3) tag[aria-label="..."]
-// 4) fallback: CSS path using nth-of-type within the nearest form/body
+// 4) fallback: CSS path using nth-of-type within the nearest form/body, or from the top
+//    of the document when the page repeats the same form markup
+// Elements inside shadow roots get their host's selector prepended (see SHADOW_SEPARATOR).
 function buildSelector(el) {
-    const id = el.getAttribute("id");
-    if (id) return `#${CSS.escape(id)}`;
+  const root = el.getRootNode();
+  if (root instanceof ShadowRoot) return `${buildSelector(root.host)}${SHADOW_SEPARATOR}${buildLocalSelector(el)}`;
+  return buildLocalSelector(el);
+}
+
+// Selector for el relative to its own document or shadow root.
+function buildLocalSelector(el) {
+  const root = el.getRootNode();
+  const tag = el.tagName.toLowerCase();
+  // Pages reuse ids and names (two address forms, repeated rows), so each candidate is checked.
+  const unique = (sel) => {
+    try {
+      const matches = root.querySelectorAll(sel);
+      return matches.length === 1 && matches[0] === el;
+    } catch {
+      return false;
+    }
+  };
 
-    const name = el.getAttribute("name");
-    if (name) {
-    const tag = el.tagName.toLowerCase();
+  const id = el.getAttribute("id");
+  if (id && unique(`#${CSS.escape(id)}`)) return `#${CSS.escape(id)}`;
+
+  const name = el.getAttribute("name");
+  if (name) {
     const type = (el.getAttribute("type") || "").toLowerCase();
+    const byName = `${tag}[name="${CSS.escape(name)}"]`;
 
     // Avoid collisions for radio/checkbox groups (same name).
     // Note: nth-of-type is a best-effort disambiguator and can still be brittle
-    // on highly dynamic pages.
+    // on highly dynamic pages. It counts siblings, so inputs each wrapped in their
+    // own label need the value instead.
     if ((type === "radio" || type === "checkbox")) {
-        const group = Array.from(document.querySelectorAll(`${tag}[name="${CSS.escape(name)}"]`));
-        const idx = group.indexOf(el);
-        if (idx >= 0) return `${tag}[name="${CSS.escape(name)}"]:nth-of-type(${idx + 1})`;
+      const group = Array.from(root.querySelectorAll(byName));
+      const idx = group.indexOf(el);
+      if (idx >= 0 && unique(`${byName}:nth-of-type(${idx + 1})`)) return `${byName}:nth-of-type(${idx + 1})`;
+      const value = el.getAttribute("value");
+      if (value !== null && unique(`${byName}[value="${CSS.escape(value)}"]`)) return `${byName}[value="${CSS.escape(value)}"]`;
     }
 
-    return `${tag}[name="${CSS.escape(name)}"]`;
-}
+    if (unique(byName)) return byName;
+  }
 
   const aria = el.getAttribute("aria-label");
-  if (aria) return `${el.tagName.toLowerCase()}[aria-label="${CSS.escape(aria)}"]`;
+  if (aria && unique(`${tag}[aria-label="${CSS.escape(aria)}"]`)) return `${tag}[aria-label="${CSS.escape(aria)}"]`;
 
   // Fallback: tag + nth-of-type path within the closest <form> (or document.body).
   // This is the least stable approach but works when id/name/aria-label are missing.
-  const form = el.closest("form") || document.body;
+  // Inside a shadow root there is no body, so the path starts at the root's top element.
+  const form = el.closest("form") || (root === document ? document.body : null);
+  const path = nthOfTypePath(el, form);
+  const local = form ? `${form.tagName.toLowerCase() === "form" ? "form" : "body"} ${path}` : path;
+  return unique(local) ? local : nthOfTypePath(el, null);
+}
+
+// "div:nth-of-type(2) > input:nth-of-type(1)" from below `stop` (exclusive) down to el;
+// with no stop, from the top of the document or shadow root.
+function nthOfTypePath(el, stop) {
   const path = [];
   let cur = el;
 
-  while (cur && cur !== form && cur.nodeType === 1) {
+  while (cur && cur !== stop && cur.nodeType === 1) {
     const tag = cur.tagName.toLowerCase();
-    const parent = cur.parentElement;
-    const sibs = parent ? Array.from(parent.children).filter(x => x.tagName === cur.tagName) : [];
-    const idx = sibs.indexOf(cur) + 1;
-    path.unshift(`${tag}:nth-of-type(${idx})`);
-    cur = parent;
+    // parentNode: the top element of a shadow root counts among the root's children.
+    const sibs = Array.from(cur.parentNode?.children || [cur]).filter(x => x.tagName === cur.tagName);
+    path.unshift(`${tag}:nth-of-type(${sibs.indexOf(cur) + 1})`);
+    cur = cur.parentElement;
+  }
+  return path.join(" > ");
+}
+
+// Field handles: selectors go stale when the page re-renders between extraction and apply
+// (the model takes a few seconds), and the nth-of-type fallbacks above may then point at
+// another element. So extraction also stamps every field with a handle attribute and
+// remembers, per selector, that handle and a fingerprint of the field. Apply finds a
+// mapping's element by handle first. When the element was replaced, the field is matched
+// again by fingerprint: same kind of control, then id, name, label, placeholder, form and
+// position. A weak or tied match counts as lost rather than risk writing into the wrong
+// field. Selectors this frame never extracted are resolved as they are.
+const HANDLE_ATTR = "data-pawpaw-field";
+const MIN_FINGERPRINT_SCORE = 5;
+const HANDLE_PREFIX = `f${Date.now().toString(36)}-`;
+
+// selector -> { handle, fingerprint }, from every extraction in this frame.
+const fieldRegistry = new Map();
+let handleCount = 0;
+
+function fieldHandle(el) {
+  let handle = el.getAttribute(HANDLE_ATTR);
+  if (!handle) {
+    handle = `${HANDLE_PREFIX}${++handleCount}`;
+    el.setAttribute(HANDLE_ATTR, handle);
+  }
+  return handle;
+}
+
+function formKey(el) {
+  const form = formOwner(el);
+  if (!form) return "";
+  return form.getAttribute("id") || form.getAttribute("name") || form.getAttribute("action") ||
+    `form ${Array.from(document.querySelectorAll(SCOPE_FORM_QUERY)).indexOf(form)}`;
+}
+
+// position: index among every field of the frame (see pageFieldOrder).
+function fieldFingerprint(el, position) {
+  return {
+    tag: el.tagName.toLowerCase(),
+    type: (el.getAttribute("type") || "").toLowerCase(),
+    role: getAriaRole(el),
+    id: el.getAttribute("id") || "",
+    name: el.getAttribute("name") || "",
+    label: getLabelText(el),
+    placeholder: el.getAttribute("placeholder") || el.getAttribute("aria-placeholder") || "",
+    ariaLabel: el.getAttribute("aria-label") || "",
+    // Checkboxes and radios of one group differ by value only.
+    value: ["checkbox", "radio"].includes((el.getAttribute("type") || "").toLowerCase()) ? el.value : "",
+    form: formKey(el),
+    position
+  };
+}
+
+function pageFieldOrder() {
+  return new Map(collectRoots().flatMap(collectFieldElements).map((el, i) => [el, i]));
+}
+
+function rememberField(el, selector, order) {
+  fieldRegistry.set(selector, { handle: fieldHandle(el), fingerprint: fieldFingerprint(el, order.get(el) ?? -1) });
+}
+
+// How well el fits a fingerprint; -1 when it is another kind of control.
+function fingerprintScore(fp, el, position) {
+  const now = fieldFingerprint(el, position);
+  if (now.tag !== fp.tag || now.type !== fp.type || now.role !== fp.role || now.value !== fp.value) return -1;
+  const same = (key) => !!fp[key] && fp[key] === now[key];
+  const distance = Math.abs(position - fp.position);
+  return (same("id") ? 4 : 0) + (same("name") ? 3 : 0) + (same("label") ? 3 : 0) +
+    (same("placeholder") ? 3 : 0) + (same("ariaLabel") ? 3 : 0) + (same("form") ? 1 : 0) +
+    (distance === 0 ? 2 : distance <= 3 ? 1 : 0);
+}
+
+function findByHandle(handle) {
+  for (const root of collectRoots()) {
+    const el = root.querySelector(`[${HANDLE_ATTR}="${CSS.escape(handle)}"]`);
+    if (el) return el;
+  }
+  return null;
+}
+
+// Best unclaimed field for a fingerprint. Fields that still carry another handle are
+// other known fields, not a re-render of this one.
+function rematchField(known, claimed) {
+  let best = null, bestScore = -1, tied = false;
+  for (const [el, position] of pageFieldOrder()) {
+    if (claimed.has(el)) continue;
+    const handle = el.getAttribute(HANDLE_ATTR);
+    if (handle && handle !== known.handle) continue;
+    const score = fingerprintScore(known.fingerprint, el, position);
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+      tied = false;
+    } else if (score === bestScore) {
+      tied = true;
+    }
+  }
+  return best && !tied && bestScore >= MIN_FINGERPRINT_SCORE ? best : null;
+}
+
+// Element for a mapping's selector: { el, matched: "handle" | "fingerprint" | "selector" },
+// or null when the field is gone. claimed: elements already taken by other mappings.
+function resolveField(sel, claimed = new Set()) {
+  const known = fieldRegistry.get(sel);
+  if (!known) {
+    const el = resolveSelector(sel);
+    return el ? { el, matched: "selector" } : null;
   }
 
-  const formSel = form.tagName.toLowerCase() === "form" ? "form" : "body";
-  return `${formSel} ${path.join(" > ")}`.trim();
+  const byHandle = findByHandle(known.handle);
+  if (byHandle) return { el: byHandle, matched: "handle" };
+
+  const el = rematchField(known, claimed);
+  if (!el) return null;
+  el.setAttribute(HANDLE_ATTR, known.handle);
+  return { el, matched: "fingerprint" };
+}
+
+// Option elements of an ARIA listbox, or of the listbox a combobox controls.
+// A closed combobox usually has no options rendered yet, so this may be empty.
+function getAriaOptions(el) {
+  const root = el.getRootNode();
+  const ids = `${el.getAttribute("aria-controls") || ""} ${el.getAttribute("aria-owns") || ""}`.split(/\s+/).filter(Boolean);
+  const popups = ids.map(id => root.getElementById?.(id) || document.getElementById(id)).filter(Boolean);
+  const containers = getAriaRole(el) === "listbox" ? [el, ...popups] : popups;
+  return containers.flatMap(c => Array.from(c.querySelectorAll('[role="option"]')));
 }
 
-function extractFields() {
-  // Gather candidates: only user-editable form controls.
-  const els = Array.from(document.querySelectorAll("input, textarea, select"))
+// Text shown by a non-native widget (editor content, combobox text, selected listbox options).
+function getWidgetText(el) {
+  if (getAriaRole(el) === "listbox") {
+    return getAriaOptions(el)
+      .filter(o => o.getAttribute("aria-selected") === "true")
+      .map(o => (o.innerText || "").trim())
+      .join(", ");
+  }
+  return (el.getAttribute("aria-valuetext") || el.innerText || "").trim();
+}
+
+// Fillable elements in one document or shadow root:
+// native controls, rich-text editing hosts and ARIA textbox/combobox/listbox widgets.
+function collectFieldElements(root) {
+  const controls = Array.from(root.querySelectorAll("input, textarea, select"))
     .filter(el => !el.disabled)
     .filter(el => {
       const t = (el.getAttribute("type") || "").toLowerCase();
       // Exclude non-fillable or sensitive types.
       return t !== "hidden" && t !== "submit" && t !== "button" && t !== "reset" && t !== "file";
-    });
+    })
+    // Search boxes and other helper inputs that belong to a custom widget.
+    .filter(el => !isWidgetInternal(el));
+
+  const widgets = Array.from(root.querySelectorAll('[contenteditable], [role="textbox"], [role="combobox"], [role="listbox"]'))
+    .filter(el => el.getAttribute("aria-disabled") !== "true")
+    // ARIA 1.1 comboboxes wrap a real <input>; that input is the field, not the wrapper.
+    .filter(el => getAriaRole(el) === "listbox" || !el.querySelector("input, textarea, select"))
+    .filter(el => isEditableHost(el) || (getAriaRole(el) && !el.isContentEditable))
+    // A listbox that is some combobox's popup is filled through that combobox.
+    .filter(el => !(getAriaRole(el) === "listbox" && el.id &&
+      root.querySelector(`[aria-controls~="${CSS.escape(el.id)}"], [aria-owns~="${CSS.escape(el.id)}"]`)));
+
+  return [...controls, ...widgets];
+}
+
+// elements: extract only these (default: every field in the fill scope, see below).
+async function extractFields({ probe = true, elements = null } = {}) {
+  // Gather candidates from the document and every open shadow root.
+  const els = elements || await scopedFieldElements();
 
   // Return a compact schema used by popup/background scripts and the LLM prompt.
-  return els.map(el => ({
+  let probed = 0;
+  const fields = [];
+  const order = pageFieldOrder();
+  const policyOf = await loadFieldPolicy();
+  for (const el of els) {
+    // Blocked fields never leave the page; "confirm" ones are marked for the review.
+    const policy = policyOf(el);
+    if (policy.action === "block") continue;
+
+    const field = extractField(el);
+    if (policy.action === "confirm") {
+      field.policy = "confirm";
+      field.sensitive = policy.category;
+    }
+    rememberField(el, field.selector, order);
+    const adapter = findWidgetAdapter(el);
+
+    if (adapter) {
+      field.widget = adapter.name;
+      if (adapter.name === "date") field.date_format = dateFormatFor(el);
+
+      // Expose the widget's own options when the native element has none to offer.
+      if (adapter.options && !field.options?.length) {
+        let found = adapter.options(el);
+        if (!found.length && probe && adapter.probe && probed < MAX_PROBED_WIDGETS) {
+          probed++;
+          found = await probeWidgetOptions(adapter, el);
+        }
+        if (found.length) {
+          field.options = found.slice(0, MAX_WIDGET_OPTIONS).map(o => ({ value: o.value, text: o.text }));
+        }
+      }
+    }
+    fields.push(field);
+  }
+  return fields;
+}
+
+// One field descriptor: ARIA widgets and rich-text editors, or native controls.
+function extractField(el) {
+  const role = getAriaRole(el);
+  if (role || isEditableHost(el)) {
+    const options = getAriaOptions(el);
+    return {
+      selector: buildSelector(el),
+      tag: el.tagName.toLowerCase(),
+      type: "",
+      role: role || "textbox",
+      contenteditable: isEditableHost(el),
+      name: "",
+      id: el.getAttribute("id") || "",
+      placeholder: el.getAttribute("aria-placeholder") || el.getAttribute("data-placeholder") || "",
+      label: getLabelText(el),
+      description: getDescriptionText(el) || undefined,
+      value: getWidgetText(el).slice(0, 200),
+      multiple: el.getAttribute("aria-multiselectable") === "true",
+      ...describeConstraints(el),
+      ...(isEditableHost(el) || role === "textbox" ? describeTextLimits(el) : {}),
+      options: options.length
+        ? options.map(o => ({ value: o.getAttribute("data-value") || "", text: (o.innerText || "").trim() }))
+        : undefined
+    };
+  }
+  return extractNativeField(el);
+}
+
+// max_length / word_limit for free-text fields (left out when not stated).
+function describeTextLimits(el) {
+  const stated = getTextLimits(el);
+  const maxLength = el.maxLength > 0 ? el.maxLength : stated.chars;
+  return {
+    max_length: maxLength || undefined,
+    word_limit: stated.words || undefined
+  };
+}
+
+function extractNativeField(el) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.getAttribute("type") || "").toLowerCase();
+  const isText = tag === "textarea" || (tag === "input" && ["", "text", "search", "url", "email", "tel"].includes(type));
+  return {
     selector: buildSelector(el),
-    tag: el.tagName.toLowerCase(),
-    type: (el.getAttribute("type") || "").toLowerCase(),
+    tag,
+    type,
     name: el.getAttribute("name") || "",
     id: el.getAttribute("id") || "",
     placeholder: el.getAttribute("placeholder") || "",
     label: getLabelText(el),
+    description: getDescriptionText(el) || undefined,
+    ...describeConstraints(el),
+    ...(isText ? describeTextLimits(el) : {}),
     children: el.children ? el.children.length : 0,
     value: (el.value || "").slice(0, 200),
     multiple: el.tagName.toLowerCase() === "select" ? !!el.multiple : false,
@@ -89,183 +557,1738 @@ function extractFields() {
     ? Array.from(el.options).map(o => ({ value: o.value, text: (o.text || "").trim() }))
     : undefined,
     radio_group: (el.type === "radio" && el.name)
-    ? Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`))
+    ? radioGroup(el)
         .map(r => ({
             value: r.value || "",
             label: (r.closest("label")?.innerText || "").trim()
         }))
     : undefined,
-  }));
+  };
+}
+
+// Value setter layer: every write to the page (fill and undo) goes through the
+// functions below, so frameworks see the same thing a typing user would produce.
+
+// Native property setters. Writing through the prototype bypasses instance-level
+// overrides such as React's value tracker, so controlled inputs take the change
+// as user input instead of silently restoring their own state.
+const NATIVE_VALUE_SETTERS = {
+  input: Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set,
+  textarea: Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, "value").set,
+  select: Object.getOwnPropertyDescriptor(HTMLSelectElement.prototype, "value").set
+};
+const nativeCheckedSetter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "checked").set;
+const nativeSelectedSetter = Object.getOwnPropertyDescriptor(HTMLOptionElement.prototype, "selected").set;
+
+// How long frameworks get to re-render (and possibly revert) before values are verified.
+const VERIFY_DELAY_MS = 150;
+
+function setNativeValue(el, value) {
+  NATIVE_VALUE_SETTERS[el.tagName.toLowerCase()].call(el, value);
+}
+
+function isTruthyValue(val) {
+  const v = String(val ?? "").trim().toLowerCase();
+  return v === "true" || v === "yes" || v === "1" || v === "checked" || v === "on";
+}
+
+// Compare field text the way the browser stores it (textarea normalizes line breaks,
+// email/url inputs trim whitespace).
+function sameText(a, b) {
+  const norm = s => String(s ?? "").replace(/\r\n?/g, "\n").trim();
+  return norm(a) === norm(b);
+}
+
+function fireKey(el, type, key) {
+  el.dispatchEvent(new KeyboardEvent(type, { key, bubbles: true, cancelable: true, composed: true }));
 }
 
-// Generic setter used by some earlier versions / helpers.
-// Current code-path sets values inline in APPLY_MAPPINGS, but keeping this is harmless.
-function setValue(el, value) {
+function fireInput(el, data) {
+  el.dispatchEvent(new InputEvent("input", { bubbles: true, composed: true, inputType: "insertText", data }));
+}
+
+function fireChange(el) {
+  el.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+// Run a write between focus and blur, like a user moving through the field.
+// Validation and "touched" state in most frameworks hang off these two events.
+function withFocus(el, write) {
+  el.focus({ preventScroll: true });
+  try { write(); } finally { el.blur(); }
+}
+
+// Keystroke-shaped value write: keydown, value, input, keyup. No focus/blur/change,
+// so autocompletes keep their suggestion popup open.
+function typeKeys(el, text) {
+  const key = text.slice(-1) || "Backspace";
+  fireKey(el, "keydown", key);
+  setNativeValue(el, text);
+  fireInput(el, text);
+  fireKey(el, "keyup", key);
+}
+
+// Text-like inputs and textarea: focus, keydown, value, input, keyup, change, blur.
+function typeValue(el, text) {
+  withFocus(el, () => {
+    typeKeys(el, text);
+    fireChange(el);
+  });
+}
+
+// Lists longer than this reach the model shortened (MAX_PROMPT_OPTIONS in mapping.js).
+const SHORTENED_OPTION_LIST = 40;
+
+// Select exactly the options of a native <select> that match val (value or visible text).
+// Returns a verification check, or null when no option matches.
+function writeSelect(el, val) {
+  const wanted = Array.isArray(val)
+    ? val.map(x => String(x).trim().toLowerCase()).filter(Boolean)
+    : [String(val ?? "").trim().toLowerCase()].filter(Boolean);
+
+  const options = Array.from(el.options);
+  // On a shortened list the model may name an option it never saw, so as a last resort
+  // the one option starting with (or else containing) the answer is taken. On a full
+  // list, or with several candidates ("Austria" / "Australia"), nothing is.
+  const looseMatch = (w) => {
+    if (options.length <= SHORTENED_OPTION_LIST) return null;
+    const text = o => String(o.text || "").trim().toLowerCase();
+    for (const test of [t => t.startsWith(w), t => t.includes(w)]) {
+      const found = options.filter(o => test(text(o)));
+      if (found.length) return found.length === 1 ? found[0] : null;
+    }
+    return null;
+  };
+  const resolveOne = (w) =>
+    options.find(o => String(o.value || "").trim().toLowerCase() === w) ||
+    options.find(o => String(o.text || "").trim().toLowerCase() === w) ||
+    looseMatch(w);
+
+  const picked = (el.multiple ? wanted : wanted.slice(0, 1)).map(resolveOne).filter(Boolean);
+  if (!picked.length) return null;
+
+  selectOptions(el, picked);
+  return () => picked.every(o => o.selected);
+}
+
+// Checkboxes and radios are toggled with a real click, since React and others listen
+// for click on them rather than change. The native setter is the fallback when the
+// click doesn't land (e.g. unchecking a radio, which a click can't do).
+function setChecked(el, checked) {
+  if (el.checked === checked) return;
+  withFocus(el, () => {
+    el.click();
+    if (el.checked !== checked) {
+      nativeCheckedSetter.call(el, checked);
+      el.dispatchEvent(new Event("input", { bubbles: true }));
+      fireChange(el);
+    }
+  });
+}
+
+// Select exactly `opts` (option elements of el). Single selects use the first one.
+function selectOptions(el, opts) {
+  withFocus(el, () => {
+    if (el.multiple) {
+      for (const o of el.options) nativeSelectedSetter.call(o, opts.includes(o));
+    } else {
+      setNativeValue(el, opts[0]?.value ?? "");
+    }
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+    fireChange(el);
+  });
+}
+
+// Dispatch the pointer/mouse sequence custom widgets listen for; many ignore a bare click().
+function pressElement(el) {
+  for (const type of ["pointerdown", "mousedown", "pointerup", "mouseup"]) {
+    const Ctor = type.startsWith("pointer") && typeof PointerEvent === "function" ? PointerEvent : MouseEvent;
+    el.dispatchEvent(new Ctor(type, { bubbles: true, cancelable: true, composed: true }));
+  }
+  el.click();
+}
+
+// Poll until fn() returns something truthy or the timeout elapses; resolves to fn()'s last result.
+async function waitFor(fn, timeout = 800) {
+  const start = Date.now();
+  for (;;) {
+    const v = fn();
+    if (v || Date.now() - start >= timeout) return v;
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+// Replace the text of a rich-text editor or ARIA textbox.
+// execCommand("insertText") goes through the editor's own input handling
+// (ProseMirror, Draft.js, Quill...); setting textContent is the fallback.
+function setEditableText(el, text) {
+  withFocus(el, () => {
+    let ok = false;
+    if (el.isContentEditable) {
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+      ok = document.execCommand(text ? "insertText" : "delete", false, text);
+    }
+
+    if (!ok || !sameText(el.innerText, text)) {
+      el.textContent = text;
+      fireInput(el, text);
+    }
+    fireChange(el);
+  });
+}
+
+// Pick options in an ARIA listbox or combobox by data-value or visible text.
+// Comboboxes only render their options once opened, so they are opened for each pick.
+// Returns the option elements that were picked.
+async function chooseAriaOptions(el, wanted) {
+  const targets = wanted.map(w => String(w ?? "").trim().toLowerCase()).filter(Boolean);
+  const isCombobox = getAriaRole(el) === "combobox";
+  const picked = [];
+
+  for (const t of targets) {
+    if (isCombobox && el.getAttribute("aria-expanded") !== "true") pressElement(el);
+
+    const options = (await waitFor(() => {
+      const found = getAriaOptions(el);
+      return found.length ? found : null;
+    })) || [];
+
+    const opt =
+      options.find(o => (o.getAttribute("data-value") || "").trim().toLowerCase() === t) ||
+      options.find(o => (o.innerText || "").trim().toLowerCase() === t);
+
+    if (!opt) continue;
+    const text = (opt.innerText || "").trim().toLowerCase();
+    if (isCombobox || opt.getAttribute("aria-selected") !== "true") pressElement(opt);
+    picked.push({ opt, text });
+  }
+
+  // Leave a combobox closed if nothing matched.
+  if (isCombobox && !picked.length && el.getAttribute("aria-expanded") === "true") {
+    fireKey(el, "keydown", "Escape");
+  }
+  return picked;
+}
+
+// Widget adapters: custom dropdowns, autocompletes and date pickers that a plain
+// value write can't drive. Each adapter has:
+// - name: reported to the model as field.widget
+// - detect(el): true when el is the fillable element of this widget
+// - internal(el): optional; true for the widget's own helper inputs, which are not fields
+// - options(el): optional; option candidates currently in the DOM as [{ el, text, value }]
+// - probe: options only render once the widget is opened, so extraction opens it briefly
+// - freeText: typed text may stand on its own when no option matches
+// - shownText(el): what the widget displays after a pick, used for verification
+// - clear(el): optional; how undo empties the widget (custom widgets can't be set back
+//   to an arbitrary earlier pick, so undo clears what the fill picked)
+// - fill(el, val): optional; replaces the default open -> type -> pick interaction
+// The first adapter whose detect() matches wins, so specific widgets come before generic ones.
+
+// Most options exposed to the model per widget, and most widgets opened during one extraction.
+const MAX_WIDGET_OPTIONS = 100;
+const MAX_PROBED_WIDGETS = 25;
+
+// Native input types with a fixed value format.
+const DATE_INPUT_FORMATS = {
+  date: "YYYY-MM-DD",
+  month: "YYYY-MM",
+  "datetime-local": "YYYY-MM-DDThh:mm"
+};
+
+function optionEntries(els) {
+  return els
+    .filter(o => o.getAttribute("aria-disabled") !== "true")
+    .map(o => ({ el: o, text: (o.innerText || "").trim(), value: o.getAttribute("data-value") || "" }));
+}
+
+// Rendered and not hidden (offsetParent is null for display:none subtrees).
+function isShown(el) {
+  return !!(el.offsetParent || el.getClientRects().length);
+}
+
+const WIDGET_ADAPTERS = [
+  {
+    // Select2 keeps the real <select> and re-renders its own UI on the select's change event.
+    name: "select2",
+    detect: el => el.tagName === "SELECT" &&
+      (el.classList.contains("select2-hidden-accessible") || !!el.nextElementSibling?.classList.contains("select2")),
+    internal: el => el.matches(".select2-search__field"),
+    fill: (el, val) => writeSelect(el, val)
+  },
+  {
+    // Choices.js hides the real <select> and ignores changes made to it, so picks go through its dropdown.
+    name: "choices",
+    detect: el => el.tagName === "SELECT" && !!el.closest(".choices"),
+    internal: el => el.matches(".choices__input--cloned"),
+    options: el => optionEntries(Array.from(
+      el.closest(".choices").querySelectorAll(".choices__list--dropdown .choices__item--choice:not(.choices__placeholder)")
+    )),
+    async fill(el, val) {
+      const wanted = (Array.isArray(val) ? val : [val]).map(v => String(v ?? "").trim()).filter(Boolean);
+      const container = el.closest(".choices");
+      const picked = [];
+
+      for (const w of (el.multiple ? wanted : wanted.slice(0, 1))) {
+        pressElement(container.querySelector(".choices__inner") || container);
+        const match = bestOptionMatch(this.options(el), w);
+        if (!match) continue;
+        pressElement(match.el);
+        picked.push(match.value || match.text);
+      }
+
+      if (!picked.length) return null;
+      return () => picked.every(v => Array.from(el.selectedOptions).some(o => o.value === v || o.text.trim() === v));
+    }
+  },
+  {
+    // react-select: input ids look like "react-select-3-input", options "react-select-3-option-0".
+    name: "react-select",
+    detect: el => el.tagName === "INPUT" && (/^react-select-\d+-input$/.test(el.id) || !!el.closest('[class*="react-select"]')),
+    probe: true,
+    options(el) {
+      const prefix = /^(react-select-\d+)-input$/.exec(el.id)?.[1];
+      const els = prefix
+        ? Array.from(el.getRootNode().querySelectorAll(`[id^="${prefix}-option-"]`))
+        : getAriaOptions(el);
+      return optionEntries(els);
+    },
+    shownText: el => (el.closest('[class*="-container"]') || el.parentElement)?.innerText || "",
+    // Backspace in the empty input removes the last value (multi) or clears (clearable single).
+    clear(el) {
+      const container = el.closest('[class*="-container"]') || el.parentElement;
+      const count = Math.max(1, container?.querySelectorAll('[class*="multiValue"]').length || 0);
+      el.focus({ preventScroll: true });
+      for (let i = 0; i < count; i++) fireKey(el, "keydown", "Backspace");
+      el.blur();
+    }
+  },
+  {
+    // MUI Autocomplete: the listbox is linked through aria-controls while open.
+    name: "mui-autocomplete",
+    detect: el => el.tagName === "INPUT" && !!el.closest(".MuiAutocomplete-root"),
+    probe: true,
+    options: el => optionEntries(getAriaOptions(el)),
+    shownText: el => `${el.closest(".MuiAutocomplete-root")?.innerText || ""} ${el.value}`,
+    clear(el) {
+      const button = el.closest(".MuiAutocomplete-root")?.querySelector(".MuiAutocomplete-clearIndicator");
+      if (button) pressElement(button);
+    }
+  },
+  {
+    // Google Places typeahead (location fields). Suggestions only appear after typing.
+    name: "places-autocomplete",
+    detect: el => el.tagName === "INPUT" && el.classList.contains("pac-target-input"),
+    freeText: true,
+    options: () => optionEntries(Array.from(document.querySelectorAll(".pac-container .pac-item")).filter(isShown)),
+    shownText: el => el.value
+  },
+  {
+    // Fallback for any other autocomplete input: ARIA combobox or <datalist>.
+    name: "aria-combobox",
+    detect: el => el.tagName === "INPUT" && (
+      (el.getAttribute("role") || "").toLowerCase() === "combobox" ||
+      ["list", "both"].includes((el.getAttribute("aria-autocomplete") || "").toLowerCase()) ||
+      !!el.list
+    ),
+    probe: true,
+    freeText: true,
+    options: el => el.list
+      ? Array.from(el.list.options).map(o => ({ el: null, text: (o.label || o.value || "").trim(), value: o.value }))
+      : optionEntries(getAriaOptions(el)),
+    shownText: el => el.value
+  },
+  {
+    // Date inputs and date pickers: the model's date is rewritten into the field's own format.
+    name: "date",
+    detect: el => !!dateFormatFor(el),
+    fill(el, val) {
+      const parts = parseDateValue(String(val ?? ""));
+      if (!parts) return null;
+
+      const text = formatDate(parts, dateFormatFor(el));
+      typeValue(el, text);
+
+      // flatpickr with altInput keeps the machine-format value in a hidden sibling.
+      const original = el.previousElementSibling;
+      if (original?.classList.contains("flatpickr-input") && original.type === "hidden") {
+        setNativeValue(original, formatDate(parts, "YYYY-MM-DD"));
+        fireChange(original);
+      }
+      return () => sameText(el.value, text);
+    }
+  }
+];
+
+function findWidgetAdapter(el) {
+  return WIDGET_ADAPTERS.find(a => a.detect(el)) || null;
+}
+
+function isWidgetInternal(el) {
+  return WIDGET_ADAPTERS.some(a => a.internal?.(el));
+}
+
+// Best option for a wanted value: exact value, exact text, then prefix and substring
+// matches (typeahead suggestions like "London, UK" for "London").
+function bestOptionMatch(options, wanted) {
+  const w = String(wanted ?? "").trim().toLowerCase();
+  if (!w) return null;
+  const text = o => o.text.toLowerCase();
+  return options.find(o => (o.value || "").toLowerCase() === w) ||
+    options.find(o => text(o) === w) ||
+    options.find(o => text(o).startsWith(w)) ||
+    options.find(o => text(o).includes(w)) ||
+    null;
+}
+
+// Open a widget just long enough to read its options, for extraction.
+async function probeWidgetOptions(adapter, el) {
+  el.focus({ preventScroll: true });
+  fireKey(el, "keydown", "ArrowDown");
+  const found = (await waitFor(() => {
+    const o = adapter.options(el);
+    return o.length ? o : null;
+  }, 400)) || [];
+  fireKey(el, "keydown", "Escape");
+  el.blur();
+  return found;
+}
+
+// Default adapter interaction: for each wanted value, type it, wait for suggestions
+// and pick the best one. Typed text is kept only for free-text widgets.
+async function fillTypeahead(adapter, el, val) {
+  const wanted = (Array.isArray(val) ? val : [val]).map(v => String(v ?? "").trim()).filter(Boolean);
+  const picked = [];
+
+  el.focus({ preventScroll: true });
+  for (const w of wanted) {
+    typeKeys(el, w);
+
+    // Suggestions are often fetched or debounced, so wait for a matching one.
+    const match = await waitFor(() => bestOptionMatch(adapter.options(el), w), 1500);
+    if (match?.el) {
+      pressElement(match.el);
+      picked.push(match.text);
+    } else if (match || adapter.freeText) {
+      // Datalist suggestions have no element to click; the typed text is the value.
+      picked.push(match?.value || w);
+    }
+  }
+
+  if (!picked.length) {
+    fireKey(el, "keydown", "Escape");
+    typeKeys(el, "");
+  }
+  fireChange(el);
+  el.blur();
+
+  if (!picked.length) return null;
+  return () => picked.every(t => adapter.shownText(el).toLowerCase().includes(t.toLowerCase()));
+}
+
+async function fillWidget(adapter, el, val) {
+  return adapter.fill ? adapter.fill(el, val) : fillTypeahead(adapter, el, val);
+}
+
+// Date format of a date input or masked date field, e.g. "DD/MM/YYYY"; "" if not a date field.
+// Masks come from placeholder-style hints like "dd/mm/yyyy" or data-date-format.
+function dateFormatFor(el) {
+  if (el.tagName !== "INPUT") return "";
+
+  const type = (el.getAttribute("type") || "").toLowerCase();
+  if (DATE_INPUT_FORMATS[type]) return DATE_INPUT_FORMATS[type];
+  if (type && type !== "text") return "";
+
+  const hints = ["data-date-format", "data-format", "placeholder", "aria-placeholder"].map(a => el.getAttribute(a) || "");
+  for (const hint of hints) {
+    const m = /\b(d{1,2}|m{1,2}|y{2,4})([/.\- ])(d{1,2}|m{1,2}|y{2,4})\2(d{1,2}|m{1,2}|y{2,4})\b/i.exec(hint);
+    if (!m) continue;
+    const fmt = m[0].toUpperCase();
+    if (/D/.test(fmt) && /M/.test(fmt) && /Y/.test(fmt)) return fmt;
+  }
+  return "";
+}
+
+// Parse a date written by the model. ISO (YYYY-MM-DD) is expected; numeric D/M/Y forms
+// and written-out months ("5 March 2024") are accepted too.
+function parseDateValue(s) {
+  const str = s.trim();
+  let parts = null;
+
+  let m = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:[T ](\d{1,2}):(\d{2}))?/.exec(str);
+  if (m) parts = { y: +m[1], M: +m[2], d: +(m[3] || 1), h: +(m[4] || 0), min: +(m[5] || 0) };
+
+  m = !parts && /^(\d{1,2})[/.\-](\d{1,2})[/.\-](\d{4}|\d{2})$/.exec(str);
+  if (m) {
+    const a = +m[1], b = +m[2];
+    let y = +m[3];
+    if (y < 100) y += y > 50 ? 1900 : 2000;
+    // Ambiguous day/month order: trust the numbers when one is > 12, otherwise the browser locale.
+    const monthFirst = a > 12 ? false : b > 12 ? true : /^en-US$/i.test(navigator.language);
+    parts = monthFirst ? { y, M: a, d: b, h: 0, min: 0 } : { y, M: b, d: a, h: 0, min: 0 };
+  }
+
+  if (!parts && /[a-z]/i.test(str) && !isNaN(Date.parse(str))) {
+    const dt = new Date(Date.parse(str));
+    parts = { y: dt.getFullYear(), M: dt.getMonth() + 1, d: dt.getDate(), h: 0, min: 0 };
+  }
+
+  if (!parts || parts.M < 1 || parts.M > 12 || parts.d < 1 || parts.d > 31) return null;
+  return parts;
+}
+
+// Format date parts with tokens YYYY, YY, MM, M, DD, D, hh, mm (minutes are lowercase).
+function formatDate(parts, fmt) {
+  const pad = n => String(n).padStart(2, "0");
+  const tokens = {
+    YYYY: String(parts.y), YY: pad(parts.y % 100),
+    MM: pad(parts.M), M: String(parts.M),
+    DD: pad(parts.d), D: String(parts.d),
+    hh: pad(parts.h), mm: pad(parts.min)
+  };
+  return fmt.replace(/YYYY|YY|MM|M|DD|D|hh|mm/g, t => tokens[t]);
+}
+
+// Write a mapping value into el. Returns a check that reports whether the value
+// stuck, or null when the value can't be applied at all (e.g. no matching option).
+// `val` is a string, or an array for multi-selects.
+async function writeField(el, val) {
   const tag = el.tagName.toLowerCase();
   const type = (el.getAttribute("type") || "").toLowerCase();
+  const role = getAriaRole(el);
 
-  if (tag === "select") {
-    const target = value.toLowerCase();
-    const opt =
-      Array.from(el.options).find(o => (o.value || "").toLowerCase() === target) ||
-      Array.from(el.options).find(o => (o.text || "").toLowerCase() === target);
-
-    if (opt) el.value = opt.value;
-    else el.value = value; // last resort
-  } else if (type === "checkbox" || type === "radio") {
-    const v = value.trim().toLowerCase();
-    el.checked = (v === "true" || v === "yes" || v === "1" || v === "checked");
-  } else {
-    el.value = value;
+  // Known custom widgets (dropdowns, autocompletes, date pickers) have their own interaction.
+  const adapter = findWidgetAdapter(el);
+  if (adapter) return fillWidget(adapter, el, val);
+
+  // Rich-text editors and ARIA textboxes take plain text.
+  if (isEditableHost(el) || role === "textbox") {
+    const text = Array.isArray(val) ? val.join(", ") : String(val ?? "");
+    setEditableText(el, text);
+    return () => sameText(el.innerText, text);
   }
 
-  el.dispatchEvent(new Event("input", { bubbles: true }));
-  el.dispatchEvent(new Event("change", { bubbles: true }));
+  // ARIA listbox/combobox: pick the matching option(s).
+  // A listbox marks picks with aria-selected; a combobox shows the picked text
+  // (its options are usually gone once it closes).
+  if (role === "listbox" || role === "combobox") {
+    const picked = await chooseAriaOptions(el, Array.isArray(val) ? val : [val]);
+    if (!picked.length) return null;
+    return role === "listbox"
+      ? () => picked.every(p => p.opt.getAttribute("aria-selected") === "true")
+      : () => picked.every(p => getWidgetText(el).toLowerCase().includes(p.text));
+  }
+
+  // Checkbox: accept common truthy strings.
+  if (type === "checkbox") {
+    const on = isTruthyValue(val);
+    setChecked(el, on);
+    return () => el.checked === on;
+  }
+
+  // Radio: try to match by value first, then by label text.
+  // Fallback: set this radio if the value is truthy.
+  if (type === "radio") {
+    const v = String(val ?? "").trim().toLowerCase();
+    const group = el.name ? radioGroup(el) : [];
+    const pick =
+      group.find(r => String(r.value || "").trim().toLowerCase() === v) ||
+      group.find(r => (r.closest("label")?.innerText || "").trim().toLowerCase() === v) ||
+      (isTruthyValue(val) ? el : null);
+
+    if (!pick) return null;
+    setChecked(pick, true);
+    return () => pick.checked;
+  }
+
+  // Select (single/multi): match options by value or visible text.
+  if (tag === "select") return writeSelect(el, val);
+
+  // Default: text-like inputs and textarea.
+  const text = (val === null || typeof val === "undefined") ? "" : String(val);
+  typeValue(el, text);
+  return () => sameText(el.value, text);
 }
 
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  try {
-    // Message protocol:
-    // - EXTRACT_FORM_FIELDS -> { fields: [...] }
-    // - APPLY_MAPPINGS -> applies mappings and returns { updated, skipped }
-    if (msg?.type === "EXTRACT_FORM_FIELDS") {
-      sendResponse({ fields: extractFields() });
-      return;
+// Prior state of every element touched by the last APPLY_MAPPINGS.
+// UNDO_FILL restores it; a new fill replaces it (a correction adds to it).
+let lastFillSnapshot = null;
+
+// Capture the current state of an element before it is written.
+// Radios capture the whole group, since checking one unchecks the others.
+// Editors keep their markup; ARIA widgets keep their visible text and are restored by
+// picking the same option(s) again; custom widgets with a clear() are cleared.
+function snapshotElement(el) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.getAttribute("type") || "").toLowerCase();
+  const role = getAriaRole(el);
+
+  const adapter = findWidgetAdapter(el);
+  if (adapter?.clear) return [{ el, clear: adapter.clear }];
+
+  if (isEditableHost(el)) return [{ el, html: el.innerHTML }];
+  if (role === "textbox") return [{ el, text: el.textContent }];
+  if (role) return [{ el, widgetText: getWidgetText(el) }];
+
+  if (type === "radio" && el.name) {
+    return radioGroup(el).map(r => ({ el: r, checked: r.checked }));
+  }
+  if (type === "checkbox" || type === "radio") return [{ el, checked: el.checked }];
+  if (tag === "select") return [{ el, selected: Array.from(el.options).map(o => o.selected) }];
+  return [{ el, value: el.value }];
+}
+
+// What a user sees in a field, for the fill history: before and after each write.
+function readFieldValue(el) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.getAttribute("type") || "").toLowerCase();
+  const role = getAriaRole(el);
+
+  if (isEditableHost(el)) return (el.innerText || "").trim();
+  if (role === "textbox") return (el.textContent || "").trim();
+  if (role) return getWidgetText(el);
+  if (type === "radio") {
+    const picked = (el.name ? radioGroup(el) : [el]).find(r => r.checked);
+    return picked ? (picked.closest("label")?.innerText || picked.value || "").trim() : "";
+  }
+  if (type === "checkbox") return el.checked ? "checked" : "unchecked";
+  if (tag === "select") return Array.from(el.selectedOptions).map(o => (o.text || "").trim()).join(", ");
+  return el.value || "";
+}
+
+// Put every captured element back the way it was, through the setter layer.
+// Elements removed from the DOM since the fill are ignored.
+async function restoreSnapshot(entries) {
+  let restored = 0;
+
+  for (const s of entries) {
+    if (!s.el.isConnected) continue;
+
+    if ("clear" in s) {
+      s.clear(s.el);
+    } else if ("widgetText" in s) {
+      // Best effort: options picked by the fill stay picked if the widget was empty before.
+      if (s.widgetText) await chooseAriaOptions(s.el, s.widgetText.split(", "));
+    } else if ("html" in s) {
+      withFocus(s.el, () => {
+        s.el.innerHTML = s.html;
+        fireInput(s.el, null);
+        fireChange(s.el);
+      });
+    } else if ("text" in s) {
+      setEditableText(s.el, s.text);
+    } else if ("checked" in s) {
+      setChecked(s.el, s.checked);
+    } else if ("selected" in s) {
+      selectOptions(s.el, Array.from(s.el.options).filter((o, i) => s.selected[i]));
+    } else {
+      typeValue(s.el, s.value);
     }
+    restored++;
+  }
 
-    if (msg?.type === "APPLY_MAPPINGS") {
-      let updated = 0, skipped = 0;
+  return restored;
+}
 
-      // Apply each mapping to the current DOM.
-      for (const m of (msg.mappings || [])) {
-        const sel = m?.selector;
-        const raw = m?.value;
-        const kind = (m?.kind || "").toLowerCase();
+// Fill highlights: after a fill, written fields get an outline (green = high confidence,
+// amber = low) and required fields still empty, or flagged by the page, get a red one. Hovering a highlighted
+// field shows the source the model cited. Outlines are inline styles on the page's own
+// elements, put back on undo, on the next fill, or when the user edits the field.
+const HIGH_CONFIDENCE = 0.8;
+const HIGHLIGHT_COLORS = { high: "#16a34a", low: "#f59e0b", missing: "#dc2626", invalid: "#dc2626" };
 
-        if (!sel) { skipped++; continue; }
+let fillHighlights = [];
+let highlightTip = null;
 
-        let el;
-        try { el = document.querySelector(sel); } catch { el = null; }
-        if (!el) { skipped++; continue; }
+// Visible element to outline: custom selects hide the real <select> behind their own UI.
+function highlightTarget(el) {
+  if (isShown(el)) return el;
+  const select2 = el.nextElementSibling?.classList.contains("select2") ? el.nextElementSibling : null;
+  return select2 || el.closest(".choices") || el.parentElement || el;
+}
 
-        const tag = el.tagName.toLowerCase();
-        const type = (el.getAttribute("type") || "").toLowerCase();
+function isRequiredField(el) {
+  return !!el.required || el.getAttribute("aria-required") === "true";
+}
 
-        // File inputs cannot be set programmatically for security.
-        if (type === "file") { skipped++; continue; }
+function isEmptyField(el) {
+  const type = (el.getAttribute("type") || "").toLowerCase();
+  if (type === "radio") return !(el.name ? radioGroup(el) : [el]).some(r => r.checked);
+  if (type === "checkbox") return !el.checked;
+  if (isEditableHost(el) || getAriaRole(el)) return !getWidgetText(el);
+  return !String(el.value ?? "").trim();
+}
 
-        // Normalize val (string by schema, but handle multi_select encoded JSON array string).
-        let val = raw;
+// Tooltip near the hovered field, in a shadow root so page CSS can't reach it.
+function showHighlightTip(target, text) {
+  if (!highlightTip) {
+    const host = document.createElement("div");
+    host.setAttribute("data-pawpaw", "tip");
+    const root = host.attachShadow({ mode: "open" });
+    root.innerHTML = `
+      <style>
+        .tip { position: fixed; z-index: 2147483647; max-width: 360px; padding: 6px 8px; border-radius: 6px;
+          background: #111827; color: #fff; font: 12px Arial, sans-serif; white-space: pre-wrap; pointer-events: none; }
+      </style>
+      <div class="tip"></div>`;
+    document.documentElement.appendChild(host);
+    highlightTip = { host, tip: root.querySelector(".tip") };
+  }
 
-        if (kind === "multi_select" && typeof val === "string") {
-          const s = val.trim();
-          if (s.startsWith("[") && s.endsWith("]")) {
-            try {
-              const arr = JSON.parse(s);
-              if (Array.isArray(arr)) val = arr;
-            } catch {}
-          }
-        }
+  const r = target.getBoundingClientRect();
+  highlightTip.tip.textContent = text;
+  highlightTip.tip.style.left = `${Math.max(4, r.left)}px`;
+  highlightTip.tip.style.top = `${r.bottom + 6}px`;
+}
 
-        // Checkbox: accept common truthy strings.
-        if (type === "checkbox") {
-          const v = String(val ?? "").trim().toLowerCase();
-          el.checked = (v === "true" || v === "yes" || v === "1" || v === "checked" || v === "on");
-          el.dispatchEvent(new Event("input", { bubbles: true }));
-          el.dispatchEvent(new Event("change", { bubbles: true }));
-          updated++;
-          continue;
-        }
+function hideHighlightTip() {
+  highlightTip?.host.remove();
+  highlightTip = null;
+}
 
-        // Radio: try to match by value first, then by label text.
-        if (type === "radio") {
-          const v = String(val ?? "").trim().toLowerCase();
-
-          if (el.name) {
-            const group = Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`));
-            const pick =
-              group.find(r => String(r.value || "").trim().toLowerCase() === v) ||
-              group.find(r => (r.closest("label")?.innerText || "").trim().toLowerCase() === v);
-
-            if (pick) {
-              pick.checked = true;
-              pick.dispatchEvent(new Event("input", { bubbles: true }));
-              pick.dispatchEvent(new Event("change", { bubbles: true }));
-              updated++;
-              continue;
-            }
-          }
-
-          // Fallback: set this radio if truthy.
-          if (v === "true" || v === "yes" || v === "1" || v === "checked" || v === "on") {
-            el.checked = true;
-            el.dispatchEvent(new Event("input", { bubbles: true }));
-            el.dispatchEvent(new Event("change", { bubbles: true }));
-            updated++;
-            continue;
-          }
-
-          skipped++;
-          continue;
-        }
+// level: "high" | "low" | "missing" | "invalid"
+function highlightField(el, level, note) {
+  const target = highlightTarget(el);
+  if (fillHighlights.some(h => h.target === target)) return;
 
-        // Select (single/multi): match options by value or visible text.
-        if (tag === "select") {
-          const isMultiple = el.multiple === true;
+  const h = {
+    el,
+    target,
+    outline: target.style.outline,
+    outlineOffset: target.style.outlineOffset,
+    show: () => showHighlightTip(target, note),
+    remove() {
+      target.style.outline = h.outline;
+      target.style.outlineOffset = h.outlineOffset;
+      target.removeEventListener("mouseenter", h.show);
+      target.removeEventListener("mouseleave", hideHighlightTip);
+      el.removeEventListener("input", h.onEdit);
+      el.removeEventListener("change", h.onEdit);
+      fillHighlights = fillHighlights.filter(x => x !== h);
+      hideHighlightTip();
+    },
+    // The user took over this field.
+    onEdit: (e) => { if (e.isTrusted) h.remove(); }
+  };
 
-          const wanted = Array.isArray(val)
-            ? val.map(x => String(x).trim().toLowerCase()).filter(Boolean)
-            : [String(val ?? "").trim().toLowerCase()].filter(Boolean);
+  target.style.outline = `2px solid ${HIGHLIGHT_COLORS[level]}`;
+  target.style.outlineOffset = "1px";
+  target.addEventListener("mouseenter", h.show);
+  target.addEventListener("mouseleave", hideHighlightTip);
+  el.addEventListener("input", h.onEdit);
+  el.addEventListener("change", h.onEdit);
+  fillHighlights.push(h);
+}
+
+function clearFillHighlights() {
+  for (const h of [...fillHighlights]) h.remove();
+}
 
-          if (!wanted.length) { skipped++; continue; }
+function describeMappingSource(m) {
+  const confidence = m.confidence === null || m.confidence === undefined
+    ? "Confidence unknown"
+    : `Confidence ${Math.round(m.confidence * 100)}%`;
+  return m.source ? `${confidence}\nSource: "${m.source}"` : `${confidence}\nNo source cited.`;
+}
 
-          const options = Array.from(el.options);
+// Highlight fields the page flagged, then written fields by confidence, then required
+// fields left empty among `fillable` (the fields the fill may write, see applyMappings).
+function highlightFill(written, invalid, fillable) {
+  for (const { el, error } of invalid) highlightField(el, "invalid", `The page says: ${error}`);
 
-          const resolveOne = (w) =>
-            options.find(o => String(o.value || "").trim().toLowerCase() === w) ||
-            options.find(o => String(o.text || "").trim().toLowerCase() === w);
+  for (const { el, mapping } of written) {
+    const level = (mapping.confidence ?? 1) >= HIGH_CONFIDENCE ? "high" : "low";
+    highlightField(el, level, describeMappingSource(mapping));
+  }
 
-          if (isMultiple) {
-            let any = false;
-            for (const o of options) o.selected = false;
+  const filled = new Set(written.map(w => w.el));
+  for (const el of fillable) {
+    if (!filled.has(el) && isRequiredField(el) && isEmptyField(el)) {
+      highlightField(el, "missing", "Required field not filled.");
+    }
+  }
+}
 
-            for (const w of wanted) {
-              const opt = resolveOne(w);
-              if (opt) { opt.selected = true; any = true; }
-            }
+// Validation after a fill: sites show their messages on blur, on "invalid" events or a
+// moment after the value changed, so checkValidity() runs first and errors are read after
+// a pause. Each failing field comes back as a field descriptor (see extractField) with the
+// value that was tried and the page's message in `error`.
+const VALIDATION_DELAY_MS = 300;
 
-            if (!any) { skipped++; continue; }
+function describeValidityError(el) {
+  if (el.validity && !el.validity.valid) {
+    if (el.validity.valueMissing) return "This field is required.";
+    return el.validationMessage || "The value does not match the field's format.";
+  }
+  return el.getAttribute("aria-invalid") === "true" ? "The page marked this value as invalid." : "";
+}
 
-            el.dispatchEvent(new Event("input", { bubbles: true }));
-            el.dispatchEvent(new Event("change", { bubbles: true }));
-            updated++;
-            continue;
-          }
+// written: [{ el, mapping, result }] from this fill. Required fields among `candidates`
+// that are still empty are checked too.
+async function collectInvalidFields(written, candidates) {
+  const checked = new Map(written.map(w => [w.el, { selector: w.mapping.selector, value: w.mapping.value, rejected: w.result.status === "rejected" }]));
+  const seen = new Set();
+  for (const el of candidates) {
+    const first = fieldGroup(el)[0];
+    if (checked.has(el) || seen.has(first)) continue;
+    seen.add(first);
+    if (isRequiredField(el) && isEmptyField(el)) checked.set(el, { selector: buildSelector(el), value: "", rejected: false });
+  }
 
-          const opt = resolveOne(wanted[0]);
-          if (!opt) { skipped++; continue; }
+  for (const el of checked.keys()) {
+    try { el.checkValidity?.(); } catch {}
+  }
+  if (checked.size) await new Promise(r => setTimeout(r, VALIDATION_DELAY_MS));
 
-          el.value = opt.value;
-          el.dispatchEvent(new Event("input", { bubbles: true }));
-          el.dispatchEvent(new Event("change", { bubbles: true }));
-          updated++;
-          continue;
-        }
+  const invalid = [];
+  for (const [el, { selector, value, rejected }] of checked) {
+    const error = getFieldErrorText(el) || describeValidityError(el) ||
+      (rejected ? "The page did not keep this value." : "");
+    if (!error) continue;
+    invalid.push({ el, field: { ...extractField(el), selector, value: Array.isArray(value) ? JSON.stringify(value) : String(value ?? ""), error } });
+  }
+  return invalid;
+}
 
-        // Default: text-like inputs and textarea.
-        const textValue = (val === null || typeof val === "undefined") ? "" : String(val);
-        el.value = textValue;
-        el.dispatchEvent(new Event("input", { bubbles: true }));
-        el.dispatchEvent(new Event("change", { bubbles: true }));
-        updated++;
+// Apply model mappings to this frame's DOM.
+// Returns { updated, rejected, skipped, rematched, lost, results: [{ selector, status, matched, reason, before, after }], invalid }
+// where status is:
+// - "updated": written and still in place after the page reacted
+// - "rejected": written, but the page reverted or refused it
+// - "skipped": not written (element not found, file input, no matching option...)
+// reason: why a field was skipped or rejected: "not_found", "out_of_scope", "sensitive",
+// "unconfirmed", "file_input", "no_matching_option" or "reverted".
+// before / after: the field's visible value around the write (see readFieldValue).
+// matched: how the element was found (see resolveField); "lost" when it is gone.
+// policy: "block" or "confirm" when the sensitive-field policy kept the value out (see
+// loadFieldPolicy); "confirm" fields are written when the mapping has confirmed: true.
+// blocked: the fields the policy blocks in this frame, [{ selector, label, category }].
+// rematched counts fields found again by fingerprint after the page replaced them.
+// invalid: fields the page's validation still fails afterwards (see collectInvalidFields).
+// amend: a correction of the last fill. Undo then still restores the values from before
+// that fill, and only the re-written fields lose their highlight.
+// leave: selectors of fields the user decided against (unchecked in the review). They are
+// not checked as required-but-empty, so no correction is asked for them.
+async function applyMappings(mappings, { amend = false, leave = [] } = {}) {
+  const results = [];
+  const checks = [];
+  if (amend) {
+    const targets = new Set((mappings || []).map(m => resolveField(m?.selector)?.el).filter(Boolean));
+    for (const h of fillHighlights.filter(x => targets.has(x.el))) h.remove();
+  } else {
+    clearFillHighlights();
+  }
+
+  // Snapshot keyed by element so each one is captured once, before its first write.
+  const snapshot = new Map(amend && lastFillSnapshot ? lastFillSnapshot.map(s => [s.el, s]) : []);
+  const remember = (el) => {
+    for (const s of snapshotElement(el)) if (!snapshot.has(s.el)) snapshot.set(s.el, s);
+  };
+
+  // Apply each mapping to the current DOM.
+  const claimed = new Set();
+  const policyOf = await loadFieldPolicy();
+  for (const m of (mappings || [])) {
+    const sel = m?.selector;
+    const kind = (m?.kind || "").toLowerCase();
+
+    const target = sel ? resolveField(sel, claimed) : null;
+    if (!target) {
+      results.push({ selector: sel, status: "skipped", matched: "lost", reason: "not_found" });
+      continue;
+    }
+    const { el, matched } = target;
+    claimed.add(el);
+    const skip = (reason, extra) => results.push({ selector: sel, status: "skipped", matched, reason, ...extra });
+
+    // Nothing outside a picked scope is written, whatever the mapping says.
+    if (hasFieldScope() && !inFieldScope(el)) { skip("out_of_scope"); continue; }
+
+    const policy = policyOf(el);
+    if (policy.action === "block" || (policy.action === "confirm" && !m.confirmed)) {
+      skip(policy.action === "block" ? "sensitive" : "unconfirmed", { policy: policy.action });
+      continue;
+    }
+
+    // File inputs cannot be set programmatically for security.
+    if ((el.getAttribute("type") || "").toLowerCase() === "file") { skip("file_input"); continue; }
+
+    remember(el);
+    const before = readFieldValue(el);
+
+    // Normalize val (string by schema, but handle multi_select encoded JSON array string).
+    let val = m.value;
+
+    if (kind === "multi_select" && typeof val === "string") {
+      const s = val.trim();
+      if (s.startsWith("[") && s.endsWith("]")) {
+        try {
+          const arr = JSON.parse(s);
+          if (Array.isArray(arr)) val = arr;
+        } catch {}
       }
+    }
+
+    const verify = await writeField(el, val);
+    if (!verify) { skip("no_matching_option", { before }); continue; }
+
+    const result = { selector: sel, status: "updated", matched, before };
+    results.push(result);
+    checks.push({ result, verify, el, mapping: m });
+  }
+
+  // Controlled inputs revert on the framework's next render, so check after a short pause.
+  if (checks.length) await new Promise(r => setTimeout(r, VERIFY_DELAY_MS));
+  for (const { result, verify, el } of checks) {
+    let ok = false;
+    try { ok = verify(); } catch {}
+    if (!ok) Object.assign(result, { status: "rejected", reason: "reverted" });
+    result.after = readFieldValue(el);
+  }
+  // Fields in the fill scope the policy lets through: the ones the report is about.
+  const fillable = (await scopedFieldElements()).filter(el => policyOf(el).action === "allow");
+  const left = new Set(leave.map(sel => resolveField(sel)?.el).filter(Boolean).map(el => fieldGroup(el)[0]));
+  const invalid = await collectInvalidFields(checks, fillable.filter(el => !left.has(fieldGroup(el)[0])));
+  highlightFill(checks.filter(c => c.result.status === "updated"), invalid.map(i => ({ el: i.el, error: i.field.error })), fillable);
+
+  // A fill that changed nothing still replaces the last one: undo must not reach past it.
+  if (snapshot.size) lastFillSnapshot = Array.from(snapshot.values());
+  else if (!amend) lastFillSnapshot = null;
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  return {
+    updated: count("updated"),
+    rejected: count("rejected"),
+    skipped: count("skipped"),
+    rematched: results.filter(r => r.matched === "fingerprint").length,
+    lost: results.filter(r => r.matched === "lost").length,
+    results,
+    blocked: await listBlockedFields(policyOf),
+    invalid: invalid.map(i => i.field)
+  };
+}
+
+// In-page bar and field observer, shared by wizard and batch mode. Both sessions live
+// in the background (wizard.js, batch.js), so they survive navigations.
+const IS_TOP_FRAME = window === window.top;
+
+// Anything whose appearance may mean a new form or step (iframes can hold one too).
+const ADDED_FIELD_QUERY = 'input, textarea, select, iframe, [contenteditable], [role="textbox"], [role="combobox"], [role="listbox"]';
+
+let pageBar = null;
+let addedFieldObserver = null;
+
+// Callbacks run when fields are added to the page, by mode ("wizard", "batch").
+// Each one debounces its own check, since SPA steps render in many small mutations.
+const addedFieldCallbacks = new Map();
+
+function watchAddedFields(mode, callback) {
+  addedFieldCallbacks.set(mode, callback);
+  if (addedFieldObserver) return;
+  addedFieldObserver = new MutationObserver(records => {
+    const added = records.some(r => Array.from(r.addedNodes).some(n =>
+      n.nodeType === 1 && n !== pageBar?.host && (n.matches(ADDED_FIELD_QUERY) || !!n.querySelector(ADDED_FIELD_QUERY))
+    ));
+    if (added) for (const callback of addedFieldCallbacks.values()) callback();
+  });
+  addedFieldObserver.observe(document.documentElement, { childList: true, subtree: true });
+}
+
+function unwatchAddedFields(mode) {
+  addedFieldCallbacks.delete(mode);
+  if (addedFieldCallbacks.size) return;
+  addedFieldObserver?.disconnect();
+  addedFieldObserver = null;
+}
+
+// Fixed bar at the bottom of the page. Rendered in a shadow root so page CSS can't reach it.
+// actions: [[label, onClick], ...]
+function showPageBar(message, actions) {
+  if (!pageBar) {
+    const host = document.createElement("div");
+    host.setAttribute("data-pawpaw", "bar");
+    const root = host.attachShadow({ mode: "open" });
+    root.innerHTML = `
+      <style>
+        .bar { position: fixed; left: 16px; right: 16px; bottom: 16px; z-index: 2147483647;
+          display: flex; align-items: center; gap: 8px; padding: 10px 12px; border-radius: 8px;
+          background: #111827; color: #fff; font: 13px Arial, sans-serif; box-shadow: 0 4px 16px rgba(0,0,0,.3); }
+        .text { flex: 1; }
+        button { padding: 6px 10px; border: 0; border-radius: 4px; cursor: pointer;
+          background: #FF9900; color: #111827; font: bold 12px Arial, sans-serif; }
+        button + button { background: #374151; color: #fff; }
+      </style>
+      <div class="bar"><span class="text"></span><span class="actions"></span></div>`;
+    document.documentElement.appendChild(host);
+    pageBar = { host, text: root.querySelector(".text"), actions: root.querySelector(".actions") };
+  }
 
-      sendResponse({ updated, skipped });
+  pageBar.text.textContent = message;
+  pageBar.actions.textContent = "";
+  for (const [label, onClick] of actions) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    pageBar.actions.appendChild(button);
+  }
+}
+
+function hidePageBar() {
+  pageBar?.host.remove();
+  pageBar = null;
+}
+
+// Wizard mode (top frame only): while a wizard session runs in this tab, watch for
+// new form steps and offer to fill them in the page bar.
+let wizardCheckTimer = null;
+let wizardBusy = false;
+
+// Ask the background whether the page has unfilled fields.
+function scheduleWizardCheck() {
+  clearTimeout(wizardCheckTimer);
+  wizardCheckTimer = setTimeout(() => {
+    if (!wizardBusy) chrome.runtime.sendMessage({ type: "WIZARD_CHECK_STEP" }).catch(() => {});
+  }, 1000);
+}
+
+function stopWizard() {
+  unwatchAddedFields("wizard");
+  clearTimeout(wizardCheckTimer);
+  hidePageBar();
+}
+
+function endWizardFromBar() {
+  stopWizard();
+  chrome.runtime.sendMessage({ type: "WIZARD_END" }).catch(() => {});
+}
+
+function offerWizardStep({ step, fieldCount }) {
+  if (wizardBusy) return;
+  watchAddedFields("wizard", scheduleWizardCheck);
+  showPageBar(`Paw Paw wizard: step ${step} has ${fieldCount} new field(s).`, [
+    [`Fill step ${step}`, fillWizardStepFromBar],
+    ["Dismiss", () => {
+      hidePageBar();
+      chrome.runtime.sendMessage({ type: "WIZARD_DISMISS_STEP" }).catch(() => {});
+    }],
+    ["End wizard", endWizardFromBar]
+  ]);
+}
+
+async function fillWizardStepFromBar() {
+  wizardBusy = true;
+  showPageBar("Paw Paw wizard: filling this step...", []);
+  const res = await chrome.runtime.sendMessage({ type: "WIZARD_FILL_STEP" })
+    .catch(e => ({ error: String(e.message || e) }));
+  wizardBusy = false;
+
+  if (res?.error) {
+    showPageBar(`Paw Paw wizard: ${res.error}`, [
+      ["Retry", fillWizardStepFromBar],
+      ["Close", hidePageBar],
+      ["End wizard", endWizardFromBar]
+    ]);
+    return;
+  }
+
+  // Submitting / moving to the next step stays with the user.
+  showPageBar(
+    `Paw Paw wizard: step ${res.step} filled (updated ${res.updated}, rejected ${res.rejected}, skipped ${res.skipped}` +
+    `${res.lowConfidence ? `, ${res.lowConfidence} below confidence threshold` : ""}` +
+    `${res.lost ? `, ${res.lost} no longer on the page` : ""}` +
+    `${res.corrected ? `, ${res.corrected} corrected after the page's validation` : ""}` +
+    `${res.invalid ? `, ${res.invalid} still flagged by the page (outlined in red)` : ""}` +
+    `${res.unconfirmed ? `, ${res.unconfirmed} left for you to confirm yourself` : ""}` +
+    `${res.blocked ? `, ${res.blocked} sensitive field(s) left alone` : ""}). ` +
+    "Check the values, then click Next / Submit yourself.",
+    [
+      ["Undo", async () => {
+        const undo = await chrome.runtime.sendMessage({ type: "WIZARD_UNDO" }).catch(e => ({ error: String(e.message || e) }));
+        showPageBar(undo?.error ? `Paw Paw wizard: ${undo.error}` : `Paw Paw wizard: restored ${undo.restored} field(s).`, [
+          ["Close", hidePageBar]
+        ]);
+      }],
+      ["Close", hidePageBar],
+      ["End wizard", endWizardFromBar]
+    ]
+  );
+
+  // Filling can reveal conditional fields.
+  scheduleWizardCheck();
+}
+
+// On every page load of the tab: resume watching if a wizard is running.
+if (IS_TOP_FRAME) {
+  chrome.runtime.sendMessage({ type: "WIZARD_CHECK_STEP" })
+    .then(res => { if (res?.active) watchAddedFields("wizard", scheduleWizardCheck); })
+    .catch(() => {});
+}
+
+// Batch mode (see batch.js): every frame reports its page loads, since a reload of the
+// frame holding the form means the row was submitted. Frames that were written to watch
+// their fields for the reset that follows a submit on single-page forms, and the top
+// frame shows progress in the page bar.
+const BATCH_WATCH_INTERVAL_MS = 1000;
+
+let batchCheckTimer = null;
+let batchWatchTimer = null;
+
+function scheduleBatchCheck() {
+  clearTimeout(batchCheckTimer);
+  batchCheckTimer = setTimeout(() => {
+    chrome.runtime.sendMessage({ type: "BATCH_CHECK" }).then(followBatchState).catch(() => {});
+  }, 1000);
+}
+
+// Watch for the form to show up while a row waits for it.
+function followBatchState(res) {
+  if (res?.active && res.state === "fill") watchAddedFields("batch", scheduleBatchCheck);
+  else unwatchAddedFields("batch");
+}
+
+// Whether a field captured in lastFillSnapshot is back to its state from before the fill.
+// Cleared widgets have no prior state to compare with.
+function matchesSnapshot(s) {
+  const el = s.el;
+  if ("value" in s) return el.value === s.value;
+  if ("checked" in s) return el.checked === s.checked;
+  if ("selected" in s) return Array.from(el.options).every((o, i) => o.selected === !!s.selected[i]);
+  if ("html" in s) return el.innerHTML === s.html;
+  if ("text" in s) return el.textContent === s.text;
+  if ("widgetText" in s) return getWidgetText(el) === s.widgetText;
+  return false;
+}
+
+function stopBatchWatch() {
+  clearInterval(batchWatchTimer);
+  batchWatchTimer = null;
+}
+
+// After a row is filled: the form was submitted once every field the fill changed is
+// back to its earlier state (the form reset) or gone from the page.
+function watchBatchRow(row) {
+  stopBatchWatch();
+  const entries = (lastFillSnapshot || []).filter(s => !("clear" in s) && s.el.isConnected && !matchesSnapshot(s));
+  if (!entries.length) return;
+
+  batchWatchTimer = setInterval(() => {
+    const present = entries.filter(s => s.el.isConnected);
+    if (present.length && !present.every(matchesSnapshot)) return;
+    stopBatchWatch();
+    chrome.runtime.sendMessage({ type: "BATCH_SUBMITTED", row }).then(followBatchState).catch(() => {});
+  }, BATCH_WATCH_INTERVAL_MS);
+}
+
+async function sendBatchAction(type, extra = {}) {
+  const res = await chrome.runtime.sendMessage({ type, ...extra }).catch(e => ({ error: String(e.message || e) }));
+  if (res?.error) showPageBar(`Paw Paw batch: ${res.error}`, [["Close", hidePageBar]]);
+}
+
+// Progress bar for the current row (top frame), from BATCH_STATE.
+function showBatchState({ state, row, total, note, previous, counts }) {
+  const stop = ["Stop", () => sendBatchAction("BATCH_STOP")];
+  const skip = ["Skip row", () => sendBatchAction("BATCH_SKIP")];
+  const saved = previous ? `Row ${previous} counted as saved. ` : "";
+  const notSaved = previous ? [[`Row ${previous} wasn't saved`, () => sendBatchAction("BATCH_MARK_FAILED", { row: previous })]] : [];
+
+  if (state === "fill") {
+    showPageBar(`${saved}Paw Paw batch: waiting for the form to fill row ${row}/${total}.`, [...notSaved, skip, stop]);
+  } else if (state === "submit") {
+    showPageBar(
+      `${saved}Paw Paw batch: row ${row}/${total} filled (${note}). ` +
+      "Check it and submit the form; the next row is filled when the form resets or the page reloads.",
+      [["Refill", () => sendBatchAction("BATCH_REFILL")], skip, ...notSaved, stop]
+    );
+  } else if (state === "error") {
+    showPageBar(`Paw Paw batch: row ${row}/${total} failed: ${note}`, [["Retry", () => sendBatchAction("BATCH_REFILL")], skip, stop]);
+  } else if (state === "finished") {
+    showPageBar(
+      `Paw Paw batch finished: ${counts.done || 0} done, ${counts.skipped || 0} skipped, ${counts.failed || 0} failed. ` +
+      "The popup lists every row.",
+      [...notSaved, ["Close", hidePageBar]]
+    );
+  } else {
+    hidePageBar();
+  }
+}
+
+// On every page load, in every frame: a reload can complete the current row.
+chrome.runtime.sendMessage({ type: "BATCH_CHECK", loaded: true }).then(followBatchState).catch(() => {});
+
+// Toast (top frame): progress and result of fills started outside the popup (keyboard
+// shortcut, context menu, floating button; see quickfill.js). Hides itself after a while
+// unless the fill is still running.
+const TOAST_HIDE_MS = 10000;
+
+let toast = null;
+let toastTimer = null;
+
+function hideToast() {
+  clearTimeout(toastTimer);
+  toast?.host.remove();
+  toast = null;
+}
+
+function showToast({ message, busy, undo }) {
+  if (!toast) {
+    const host = document.createElement("div");
+    host.setAttribute("data-pawpaw", "toast");
+    const root = host.attachShadow({ mode: "open" });
+    root.innerHTML = `
+      <style>
+        .toast { position: fixed; top: 16px; right: 16px; z-index: 2147483647; max-width: 360px;
+          display: flex; align-items: flex-start; gap: 8px; padding: 10px 12px; border-radius: 8px;
+          background: #111827; color: #fff; font: 13px/1.4 Arial, sans-serif; box-shadow: 0 4px 16px rgba(0,0,0,.3); }
+        .text { flex: 1; white-space: pre-wrap; }
+        button { padding: 4px 8px; border: 0; border-radius: 4px; cursor: pointer;
+          background: #FF9900; color: #111827; font: bold 12px Arial, sans-serif; }
+        .close { background: transparent; color: #9ca3af; padding: 0 2px; }
+      </style>
+      <div class="toast"><span class="text"></span><span class="actions"></span></div>`;
+    document.documentElement.appendChild(host);
+    toast = { host, text: root.querySelector(".text"), actions: root.querySelector(".actions") };
+  }
+
+  toast.text.textContent = message;
+  toast.actions.textContent = "";
+  if (undo) {
+    const button = document.createElement("button");
+    button.textContent = "Undo";
+    button.addEventListener("click", async () => {
+      const res = await chrome.runtime.sendMessage({ type: "QUICK_FILL_UNDO" }).catch(e => ({ error: String(e.message || e) }));
+      showToast({ message: res?.error ? `Paw Paw: ${res.error}` : `Paw Paw: restored ${res.restored} field(s).` });
+    });
+    toast.actions.appendChild(button);
+  }
+  const close = document.createElement("button");
+  close.className = "close";
+  close.textContent = "×";
+  close.title = "Close";
+  close.addEventListener("click", hideToast);
+  toast.actions.appendChild(close);
+
+  clearTimeout(toastTimer);
+  if (!busy) toastTimer = setTimeout(hideToast, TOAST_HIDE_MS);
+}
+
+// Last right-clicked element, for "Fill this field with…" in the context menu.
+let contextTarget = null;
+document.addEventListener("contextmenu", e => { contextTarget = e.composedPath()[0]; }, true);
+
+// The field under the last right-click, described as in EXTRACT_FORM_FIELDS, or null.
+// { field } for GET_CONTEXT_FIELD; field is null (with the policy category in blocked)
+// when the field is one the policy blocks.
+async function getContextField() {
+  const target = contextTarget;
+  if (!target?.isConnected) return { field: null };
+  const el = collectRoots().flatMap(collectFieldElements).find(el => el === target || el.contains(target));
+  if (!el) return { field: null };
+  const [field] = await extractFields({ probe: false, elements: [el] });
+  return field ? { field } : { field: null, blocked: (await loadFieldPolicy())(el).category };
+}
+
+// Floating button (optional, see the popup): a small Paw Paw button at the top-right
+// corner of every form with a few fields, in every frame. Clicking it fills the whole
+// page like the keyboard shortcut. Buttons sit in one fixed layer and follow their form
+// on scroll and resize.
+const FLOATING_MIN_FIELDS = 2;
+
+let floatingLayer = null;
+let floatingRefreshTimer = null;
+let floatingFrame = 0;
+
+function floatingForms() {
+  const forms = collectRoots()
+    .flatMap(root => Array.from(root.querySelectorAll('form, [role="form"]')))
+    .filter(form => collectFieldElements(form).length >= FLOATING_MIN_FIELDS);
+  // A form inside another candidate gets no button of its own.
+  return forms.filter(form => !forms.some(other => other !== form && other.contains(form)));
+}
+
+function placeFloatingButtons() {
+  floatingFrame = 0;
+  if (!floatingLayer) return;
+  for (const [form, button] of floatingLayer.buttons) {
+    const r = form.getBoundingClientRect();
+    const visible = form.isConnected && r.width > 0 && r.height > 0 && r.bottom > 0 && r.top < window.innerHeight;
+    button.style.display = visible ? "" : "none";
+    button.style.top = `${Math.max(4, r.top + 4)}px`;
+    button.style.left = `${Math.min(window.innerWidth - 32, r.right - 32)}px`;
+  }
+}
+
+function schedulePlaceFloatingButtons() {
+  if (!floatingFrame) floatingFrame = requestAnimationFrame(placeFloatingButtons);
+}
+
+function refreshFloatingButtons() {
+  if (!floatingLayer) {
+    const host = document.createElement("div");
+    host.setAttribute("data-pawpaw", "floating");
+    const root = host.attachShadow({ mode: "open" });
+    root.innerHTML = `
+      <style>
+        button { position: fixed; z-index: 2147483646; width: 28px; height: 28px; padding: 0;
+          border: 0; border-radius: 14px; cursor: pointer; background: #FF9900;
+          font: 15px Arial, sans-serif; box-shadow: 0 2px 6px rgba(0,0,0,.3); opacity: .85; }
+        button:hover { opacity: 1; }
+      </style>`;
+    document.documentElement.appendChild(host);
+    floatingLayer = { host, root, buttons: new Map() };
+  }
+
+  const forms = floatingForms();
+  for (const [form, button] of floatingLayer.buttons) {
+    if (forms.includes(form)) continue;
+    button.remove();
+    floatingLayer.buttons.delete(form);
+  }
+  for (const form of forms) {
+    if (floatingLayer.buttons.has(form)) continue;
+    const button = document.createElement("button");
+    button.textContent = "🐾";
+    button.title = "Fill this form with Paw Paw";
+    button.addEventListener("click", () => chrome.runtime.sendMessage({ type: "QUICK_FILL" }).catch(() => {}));
+    floatingLayer.root.appendChild(button);
+    floatingLayer.buttons.set(form, button);
+  }
+  placeFloatingButtons();
+}
+
+function scheduleFloatingRefresh() {
+  clearTimeout(floatingRefreshTimer);
+  floatingRefreshTimer = setTimeout(refreshFloatingButtons, 500);
+}
+
+function setFloatingButtons(on) {
+  if (on) {
+    watchAddedFields("floating", scheduleFloatingRefresh);
+    window.addEventListener("scroll", schedulePlaceFloatingButtons, { capture: true, passive: true });
+    window.addEventListener("resize", schedulePlaceFloatingButtons, { passive: true });
+    refreshFloatingButtons();
+    return;
+  }
+  unwatchAddedFields("floating");
+  window.removeEventListener("scroll", schedulePlaceFloatingButtons, { capture: true });
+  window.removeEventListener("resize", schedulePlaceFloatingButtons);
+  clearTimeout(floatingRefreshTimer);
+  floatingLayer?.host.remove();
+  floatingLayer = null;
+}
+
+chrome.storage.local.get(["floatingButton"]).then(({ floatingButton }) => {
+  if (floatingButton) setFloatingButtons(true);
+}).catch(() => {});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.floatingButton) setFloatingButtons(!!changes.floatingButton.newValue);
+});
+
+// Fill scope: the part of the page extraction and APPLY_MAPPINGS are limited to.
+// The user picks it on the page (see scope.js): click a form, drag around a section or
+// shift-click single fields. Without a picked scope, fields that clearly belong to
+// something else are left out (site search, newsletter and login boxes): those in the
+// page's nav / header / footer, and those owned by another form than the main one.
+const SCOPE_FORM_QUERY = 'form, [role="form"]';
+const SCOPE_SECTION_QUERY = 'fieldset, section, [role="group"], [role="region"]';
+const UNRELATED_REGION_QUERY = 'nav, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"], [role="search"]';
+const PICKER_DRAG_MIN_PX = 8;
+const SCOPE_CROP_PADDING = 24;
+
+// Picked containers (forms, sections) and single fields; both empty = no scope.
+const scopeContainers = new Set();
+const scopeFields = new Set();
+// Iframes holding a scope of their own (reported by their content script), for the crop.
+const scopedChildFrames = new Set();
+
+let scopePicker = null;
+
+// Like Node.contains / Element.closest, but across shadow-root boundaries.
+function composedContains(container, el) {
+  for (let n = el; n; n = n.parentNode || n.host) if (n === container) return true;
+  return false;
+}
+
+function closestComposed(el, selector, test = () => true) {
+  for (let n = el; n; n = n.parentNode || n.host) {
+    if (n.nodeType === 1 && n.matches(selector) && test(n)) return n;
+  }
+  return null;
+}
+
+function fieldsIn(container) {
+  return collectRoots(container).flatMap(collectFieldElements);
+}
+
+function hasFieldScope() {
+  for (const set of [scopeContainers, scopeFields]) {
+    for (const el of set) if (!el.isConnected) set.delete(el);
+  }
+  return scopeContainers.size + scopeFields.size > 0;
+}
+
+function inFieldScope(el) {
+  return scopeFields.has(el) || Array.from(scopeContainers).some(c => composedContains(c, el));
+}
+
+function scopeFieldCount() {
+  return hasFieldScope() ? collectRoots().flatMap(collectFieldElements).filter(inFieldScope).length : 0;
+}
+
+function formOwner(el) {
+  return el.form || closestComposed(el, SCOPE_FORM_QUERY);
+}
+
+// Fields minus the ones that clearly aren't part of the main form. A page whose only
+// fields sit in a header or footer keeps them. Fields outside any form are kept.
+function dropUnrelatedFields(els) {
+  const outside = els.filter(el => !closestComposed(el, UNRELATED_REGION_QUERY));
+  const kept = outside.length ? outside : els;
+
+  const counts = new Map();
+  for (const el of kept) {
+    const owner = formOwner(el);
+    counts.set(owner, (counts.get(owner) || 0) + 1);
+  }
+  const main = Array.from(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+  return kept.filter(el => {
+    const owner = formOwner(el);
+    return !owner || owner === main;
+  });
+}
+
+async function scopedFieldElements() {
+  const els = collectRoots().flatMap(collectFieldElements);
+  if (hasFieldScope()) return els.filter(inFieldScope);
+  const { skipUnrelatedFields = true } = await chrome.storage.local.get(["skipUnrelatedFields"]).catch(() => ({}));
+  return skipUnrelatedFields ? dropUnrelatedFields(els) : els;
+}
+
+// Tell the parent frame whether this frame holds (part of) the scope, so the top frame
+// can crop the screenshot to the iframe.
+function reportScopeToParent() {
+  if (!IS_TOP_FRAME) window.parent.postMessage({ pawpaw: "scope-frame", scoped: hasFieldScope() || scopedChildFrames.size > 0 }, "*");
+}
+
+window.addEventListener("message", e => {
+  if (e.data?.pawpaw !== "scope-frame") return;
+  const frame = collectRoots().flatMap(r => Array.from(r.querySelectorAll("iframe, frame"))).find(f => f.contentWindow === e.source);
+  if (!frame) return;
+  if (e.data.scoped) scopedChildFrames.add(frame);
+  else scopedChildFrames.delete(frame);
+  reportScopeToParent();
+});
+
+// The scope's area in the viewport (top frame), padded and clipped, or null.
+// viewportWidth lets the popup scale it to the screenshot's pixels.
+function scopeRect() {
+  const els = hasFieldScope() ? [...scopeContainers, ...scopeFields] : [];
+  const rects = [...els, ...Array.from(scopedChildFrames).filter(f => f.isConnected)]
+    .map(el => el.getBoundingClientRect())
+    .filter(r => r.width && r.height);
+  if (!rects.length) return null;
+
+  const left = Math.max(0, Math.min(...rects.map(r => r.left)) - SCOPE_CROP_PADDING);
+  const top = Math.max(0, Math.min(...rects.map(r => r.top)) - SCOPE_CROP_PADDING);
+  const right = Math.min(window.innerWidth, Math.max(...rects.map(r => r.right)) + SCOPE_CROP_PADDING);
+  const bottom = Math.min(window.innerHeight, Math.max(...rects.map(r => r.bottom)) + SCOPE_CROP_PADDING);
+  if (right <= left || bottom <= top) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top, viewportWidth: window.innerWidth };
+}
+
+function clearFieldScope() {
+  scopeContainers.clear();
+  scopeFields.clear();
+  drawScope();
+  reportScopeToParent();
+}
+
+// Picker (every frame while picking). Boxes are drawn in a fixed layer that ignores the
+// mouse, so the page element under the cursor is always the one picked.
+function isPawPawUi(e) {
+  return e.composedPath().some(n => n.getAttribute?.("data-pawpaw"));
+}
+
+function placeBox(box, rect) {
+  box.style.display = rect ? "" : "none";
+  if (!rect) return;
+  Object.assign(box.style, { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+}
+
+function addBox(className) {
+  const box = document.createElement("div");
+  box.className = `box ${className}`;
+  box.style.display = "none";
+  scopePicker.root.appendChild(box);
+  return box;
+}
+
+function drawScope() {
+  if (!scopePicker) return;
+  for (const box of scopePicker.picked) box.remove();
+  scopePicker.picked = [...scopeContainers, ...scopeFields].map(el => {
+    const box = addBox("picked");
+    placeBox(box, el.getBoundingClientRect());
+    return box;
+  });
+}
+
+function fieldAt(target) {
+  return collectRoots().flatMap(collectFieldElements).find(el => composedContains(el, target)) || null;
+}
+
+// A click picks the whole form under the cursor, or else the section around it.
+function containerAt(target) {
+  const hasFields = el => fieldsIn(el).length > 0;
+  return closestComposed(target, SCOPE_FORM_QUERY, hasFields) || closestComposed(target, SCOPE_SECTION_QUERY, hasFields);
+}
+
+// Radios are picked as a whole group.
+function fieldGroup(el) {
+  return el.type === "radio" && el.name ? radioGroup(el) : [el];
+}
+
+function regionRect(drag, e) {
+  const left = Math.min(drag.x, e.clientX), top = Math.min(drag.y, e.clientY);
+  return { left, top, width: Math.abs(e.clientX - drag.x), height: Math.abs(e.clientY - drag.y) };
+}
+
+function overlaps(a, b) {
+  return a.width && a.height && a.left < b.left + b.width && b.left < a.left + a.width &&
+    a.top < b.top + b.height && b.top < a.top + a.height;
+}
+
+// Shift-click on a field: add it, or take it out (splitting up a picked container).
+function toggleScopeField(field) {
+  const group = fieldGroup(field);
+  if (!inFieldScope(field)) {
+    for (const el of group) scopeFields.add(el);
+    return;
+  }
+  for (const c of Array.from(scopeContainers)) {
+    if (!composedContains(c, field)) continue;
+    scopeContainers.delete(c);
+    for (const el of fieldsIn(c)) scopeFields.add(el);
+  }
+  for (const el of group) scopeFields.delete(el);
+}
+
+function scopeChanged(exclusive) {
+  drawScope();
+  reportScopeToParent();
+  chrome.runtime.sendMessage({ type: "SCOPE_CHANGED", exclusive }).catch(() => {});
+}
+
+function onPickerDown(e) {
+  if (e.button !== 0 || isPawPawUi(e)) return;
+  e.preventDefault();
+  e.stopPropagation();
+  scopePicker.drag = { x: e.clientX, y: e.clientY, shift: e.shiftKey, moved: false };
+}
+
+function onPickerMove(e) {
+  if (isPawPawUi(e)) return;
+  const { drag } = scopePicker;
+  if (drag) {
+    drag.moved ||= Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y) > PICKER_DRAG_MIN_PX;
+    if (drag.moved) placeBox(scopePicker.region, regionRect(drag, e));
+    return;
+  }
+  const target = e.composedPath()[0];
+  const hovered = e.shiftKey ? fieldAt(target) : containerAt(target) || fieldAt(target);
+  placeBox(scopePicker.hover, hovered?.getBoundingClientRect());
+}
+
+function onPickerUp(e) {
+  const { drag } = scopePicker;
+  if (!drag) return;
+  scopePicker.drag = null;
+  e.preventDefault();
+  e.stopPropagation();
+  placeBox(scopePicker.region, null);
+
+  // Shift adds to the scope; otherwise the pick replaces it, in every frame.
+  if (!drag.shift) {
+    scopeContainers.clear();
+    scopeFields.clear();
+  }
+  const target = e.composedPath()[0];
+  if (drag.moved) {
+    const region = regionRect(drag, e);
+    for (const el of collectRoots().flatMap(collectFieldElements)) {
+      if (overlaps(el.getBoundingClientRect(), region)) scopeFields.add(el);
+    }
+  } else if (drag.shift) {
+    const field = fieldAt(target);
+    if (!field) return;
+    toggleScopeField(field);
+  } else {
+    const container = containerAt(target);
+    const field = container ? null : fieldAt(target);
+    if (container) scopeContainers.add(container);
+    else if (field) for (const el of fieldGroup(field)) scopeFields.add(el);
+  }
+  scopeChanged(!drag.shift);
+}
+
+// The page must not react to clicks while picking (links, submit buttons).
+function onPickerClick(e) {
+  if (isPawPawUi(e)) return;
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+function onPickerKey(e) {
+  if (e.key !== "Escape") return;
+  e.preventDefault();
+  chrome.runtime.sendMessage({ type: "SCOPE_DONE" }).catch(() => {});
+}
+
+function onPickerScroll() {
+  if (scopePicker.frame) return;
+  scopePicker.frame = requestAnimationFrame(() => {
+    if (!scopePicker) return;
+    scopePicker.frame = 0;
+    placeBox(scopePicker.hover, null);
+    drawScope();
+  });
+}
+
+const PICKER_LISTENERS = [
+  ["mousedown", onPickerDown], ["mousemove", onPickerMove], ["mouseup", onPickerUp],
+  ["click", onPickerClick], ["keydown", onPickerKey], ["scroll", onPickerScroll], ["resize", onPickerScroll]
+];
+
+function startScopePicker() {
+  if (scopePicker) return;
+  const host = document.createElement("div");
+  host.setAttribute("data-pawpaw", "picker");
+  const root = host.attachShadow({ mode: "open" });
+  root.innerHTML = `
+    <style>
+      .box { position: fixed; z-index: 2147483646; pointer-events: none; box-sizing: border-box; border-radius: 4px; }
+      .hover { border: 2px dashed #FF9900; background: rgba(255,153,0,.08); }
+      .picked { border: 2px solid #2563eb; background: rgba(37,99,235,.08); }
+      .region { border: 1px solid #2563eb; background: rgba(37,99,235,.15); }
+    </style>`;
+  document.documentElement.appendChild(host);
+  scopePicker = { host, root, picked: [], drag: null, frame: 0 };
+  scopePicker.hover = addBox("hover");
+  scopePicker.region = addBox("region");
+  for (const [type, fn] of PICKER_LISTENERS) window.addEventListener(type, fn, true);
+  drawScope();
+}
+
+function stopScopePicker() {
+  if (!scopePicker) return;
+  for (const [type, fn] of PICKER_LISTENERS) window.removeEventListener(type, fn, true);
+  cancelAnimationFrame(scopePicker.frame);
+  scopePicker.host.remove();
+  scopePicker = null;
+}
+
+// Page bar while picking (top frame); count covers every frame.
+function showScopeState({ count }) {
+  showPageBar(
+    `Pick what to fill: click a form, drag around a section or shift-click fields. ` +
+      (count ? `${count} field(s) picked.` : "Nothing picked: the whole page is filled."),
+    [
+      ["Done", () => chrome.runtime.sendMessage({ type: "SCOPE_DONE" }).catch(() => {})],
+      ["Clear", () => chrome.runtime.sendMessage({ type: "SCOPE_RESET" }).catch(() => {})]
+    ]
+  );
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // Message protocol:
+  // - EXTRACT_FORM_FIELDS -> { fields: [...] }
+  // - APPLY_MAPPINGS -> applies mappings and returns { updated, rejected, skipped, rematched, lost, results, blocked, invalid };
+  //   amend: true corrects the last fill instead of starting a new one;
+  //   leave: selectors the user decided against, not reported as required-but-empty
+  // - UNDO_FILL -> restores values from before the last APPLY_MAPPINGS, returns { restored }
+  // - WIZARD_OFFER_STEP / WIZARD_ENDED (top frame) -> show or remove the wizard bar
+  // - BATCH_WATCH -> watch the fields just filled for the form reset
+  // - BATCH_STATE (top frame) -> show batch progress in the page bar
+  // - SHOW_TOAST (top frame) -> show quick fill progress or results
+  // - GET_CONTEXT_FIELD -> { field } under the last right-click, or { field: null }
+  // - SCOPE_PICK / SCOPE_PICK_END -> start or stop the scope picker
+  // - SCOPE_CLEAR -> drop this frame's scope; SCOPE_STATUS -> { count } of fields in it
+  // - SCOPE_STATE (top frame) -> picked count for the page bar
+  // - GET_SCOPE_RECT (top frame) -> { rect } of the scope for the screenshot crop, or { rect: null }
+  const types = [
+    "EXTRACT_FORM_FIELDS", "APPLY_MAPPINGS", "UNDO_FILL", "WIZARD_OFFER_STEP", "WIZARD_ENDED",
+    "BATCH_WATCH", "BATCH_STATE", "SHOW_TOAST", "GET_CONTEXT_FIELD",
+    "SCOPE_PICK", "SCOPE_PICK_END", "SCOPE_CLEAR", "SCOPE_STATUS", "SCOPE_STATE", "GET_SCOPE_RECT"
+  ];
+  if (!types.includes(msg?.type)) return;
+
+  (async () => {
+    if (msg.type === "SHOW_TOAST") {
+      showToast(msg);
+      sendResponse({ ok: true });
       return;
     }
-  } catch (e) {
+
+    if (msg.type === "GET_CONTEXT_FIELD") {
+      sendResponse(await getContextField());
+      return;
+    }
+
+    if (msg.type.startsWith("SCOPE_") || msg.type === "GET_SCOPE_RECT") {
+      if (msg.type === "SCOPE_PICK") startScopePicker();
+      if (msg.type === "SCOPE_PICK_END") {
+        stopScopePicker();
+        if (IS_TOP_FRAME) hidePageBar();
+      }
+      if (msg.type === "SCOPE_CLEAR") clearFieldScope();
+      if (msg.type === "SCOPE_STATE" && scopePicker) showScopeState(msg);
+      if (msg.type === "GET_SCOPE_RECT") sendResponse({ rect: scopeRect() });
+      else sendResponse({ count: scopeFieldCount() });
+      return;
+    }
+
+    if (msg.type === "BATCH_WATCH" || msg.type === "BATCH_STATE") {
+      if (msg.type === "BATCH_WATCH") watchBatchRow(msg.row);
+      else {
+        showBatchState(msg);
+        followBatchState(msg);
+        if (msg.state !== "submit") stopBatchWatch();
+      }
+      sendResponse({ ok: true });
+      return;
+    }
+
+    if (msg.type === "WIZARD_OFFER_STEP" || msg.type === "WIZARD_ENDED") {
+      if (msg.type === "WIZARD_OFFER_STEP") offerWizardStep(msg);
+      else stopWizard();
+      sendResponse({ ok: true });
+      return;
+    }
+
+    if (msg.type === "EXTRACT_FORM_FIELDS") {
+      // scoped: only the picked fields were returned (see frames.js).
+      sendResponse({ fields: await extractFields({ probe: msg.probe !== false }), scoped: hasFieldScope() });
+      return;
+    }
+
+    if (msg.type === "UNDO_FILL") {
+      if (!lastFillSnapshot) throw new Error("Nothing to undo.");
+      clearFillHighlights();
+      const restored = await restoreSnapshot(lastFillSnapshot);
+      lastFillSnapshot = null;
+      sendResponse({ restored });
+      return;
+    }
+
+    sendResponse(await applyMappings(msg.mappings, { amend: !!msg.amend, leave: msg.leave || [] }));
+  })().catch(e => {
     // Ensure the sender gets a useful error string.
     sendResponse({ error: String(e.message || e) });
-  }
+  });
+
+  return true; // keep channel open for async
 });
 
@@ -0,0 +1,106 @@
+// Correction pass: after a fill, the fields the page still rejects (failed validation,
+// an error message next to the field, required but empty, or a value the page reverted)
+// go back to the model once, with the page's constraints and messages, for a value the
+// page will take.
+// Loaded by the service worker (importScripts); uses frames.js, redact.js and mapping.js helpers.
+//
+// Only the failing fields are sent, with the same sources as the fill (document or profile,
+// never the screenshot). There is a single pass: whatever still fails after the corrected
+// values are written is reported to the user, not asked about again.
+
+// Forms where most fields fail usually need the user, not more requests.
+const MAX_CORRECTED_FIELDS = 30;
+
+function buildCorrectionPrompt({ pageUrl, fields, userRules, profile, docText, hasFiles, hasImages, previousAnswers }) {
+  const source = profile ? "profile" : "document";
+  const documents = [
+    profile ? "the profile JSON below" : "",
+    docText ? "the document text below" : "",
+    hasFiles ? "the attached document(s)" : "",
+    hasImages ? "the attached image(s) of documents" : ""
+  ].filter(Boolean).join(", ");
+  return [
+    `Task: A web form was filled using ${documents}, and the page rejected some values. Give a corrected value for each field below.`,
+    "Return ONLY JSON that matches the provided schema.",
+    "MUST RESPECT THESE RULES:",
+    "1) Use selectors exactly as provided. value is what was tried; error is the page's own message.",
+    "2) Fix the format first: reformat the same fact so it satisfies pattern, min / max / step, min_length / max_length, " +
+      "inputmode, the options and the error (e.g. a phone number without spaces or with the country code, a postcode without the city).",
+    `3) For a required field left empty, answer only when the ${source} provides the value. Never invent data to get past validation.`,
+    "4) Leave a field out when no value can satisfy the page.",
+    "5) Same value conventions as the fill: strings only, checkbox 'true' / 'false', option visible text for selects and radios.",
+    "6) Keep tokens like [IBAN_1] exactly as written: they stand for redacted personal data.",
+    `7) confidence: 0 to 1. source: short quote from the ${source} the value comes from.`,
+    "",
+    userRules ? `Extra instructions: ${userRules}` : "",
+    "",
+    `Page: ${pageUrl}`,
+    "",
+    "Rejected fields JSON:",
+    JSON.stringify(fields),
+    profile ? "\nProfile JSON:" : "",
+    profile ? JSON.stringify(profile.facts) : "",
+    docText ? "\nDocument text:" : "",
+    docText || "",
+    previousAnswers?.length ? "\nAnswers given on earlier steps of this form:" : "",
+    previousAnswers?.length ? JSON.stringify(previousAnswers) : ""
+  ].filter(Boolean).join("\n");
+}
+
+// Corrected values for the fields of `invalid` (from APPLY_MAPPINGS, already redacted):
+// { mappings, audit }. Values the model merely repeats are dropped.
+async function correctInvalidFields({ invalid, docText, docFiles = [], images = [], profile, pageUrl, userRules, previousAnswers }) {
+  if (!invalid?.length) throw new Error("No rejected fields to correct.");
+  const fields = invalid.slice(0, MAX_CORRECTED_FIELDS);
+  const { provider, apiKey } = await getSelectedProvider();
+  const { parsed, audit } = await requestStructured({
+    provider,
+    apiKey,
+    pageUrl,
+    system: "Correct web form values that failed the form's validation.",
+    prompt: buildCorrectionPrompt({
+      pageUrl, fields, userRules, profile, docText, previousAnswers,
+      hasFiles: docFiles.length > 0, hasImages: images.length > 0
+    }),
+    schema: buildSchema(),
+    images: images.map(i => i.dataUrl),
+    docs: docFiles.map(f => ({ base64: f.base64, filename: f.filename, mime: f.mime }))
+  });
+
+  const tried = new Map(fields.map(f => [f.selector, f.value]));
+  const mappings = normalizeMappings(parsed)
+    .filter(m => tried.has(m.selector) && String(m.value).trim() && String(m.value) !== tried.get(m.selector));
+  return { mappings, audit };
+}
+
+// Fills without a review step (quick fill, wizard): apply, then correct the rejected
+// fields in place. sources: the fill's document / profile, pageUrl and userRules.
+// Corrected values holding redaction tokens are not written, as in those fills, and the
+// fields in `leave` (answers those fills held back) are not asked about.
+// Returns the first fill's counts plus { corrected, invalid, correction }, where correction
+// is { mappings, results } of the second write, for the fill history (fillhistory.js).
+async function applyWithCorrections(tabId, mappings, sources, { leave = [] } = {}) {
+  const fill = await applyMappingsToFrames(tabId, mappings, { leave });
+  if (!fill.invalid.length) return { ...fill, corrected: 0, correction: null };
+
+  let fixes = [];
+  try {
+    const privacy = await getPrivacySettings();
+    const res = await correctInvalidFields({ ...sources, invalid: redactFields(fill.invalid, privacy, createRedactionVault()) });
+    fixes = res.mappings.filter(m => !new RegExp(REDACTION_TOKEN_RE.source).test(String(m.value)));
+  } catch {
+    // The fill itself went through; the rejected fields are reported below.
+  }
+  if (!fixes.length) return { ...fill, corrected: 0, correction: null };
+
+  const second = await applyMappingsToFrames(tabId, fixes, { amend: true });
+  const rewritten = new Set(second.results.filter(r => r.status === "updated").map(r => r.selector));
+  const invalid = mergeInvalidFields(fill.invalid, second.invalid, rewritten);
+  const stillInvalid = new Set(invalid.map(f => f.selector));
+  return {
+    ...fill,
+    corrected: [...rewritten].filter(s => !stillInvalid.has(s)).length,
+    invalid,
+    correction: { mappings: fixes, results: second.results }
+  };
+}
@@ -0,0 +1,583 @@
+// Local document text extraction, so a document can be sent as (redacted) text instead
+// of the original file. No libraries: DOCX and ODT are zips of XML parts, RTF is
+// control words, and PDF text is read from the pages' content streams. XLSX sheets are
+// read as rows for batch fills.
+// Loaded by the popup; ingest.js picks the reader for each file.
+// Scanned PDFs have no text layer and legacy .doc is a binary format; neither can be
+// read here.
+
+const latin1 = new TextDecoder("latin1");
+
+// Run bytes through a DecompressionStream ("deflate" = zlib, "deflate-raw" = zip entries).
+// PDF streams often carry a few junk bytes after the compressed data, which makes the
+// stream error at the very end; whatever was decoded up to there is kept.
+async function inflateBytes(bytes, format) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks = [];
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+  } catch {}
+
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let at = 0;
+  for (const c of chunks) { out.set(c, at); at += c.length; }
+  return out;
+}
+
+// --- DOCX ---
+
+// Read one entry of a zip file, found through the central directory.
+async function readZipEntry(bytes, name) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End of central directory record: last 22+ bytes, may be followed by a comment.
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a valid .docx file.");
+
+  let p = view.getUint32(eocd + 16, true);
+  const count = view.getUint16(eocd + 10, true);
+  for (let i = 0; i < count && view.getUint32(p, true) === 0x02014b50; i++) {
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const local = view.getUint32(p + 42, true);
+    const entryName = latin1.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+
+    if (entryName === name) {
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data = bytes.subarray(start, start + size);
+      if (method === 0) return data;
+      if (method === 8) return inflateBytes(data, "deflate-raw");
+      throw new Error("Unsupported .docx compression.");
+    }
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return null;
+}
+
+function decodeXmlEntities(s) {
+  return s.replace(/&(?:#(\d+)|#x([0-9a-f]+)|(amp|lt|gt|quot|apos));/gi, (m, dec, hex, named) => {
+    if (dec) return String.fromCodePoint(Number(dec));
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" }[named.toLowerCase()];
+  });
+}
+
+// Paragraph text of word/document.xml: runs joined, tabs and breaks kept.
+async function extractDocxText(bytes) {
+  const xml = await readZipEntry(bytes, "word/document.xml");
+  if (!xml) throw new Error("Not a valid .docx file.");
+
+  let text = "";
+  const re = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\b[^>]*\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g;
+  for (const m of new TextDecoder().decode(xml).matchAll(re)) {
+    if (m[1] !== undefined) text += decodeXmlEntities(m[1]);
+    else if (m[0].startsWith("<w:tab")) text += "\t";
+    else text += "\n";
+  }
+  return text;
+}
+
+// --- ODT ---
+
+// Paragraphs and headings of content.xml. <text:s text:c="3"/> stands for repeated spaces.
+async function extractOdtText(bytes) {
+  const xml = await readZipEntry(bytes, "content.xml");
+  if (!xml) throw new Error("Not a valid .odt file.");
+
+  const body = new TextDecoder().decode(xml)
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, n) => " ".repeat(Number(n) || 1))
+    .replace(/<text:tab\s*\/>/g, "\t")
+    .replace(/<text:line-break\s*\/>|<\/text:(?:p|h)>/g, "\n")
+    .replace(/<[^>]+>/g, "");
+  return decodeXmlEntities(body);
+}
+
+// --- XLSX ---
+
+// Built-in number formats that display a date (ECMA-376 18.8.30).
+const XLSX_DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function xmlAttr(tag, name) {
+  const m = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return m ? decodeXmlEntities(m[1]) : null;
+}
+
+// Text of every <t> in a shared or inline string (rich text has one per run;
+// <rPh> holds phonetic hints, not text).
+function xlsxStringText(xml) {
+  return Array.from(xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g), m => decodeXmlEntities(m[1])).join("");
+}
+
+// Style indexes (cellXfs) whose number format is a date, built-in or custom.
+function xlsxDateStyles(stylesXml) {
+  const custom = new Map();
+  for (const m of stylesXml.matchAll(/<numFmt\b[^>]*>/g)) custom.set(Number(xmlAttr(m[0], "numFmtId")), xmlAttr(m[0], "formatCode") || "");
+
+  const isDate = (id) => XLSX_DATE_FORMAT_IDS.has(id) ||
+    // Quoted text and [colour] / [locale] sections aside, a format with d or y shows a date.
+    (custom.has(id) && /[dy]/i.test(custom.get(id).replace(/"[^"]*"|\[[^\]]*\]|\\./g, "")));
+
+  const styles = new Set();
+  const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(stylesXml)?.[1] || "";
+  Array.from(cellXfs.matchAll(/<xf\b[^>]*>/g)).forEach((m, i) => {
+    if (isDate(Number(xmlAttr(m[0], "numFmtId")))) styles.add(i);
+  });
+  return styles;
+}
+
+// Excel serial day (1900 system) to YYYY-MM-DD, with the time when there is one.
+function xlsxSerialDate(serial) {
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400000));
+  const iso = date.toISOString();
+  return serial % 1 ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+}
+
+// "BC12" -> 54 (zero-based column index).
+function xlsxColumnIndex(ref) {
+  let n = 0;
+  for (const c of /^[A-Z]+/.exec(ref || "")?.[0] || "") n = n * 26 + c.charCodeAt(0) - 64;
+  return n - 1;
+}
+
+// Cells of the first worksheet as rows of strings. Shared and inline strings are
+// resolved; numbers shown as dates become YYYY-MM-DD. Empty rows are dropped.
+async function extractXlsxRows(bytes) {
+  const read = async (name) => {
+    const data = await readZipEntry(bytes, name);
+    return data ? new TextDecoder().decode(data) : "";
+  };
+
+  const workbook = await read("xl/workbook.xml");
+  if (!workbook) throw new Error("Not a valid .xlsx file.");
+
+  // The first sheet in workbook order, found through the workbook's relationships.
+  const sheetTag = /<sheet\b[^>]*>/.exec(workbook)?.[0] || "";
+  const relId = xmlAttr(sheetTag, "r:id");
+  let target = "worksheets/sheet1.xml";
+  for (const m of (await read("xl/_rels/workbook.xml.rels")).matchAll(/<Relationship\b[^>]*>/g)) {
+    if (xmlAttr(m[0], "Id") === relId) target = xmlAttr(m[0], "Target");
+  }
+  const sheet = await read(target.startsWith("/") ? target.slice(1) : `xl/${target}`);
+  if (!sheet) throw new Error("The workbook has no readable sheet.");
+
+  const shared = Array.from((await read("xl/sharedStrings.xml")).matchAll(/<si>([\s\S]*?)<\/si>/g), m => xlsxStringText(m[1]));
+  const dateStyles = xlsxDateStyles(await read("xl/styles.xml"));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const c of (rowMatch[1] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = ` ${c[1]}`;
+      const inner = c[2] || "";
+      const ref = xmlAttr(attrs, "r");
+      const at = ref ? xlsxColumnIndex(ref) : row.length;
+      const v = decodeXmlEntities(/<v>([^<]*)<\/v>/.exec(inner)?.[1] ?? "");
+
+      let value;
+      switch (xmlAttr(attrs, "t")) {
+        case "s": value = shared[Number(v)] ?? ""; break;
+        case "inlineStr": value = xlsxStringText(inner); break;
+        case "b": value = v === "1" ? "TRUE" : "FALSE"; break;
+        case "str": case "e": value = v; break;
+        default:
+          value = v !== "" && dateStyles.has(Number(xmlAttr(attrs, "s"))) ? xlsxSerialDate(Number(v)) : v;
+      }
+      while (row.length < at) row.push("");
+      row[at] = value;
+    }
+    if (row.some(v => v.trim())) rows.push(row);
+  }
+  return rows;
+}
+
+// --- RTF ---
+
+// Destinations that hold no document text (fonts, colors, styles, metadata, pictures).
+const RTF_SKIPPED_GROUPS = /^(?:fonttbl|colortbl|stylesheet|info|pict|header|footer|listtable|listoverridetable|rsidtbl|generator|xmlnstbl|themedata|colorschememapping|latentstyles|datastore)$/;
+
+function extractRtfText(rtf) {
+  let text = "";
+  let i = 0;
+  // Per group: skipped destination, and how many chars follow a \uN as its fallback.
+  const stack = [{ skip: false, uc: 1 }];
+  let pendingFallback = 0;
+
+  while (i < rtf.length) {
+    const c = rtf[i];
+    const state = stack[stack.length - 1];
+
+    if (c === "{") {
+      stack.push({ ...state });
+      i++;
+      // "{\*\dest" groups are optional destinations: skip the ones we don't know.
+      if (rtf.startsWith("\\*", i)) stack[stack.length - 1].skip = true;
+      continue;
+    }
+    if (c === "}") {
+      if (stack.length > 1) stack.pop();
+      i++;
+      continue;
+    }
+    if (c === "\\") {
+      const m = /^\\(?:([a-z]+)(-?\d+)? ?|'([0-9a-f]{2})|(.))/is.exec(rtf.slice(i, i + 40));
+      if (!m) { i++; continue; }
+      i += m[0].length;
+
+      if (m[3]) {
+        if (pendingFallback) { pendingFallback--; continue; }
+        if (!state.skip) text += String.fromCharCode(parseInt(m[3], 16));
+        continue;
+      }
+      if (m[4]) {
+        if (!state.skip && "\\{}".includes(m[4])) text += m[4];
+        else if (!state.skip && m[4] === "~") text += " ";
+        else if (!state.skip && (m[4] === "\n" || m[4] === "\r")) text += "\n";
+        continue;
+      }
+
+      const word = m[1].toLowerCase();
+      if (RTF_SKIPPED_GROUPS.test(word)) state.skip = true;
+      else if (word === "uc") state.uc = Number(m[2] || 1);
+      else if (state.skip) continue;
+      else if (word === "par" || word === "line" || word === "row") text += "\n";
+      else if (word === "tab" || word === "cell") text += "\t";
+      else if (word === "u") {
+        let code = Number(m[2]);
+        if (code < 0) code += 65536;
+        text += String.fromCharCode(code);
+        pendingFallback = state.uc;
+      }
+      continue;
+    }
+    if (c === "\r" || c === "\n") { i++; continue; }
+
+    if (pendingFallback) pendingFallback--;
+    else if (!state.skip) text += c;
+    i++;
+  }
+  return text;
+}
+
+// --- PDF ---
+
+// Value of /Key in a PDF dictionary string: a reference, name, number, string,
+// or a whole nested << >> / [ ] group. "" when the key is absent.
+function pdfDictValue(dict, key) {
+  const m = new RegExp(`/${key}(?=[\\s/<\\[(])\\s*`).exec(dict || "");
+  if (!m) return "";
+  const rest = dict.slice(m.index + m[0].length);
+
+  const ref = /^\d+\s+\d+\s+R/.exec(rest);
+  if (ref) return ref[0];
+
+  const open = rest.startsWith("<<") ? "<<" : rest[0] === "[" ? "[" : "";
+  if (open) {
+    const close = open === "<<" ? ">>" : "]";
+    let depth = 0;
+    for (let i = 0; i < rest.length; i++) {
+      if (rest.startsWith(open, i)) { depth++; i += open.length - 1; }
+      else if (rest.startsWith(close, i)) {
+        depth--;
+        if (!depth) return rest.slice(0, i + close.length);
+        i += close.length - 1;
+      }
+    }
+    return rest;
+  }
+  return /^(\/[^\s/<>\[\]()]+|[^\s/<>\[\]]+)/.exec(rest)?.[0] || "";
+}
+
+// All objects of the file, including those packed in object streams:
+// Map(objectNumber -> { dict, stream }) where stream is the raw (still encoded) bytes.
+async function readPdfObjects(bytes) {
+  const s = latin1.decode(bytes);
+  const objects = new Map();
+
+  const re = /(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = re.exec(s))) {
+    const start = re.lastIndex;
+    const end = s.indexOf("endobj", start);
+    if (end < 0) break;
+    const body = s.slice(start, end);
+
+    const streamAt = body.search(/\bstream\r?\n/);
+    if (streamAt < 0) {
+      objects.set(Number(m[1]), { dict: body.trim(), stream: null });
+    } else {
+      const dataStart = start + streamAt + body.slice(streamAt).indexOf("\n") + 1;
+      let dataEnd = s.lastIndexOf("endstream", end);
+      if (s[dataEnd - 1] === "\n") dataEnd--;
+      if (s[dataEnd - 1] === "\r") dataEnd--;
+      objects.set(Number(m[1]), { dict: body.slice(0, streamAt).trim(), stream: bytes.subarray(dataStart, dataEnd) });
+    }
+    re.lastIndex = end;
+  }
+
+  // PDF 1.5 object streams: "num offset" pairs, then the objects themselves.
+  for (const obj of Array.from(objects.values())) {
+    if (!/\/Type\s*\/ObjStm\b/.test(obj.dict)) continue;
+    const data = latin1.decode(await decodePdfStream(obj));
+    const first = Number(pdfDictValue(obj.dict, "First"));
+    const nums = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < nums.length; i += 2) {
+      const from = first + nums[i + 1];
+      const to = i + 3 < nums.length ? first + nums[i + 3] : data.length;
+      if (!objects.has(nums[i])) objects.set(nums[i], { dict: data.slice(from, to).trim(), stream: null });
+    }
+  }
+  return objects;
+}
+
+// Only Flate is decoded: it covers page content and object streams in practice.
+async function decodePdfStream(obj) {
+  if (!obj?.stream) return new Uint8Array();
+  const filter = pdfDictValue(obj.dict, "Filter");
+  if (!filter) return obj.stream;
+  if (/^\[?\s*\/FlateDecode\s*\]?$/.test(filter)) return inflateBytes(obj.stream, "deflate");
+  return new Uint8Array();
+}
+
+function resolvePdfRef(objects, value) {
+  const m = /^(\d+)\s+\d+\s+R$/.exec(value || "");
+  return m ? objects.get(Number(m[1])) || null : null;
+}
+
+// A dictionary value given either inline or as a reference.
+function pdfDict(objects, value) {
+  return resolvePdfRef(objects, value)?.dict || value || "";
+}
+
+// Pages in reading order, through the page tree.
+function pdfPages(objects) {
+  const catalog = Array.from(objects.values()).find(o => /\/Type\s*\/Catalog\b/.test(o.dict));
+  const pages = [];
+  const walk = (node, depth) => {
+    if (!node || depth > 50) return;
+    if (/\/Type\s*\/Page\b/.test(node.dict)) { pages.push(node); return; }
+    for (const ref of pdfDictValue(node.dict, "Kids").match(/\d+\s+\d+\s+R/g) || []) {
+      walk(resolvePdfRef(objects, ref), depth + 1);
+    }
+  };
+  walk(resolvePdfRef(objects, pdfDictValue(catalog?.dict, "Pages")), 0);
+  return pages.length ? pages : Array.from(objects.values()).filter(o => /\/Type\s*\/Page\b/.test(o.dict));
+}
+
+// ToUnicode CMap: { width: bytes per code, map: Map(code -> text) }.
+function parseToUnicode(text) {
+  const map = new Map();
+  const hexToText = (hex) => {
+    let out = "";
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return hex.length === 2 ? String.fromCharCode(parseInt(hex, 16)) : out;
+  };
+
+  const range = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(text);
+  const width = range ? range[1].length / 2 : 2;
+
+  for (const block of text.match(/beginbfchar[\s\S]*?endbfchar/g) || []) {
+    for (const m of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) map.set(parseInt(m[1], 16), hexToText(m[2]));
+  }
+  for (const block of text.match(/beginbfrange[\s\S]*?endbfrange/g) || []) {
+    for (const m of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]+)>|\[([^\]]*)\])/gi)) {
+      const lo = parseInt(m[1], 16), hi = parseInt(m[2], 16);
+      if (m[3] !== undefined) {
+        const base = parseInt(m[3].slice(-4), 16);
+        const prefix = hexToText(m[3].slice(0, -4));
+        for (let c = lo; c <= hi && c - lo < 65536; c++) map.set(c, prefix + String.fromCharCode(base + c - lo));
+      } else {
+        const dsts = Array.from(m[4].matchAll(/<([0-9a-f]*)>/gi), d => hexToText(d[1]));
+        for (let c = lo; c <= hi && c - lo < dsts.length; c++) map.set(c, dsts[c - lo]);
+      }
+    }
+  }
+  return { width, map };
+}
+
+// Font resource name -> ToUnicode CMap (null for simple fonts without one).
+// Composite (Type0) fonts without a CMap show glyph ids, not text: they get an empty
+// two-byte map so their strings are dropped instead of printed as garbage.
+// Resources are inherited from parent page-tree nodes.
+async function pdfPageFonts(objects, page) {
+  let node = page, resources = "";
+  for (let depth = 0; node && !resources && depth < 50; depth++) {
+    resources = pdfDictValue(node.dict, "Resources");
+    node = resolvePdfRef(objects, pdfDictValue(node.dict, "Parent"));
+  }
+
+  const fonts = new Map();
+  const fontDict = pdfDict(objects, pdfDictValue(pdfDict(objects, resources), "Font"));
+  for (const m of fontDict.matchAll(/\/([^\s/<>\[\]()]+)\s*(\d+\s+\d+\s+R)/g)) {
+    const font = resolvePdfRef(objects, m[2]);
+    const cmap = resolvePdfRef(objects, pdfDictValue(font?.dict, "ToUnicode"));
+    if (cmap) fonts.set(m[1], parseToUnicode(latin1.decode(await decodePdfStream(cmap))));
+    else fonts.set(m[1], /\/Subtype\s*\/Type0\b/.test(font?.dict || "") ? { width: 2, map: new Map() } : null);
+  }
+  return fonts;
+}
+
+// Tokens of a content stream: strings (as byte strings), numbers, names, operators, arrays.
+function* pdfContentTokens(s) {
+  let i = 0;
+  const stack = [];
+  const emit = (tok) => {
+    if (stack.length) { stack[stack.length - 1].push(tok); return null; }
+    return tok;
+  };
+
+  while (i < s.length) {
+    const c = s[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === "%") { while (i < s.length && s[i] !== "\n" && s[i] !== "\r") i++; continue; }
+
+    let tok = null;
+    if (c === "(") {
+      let depth = 1, out = "";
+      i++;
+      while (i < s.length && depth) {
+        const ch = s[i++];
+        if (ch === "\\") {
+          const e = s[i++];
+          const esc = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" }[e];
+          if (esc) out += esc;
+          else if (/[0-7]/.test(e)) {
+            let oct = e;
+            while (oct.length < 3 && /[0-7]/.test(s[i])) oct += s[i++];
+            out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+          } else if (e === "\r") { if (s[i] === "\n") i++; }
+          else if (e !== "\n") out += e;
+        } else if (ch === "(") { depth++; out += ch; }
+        else if (ch === ")") { if (--depth) out += ch; }
+        else out += ch;
+      }
+      tok = { str: out };
+    } else if (c === "<" && s[i + 1] !== "<") {
+      const end = s.indexOf(">", i);
+      let hex = s.slice(i + 1, end < 0 ? s.length : end).replace(/\s+/g, "");
+      if (hex.length % 2) hex += "0";
+      let out = "";
+      for (let k = 0; k < hex.length; k += 2) out += String.fromCharCode(parseInt(hex.slice(k, k + 2), 16));
+      tok = { str: out };
+      i = end < 0 ? s.length : end + 1;
+    } else if (c === "[") {
+      stack.push([]);
+      i++;
+      continue;
+    } else if (c === "]") {
+      tok = { arr: stack.pop() || [] };
+      i++;
+    } else if (c === "<" || c === ">") {
+      i += 2;
+      continue;
+    } else {
+      const m = /^[^\s()<>\[\]{}/%]+|^\/[^\s()<>\[\]{}/%]*/.exec(s.slice(i, i + 256));
+      const word = m ? m[0] : c;
+      i += word.length;
+      if (word[0] === "/") tok = { name: word.slice(1) };
+      else if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) tok = { num: Number(word) };
+      else {
+        tok = { op: word };
+        // Inline image data is binary: skip to its end marker.
+        if (word === "ID") {
+          const end = s.slice(i).search(/\sEI(?=\s|$)/);
+          i = end < 0 ? s.length : i + end + 3;
+          continue;
+        }
+      }
+    }
+
+    const out = emit(tok);
+    if (out) yield out;
+  }
+}
+
+// Single-byte fonts often map only a few special glyphs (ligatures); other codes are plain bytes.
+function decodePdfString(str, cmap) {
+  if (!cmap) return str;
+  let out = "";
+  for (let i = 0; i + cmap.width <= str.length; i += cmap.width) {
+    let code = 0;
+    for (let k = 0; k < cmap.width; k++) code = code * 256 + str.charCodeAt(i + k);
+    out += cmap.map.get(code) ?? (cmap.width === 1 ? String.fromCharCode(code) : "");
+  }
+  return out;
+}
+
+// Text shown by one page's content stream. Line breaks follow text positioning operators;
+// large negative kerning in TJ arrays counts as a space.
+function pdfContentText(content, fonts) {
+  let text = "", cmap = null, operands = [];
+  const newline = () => { if (text && !text.endsWith("\n")) text += "\n"; };
+  let lastY = null;
+
+  for (const tok of pdfContentTokens(content)) {
+    if (!tok.op) { operands.push(tok); continue; }
+
+    switch (tok.op) {
+      case "Tf":
+        cmap = fonts.get(operands[0]?.name) || null;
+        break;
+      case "Tj":
+        text += decodePdfString(operands[0]?.str || "", cmap);
+        break;
+      case "'":
+      case "\"":
+        newline();
+        text += decodePdfString(operands[operands.length - 1]?.str || "", cmap);
+        break;
+      case "TJ":
+        for (const part of operands[0]?.arr || []) {
+          if (part.str !== undefined) text += decodePdfString(part.str, cmap);
+          else if (part.num !== undefined && part.num < -200 && !/\s$/.test(text)) text += " ";
+        }
+        break;
+      case "Td":
+      case "TD":
+        if (operands[1]?.num) newline();
+        else if (operands[0]?.num > 0 && text && !/\s$/.test(text)) text += " ";
+        break;
+      case "Tm": {
+        const y = operands[5]?.num;
+        if (lastY !== null && y !== lastY) newline();
+        else if (text && !/\s$/.test(text)) text += " ";
+        lastY = y;
+        break;
+      }
+      case "T*":
+      case "ET":
+        newline();
+        break;
+    }
+    operands = [];
+  }
+  return text;
+}
+
+async function extractPdfText(bytes) {
+  const objects = await readPdfObjects(bytes);
+  if (/\/Encrypt\b/.test(latin1.decode(bytes.subarray(Math.max(0, bytes.length - 4096))))) {
+    throw new Error("This PDF is encrypted and can't be read locally.");
+  }
+
+  const pages = [];
+  for (const page of pdfPages(objects)) {
+    const fonts = await pdfPageFonts(objects, page);
+    const contents = pdfDictValue(page.dict, "Contents");
+    let content = "";
+    for (const ref of contents.match(/\d+\s+\d+\s+R/g) || []) {
+      content += latin1.decode(await decodePdfStream(resolvePdfRef(objects, ref))) + "\n";
+    }
+    pages.push(pdfContentText(content, fonts).trim());
+  }
+  return pages.map((t, i) => `--- Page ${i + 1} ---\n${t}`).join("\n\n");
+}
@@ -0,0 +1,122 @@
+// Long-answer drafts: essay-style questions ("Why do you want this job?", "Describe a
+// project you led") that the mapping prompt leaves empty, since nothing in the document
+// can be copied into them. Drafts are written from the same document or profile, kept
+// within each field's max_length / word_limit (see content.js), and always go through
+// the popup's review before anything is written.
+// Loaded by the service worker (importScripts); uses mapping.js helpers.
+//
+// Tone and length come in as extra lines of userRules (see popup.js). previous holds
+// drafts the user asked to regenerate, by selector, so the new one differs.
+
+const DRAFT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    answers: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          selector: { type: "string" },
+          value: { type: "string" },
+          source: { type: "string" }
+        },
+        required: ["selector", "value", "source"]
+      }
+    }
+  },
+  required: ["answers"]
+};
+
+function buildDraftPrompt({ pageUrl, fields, userRules, profile, docText, hasFiles, hasImages, previous }) {
+  const source = profile ? "profile" : "document";
+  const documents = [
+    profile ? "the profile JSON below" : "",
+    docText ? "the document text below" : "",
+    hasFiles ? "the attached document(s)" : "",
+    hasImages ? "the attached image(s) of documents" : ""
+  ].filter(Boolean).join(", ");
+  const redrafts = Object.entries(previous || {}).filter(([, text]) => text);
+  return [
+    `Task: Draft answers to the free-text questions of a web form, written as the person described in ${documents}.`,
+    "Return ONLY JSON that matches the provided schema.",
+    "MUST RESPECT THESE RULES:",
+    "1) Use selectors exactly as provided. Write one answer per field; the label, placeholder and description say what is asked.",
+    `2) Use only facts found in the ${source}. Never invent employers, dates, numbers, names or achievements. ` +
+      `When the ${source} says little about a question, write a shorter, general answer instead of making things up.`,
+    "3) Stay within each field's limits: max_length is in characters, word_limit in words. Aim for about 90% of the limit.",
+    "4) Plain text in first person. Separate paragraphs with a blank line. No markdown, no headings, no placeholders to fill in.",
+    "5) Keep tokens like [NAME_1] exactly as written: they stand for redacted personal data.",
+    `6) source: the facts from the ${source} the answer draws on, in a few words.`,
+    "7) Answer in the language of the question.",
+    "",
+    userRules ? `Extra instructions: ${userRules}` : "",
+    "",
+    `Page: ${pageUrl}`,
+    "",
+    "Fields JSON (each has selector + label/placeholder/description, and max_length / word_limit when the form states one):",
+    JSON.stringify(fields),
+    profile ? "\nProfile JSON:" : "",
+    profile ? JSON.stringify(profile.facts) : "",
+    docText ? "\nDocument text:" : "",
+    docText || "",
+    redrafts.length ? "\nEarlier drafts the user wants replaced (write a clearly different version, by selector):" : "",
+    redrafts.length ? JSON.stringify(Object.fromEntries(redrafts)) : ""
+  ].filter(Boolean).join("\n");
+}
+
+// Cut text to at most `limit` characters, at the end of a sentence when one is close enough.
+function cutDraftText(text, limit) {
+  if (text.length <= limit) return text;
+  const head = text.slice(0, limit);
+  const sentenceEnd = Math.max(...[". ", "! ", "? ", ".\n", "!\n", "?\n"].map(p => head.lastIndexOf(p)));
+  if (sentenceEnd >= limit / 2) return head.slice(0, sentenceEnd + 1).trim();
+  if (/\s/.test(text[limit])) return head.trim();
+  const space = head.search(/\s\S*$/);
+  return (space > 0 ? head.slice(0, space) : head).trim();
+}
+
+// Models overshoot limits now and then; trimmed here so the review shows what the page will keep.
+function fitDraftToLimits(text, field) {
+  let out = String(text ?? "").replace(/\r\n?/g, "\n").trim();
+  if (field?.word_limit) {
+    const words = out.match(new RegExp(`^\\s*(?:\\S+\\s+){0,${field.word_limit - 1}}\\S+`));
+    if (words && words[0].length < out.length) out = cutDraftText(out, words[0].length);
+  }
+  if (field?.max_length) out = cutDraftText(out, field.max_length);
+  return out;
+}
+
+// Drafts as review rows: { mappings: [{ selector, kind, value, confidence, source, draft }], audit }.
+async function draftLongAnswers({ docText, docFiles = [], images = [], profile, pageUrl, fields, userRules, previous }) {
+  if (!fields?.length) throw new Error("No free-text questions to answer.");
+  const { provider, apiKey } = await getSelectedProvider();
+  const { parsed, audit } = await requestStructured({
+    provider,
+    apiKey,
+    pageUrl,
+    system: "Draft honest, grounded answers to application form questions.",
+    prompt: buildDraftPrompt({
+      pageUrl, fields, userRules, profile, docText, previous,
+      hasFiles: docFiles.length > 0, hasImages: images.length > 0
+    }),
+    schema: DRAFT_SCHEMA,
+    images: images.map(i => i.dataUrl),
+    docs: docFiles.map(f => ({ base64: f.base64, filename: f.filename, mime: f.mime }))
+  });
+
+  const bySelector = new Map(fields.map(f => [f.selector, f]));
+  const mappings = (Array.isArray(parsed?.answers) ? parsed.answers : [])
+    .filter(a => bySelector.has(a?.selector) && typeof a.value === "string" && a.value.trim())
+    .map(a => ({
+      selector: a.selector,
+      kind: "text",
+      value: fitDraftToLimits(a.value, bySelector.get(a.selector)),
+      // A draft is written, not found: there is nothing to be confident about.
+      confidence: null,
+      source: typeof a.source === "string" ? a.source.trim().slice(0, 300) : "",
+      draft: true
+    }));
+  return { mappings, audit };
+}
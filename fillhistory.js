@@ -0,0 +1,183 @@
+// Fill history: what each fill wrote where, kept on this device for review and export
+// (history.html). Loaded by the service worker (importScripts), the popup and the history
+// page; recording uses redact.js and providers.js. No chrome.* calls at load time.
+//
+// Entries live in chrome.storage.local "fillHistory", newest first:
+// { id, at, url, title, mode, source, provider, model, counts: { updated, rejected, skipped }, fields }
+// - mode: "review" (popup), "quick", "wizard" or "batch"
+// - source: the document name(s), profile or sheet row the values came from; "" when they
+//   were replayed from memory
+// - provider / model: "" when no model was asked (replays, batch rows)
+// - fields: [{ selector, label, kind, status, reason, value, before, after, confidence, corrected }]
+//   status is "updated", "rejected" or "skipped" (see APPLY_MAPPINGS in content.js); reason
+//   says why a field was skipped or rejected (HISTORY_REASONS). Sensitive fields the policy
+//   blocks are listed as skipped, without values.
+// Settings "historySettings": { enabled, maxEntries, maxDays, mask }. With mask on, anything
+// the redaction rules match (see Privacy in the popup) is stored masked, e.g. "[IBAN]".
+
+const HISTORY_REASONS = {
+  not_found: "Not found on the page",
+  out_of_scope: "Outside the picked scope",
+  sensitive: "Sensitive field, never filled",
+  unconfirmed: "Sensitive field, not confirmed",
+  file_input: "File input, can't be set",
+  no_matching_option: "No matching option",
+  reverted: "The page did not keep the value",
+  unchecked: "Unchecked in the review",
+  redacted: "Redacted value left out"
+};
+
+const HISTORY_MODES = {
+  review: "Popup",
+  quick: "Quick fill",
+  wizard: "Wizard",
+  batch: "Batch"
+};
+
+const DEFAULT_HISTORY_SETTINGS = { enabled: true, maxEntries: 500, maxDays: 90, mask: true };
+
+// Long answers are kept, but not whole documents pasted into a field.
+const MAX_HISTORY_VALUE = 2000;
+
+async function getHistorySettings() {
+  const { historySettings } = await chrome.storage.local.get(["historySettings"]);
+  return { ...DEFAULT_HISTORY_SETTINGS, ...historySettings };
+}
+
+async function saveHistorySettings(historySettings) {
+  await chrome.storage.local.set({ historySettings });
+  await setFillHistory(pruneHistory(await getFillHistory(), historySettings));
+}
+
+async function getFillHistory() {
+  const { fillHistory } = await chrome.storage.local.get(["fillHistory"]);
+  return fillHistory || [];
+}
+
+async function setFillHistory(fillHistory) {
+  await chrome.storage.local.set({ fillHistory });
+}
+
+// Entries within the retention limits. 0 means no limit.
+function pruneHistory(entries, { maxEntries, maxDays }) {
+  const since = maxDays ? Date.now() - maxDays * 24 * 60 * 60 * 1000 : 0;
+  const kept = entries.filter(e => Date.parse(e.at) >= since);
+  return maxEntries ? kept.slice(0, maxEntries) : kept;
+}
+
+// The value with whatever the redaction rules match replaced by its kind: "[IBAN]".
+function maskHistoryValue(value, privacy) {
+  return redactText(value, privacy, createRedactionVault()).replace(REDACTION_TOKEN_RE, t => t.replace(/_\d+\]$/, "]"));
+}
+
+// Record one fill. fields: the extracted fields (for labels); mappings: what was sent to
+// the page; fill: the APPLY_MAPPINGS result across frames. correction: { mappings, results }
+// of the correction pass, if any (corrections.js). skipped: [{ mapping, reason }] for
+// values that never reached the page (unchecked in the review, redacted...).
+// usedModel: false when no value came from the model. Never throws: the fill itself
+// went through.
+async function recordFill({ tab, mode, source = "", fields = [], mappings = [], fill, correction = null, skipped = [], usedModel = true }) {
+  try {
+    const settings = await getHistorySettings();
+    if (!settings.enabled) return;
+
+    const fieldBySelector = new Map(fields.map(f => [f.selector, f]));
+    const mappingBySelector = new Map(mappings.map(m => [m.selector, m]));
+    const row = (selector, mapping, result) => {
+      const f = fieldBySelector.get(selector);
+      return {
+        selector,
+        label: f?.label || f?.placeholder || f?.name || f?.id || "",
+        kind: mapping?.kind || "text",
+        status: result.status,
+        reason: result.reason || "",
+        value: mapping ? String(mapping.value ?? "") : "",
+        before: result.before ?? "",
+        after: result.after ?? "",
+        confidence: mapping?.confidence ?? null,
+        corrected: false
+      };
+    };
+
+    const rows = fill.results.map(r => row(r.selector, mappingBySelector.get(r.selector), r));
+    // A corrected field keeps its value from before the fill and takes the corrected one.
+    if (correction) {
+      const fixes = new Map(correction.mappings.map(m => [m.selector, m]));
+      for (const r of correction.results.filter(x => x.status === "updated")) {
+        const i = rows.findIndex(x => x.selector === r.selector);
+        const fixed = { ...row(r.selector, fixes.get(r.selector), r), corrected: true };
+        if (i < 0) rows.push(fixed);
+        else rows[i] = { ...fixed, before: rows[i].before };
+      }
+    }
+    for (const s of skipped) rows.push(row(s.mapping.selector, s.mapping, { status: "skipped", reason: s.reason }));
+    for (const b of (fill.blocked || []).filter(x => !rows.some(r => r.selector === x.selector))) {
+      rows.push({ ...row(b.selector, null, { status: "skipped", reason: "sensitive" }), label: b.label, kind: "" });
+    }
+
+    if (!rows.length) return;
+
+    if (settings.mask) {
+      const privacy = await getPrivacySettings();
+      for (const r of rows) {
+        for (const key of ["value", "before", "after"]) r[key] = maskHistoryValue(r[key], privacy);
+      }
+    }
+    for (const r of rows) {
+      for (const key of ["value", "before", "after"]) r[key] = r[key].slice(0, MAX_HISTORY_VALUE);
+    }
+
+    let provider = "", model = "";
+    if (usedModel) {
+      const { provider: cfg } = await chrome.storage.local.get(["provider"]);
+      const resolved = resolveProviderConfig(cfg);
+      provider = PROVIDERS[resolved.id].label;
+      model = resolved.model;
+    }
+
+    const count = (status) => rows.filter(r => r.status === status).length;
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      url: tab.url || "",
+      title: tab.title || "",
+      mode,
+      source,
+      provider,
+      model,
+      counts: { updated: count("updated"), rejected: count("rejected"), skipped: count("skipped") },
+      fields: rows
+    };
+    await setFillHistory(pruneHistory([entry, ...await getFillHistory()], settings));
+  } catch {
+    // History is a record of the fill, not part of it.
+  }
+}
+
+// CSV export: one line per field, with the fill it belongs to.
+const HISTORY_CSV_COLUMNS = [
+  "time", "url", "title", "mode", "source", "provider", "model",
+  "field", "selector", "kind", "status", "reason", "value", "before", "after", "confidence", "corrected"
+];
+
+// Values and labels come from pages and model answers: a cell that a spreadsheet would
+// read as a formula (=, +, -, @, tab, CR) is prefixed with ' so it stays text.
+function csvCell(value) {
+  let s = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function historyToCsv(entries) {
+  const lines = [HISTORY_CSV_COLUMNS.join(",")];
+  for (const e of entries) {
+    for (const f of e.fields) {
+      lines.push([
+        e.at, e.url, e.title, HISTORY_MODES[e.mode] || e.mode, e.source, e.provider, e.model,
+        f.label, f.selector, f.kind, f.status, HISTORY_REASONS[f.reason] || f.reason,
+        f.value, f.before, f.after, f.confidence ?? "", f.corrected ? "yes" : ""
+      ].map(csvCell).join(","));
+    }
+  }
+  return lines.join("\r\n");
+}
@@ -0,0 +1,116 @@
+// Frame routing for content-script messages.
+// The content script runs in every frame of the tab and only sees its own document,
+// so extraction is done per frame and each selector is prefixed with its frame:
+//   "frame(12) >>> #email"   (top frame selectors have no prefix)
+// Apply and undo then send each mapping to the frame it came from.
+
+const FRAME_PREFIX_RE = /^frame\((\d+)\) >>> /;
+
+function withFramePrefix(frameId, selector) {
+  return frameId ? `frame(${frameId}) >>> ${selector}` : selector;
+}
+
+function splitFramePrefix(selector) {
+  const m = FRAME_PREFIX_RE.exec(selector || "");
+  return m
+    ? { frameId: Number(m[1]), selector: selector.slice(m[0].length) }
+    : { frameId: 0, selector };
+}
+
+async function listFrameIds(tabId) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null);
+  return frames?.length ? frames.map(f => f.frameId) : [0];
+}
+
+// Send a message to one frame. Frames without the content script (sandboxed,
+// chrome://, not yet loaded) reject; treat them as having nothing to say.
+function sendToFrame(tabId, frameId, msg) {
+  return chrome.tabs.sendMessage(tabId, msg, { frameId }).catch(() => null);
+}
+
+// EXTRACT_FORM_FIELDS across all frames, with frame-prefixed selectors.
+// probe: false skips opening custom dropdowns to read their options.
+// When the user picked a scope (see scope.js), frames without one contribute nothing.
+async function extractFieldsFromAllFrames(tabId, { probe = true } = {}) {
+  const fields = [];
+  let scoped = false;
+  for (const frameId of await listFrameIds(tabId)) {
+    const res = await sendToFrame(tabId, frameId, { type: "EXTRACT_FORM_FIELDS", probe });
+    if (!res?.fields) continue;
+    if (res.scoped && !scoped) fields.length = 0;
+    scoped ||= !!res.scoped;
+    if (scoped && !res.scoped) continue;
+    for (const f of res.fields) fields.push({ ...f, selector: withFramePrefix(frameId, f.selector) });
+  }
+  return fields;
+}
+
+// APPLY_MAPPINGS per frame. Mappings for frames that are gone count as skipped and lost.
+// Per-field results, blocked and invalid fields keep their frame-prefixed selectors.
+// amend: the mappings correct the last fill (see corrections.js).
+// leave: selectors of fields the user decided against, never reported as required-but-empty.
+async function applyMappingsToFrames(tabId, mappings, { amend = false, leave = [] } = {}) {
+  const byFrame = new Map();
+  for (const m of mappings) {
+    const { frameId, selector } = splitFramePrefix(m.selector);
+    if (!byFrame.has(frameId)) byFrame.set(frameId, []);
+    byFrame.get(frameId).push({ ...m, selector });
+  }
+
+  let updated = 0, rejected = 0, skipped = 0, rematched = 0, lost = 0;
+  const results = [];
+  const blocked = [];
+  const invalid = [];
+  const leaveByFrame = new Map();
+  for (const sel of leave) {
+    const { frameId, selector } = splitFramePrefix(sel);
+    if (!leaveByFrame.has(frameId)) leaveByFrame.set(frameId, []);
+    leaveByFrame.get(frameId).push(selector);
+  }
+
+  for (const [frameId, frameMappings] of byFrame) {
+    const res = await sendToFrame(tabId, frameId, {
+      type: "APPLY_MAPPINGS",
+      mappings: frameMappings,
+      amend,
+      leave: leaveByFrame.get(frameId) || []
+    });
+    if (res?.error) throw new Error(res.error);
+    if (!res) {
+      skipped += frameMappings.length;
+      lost += frameMappings.length;
+      for (const m of frameMappings) results.push({ selector: withFramePrefix(frameId, m.selector), status: "skipped", matched: "lost", reason: "not_found" });
+      continue;
+    }
+    updated += res.updated || 0;
+    rejected += res.rejected || 0;
+    skipped += res.skipped || 0;
+    rematched += res.rematched || 0;
+    lost += res.lost || 0;
+    for (const r of res.results || []) results.push({ ...r, selector: withFramePrefix(frameId, r.selector) });
+    for (const f of res.blocked || []) blocked.push({ ...f, selector: withFramePrefix(frameId, f.selector) });
+    for (const f of res.invalid || []) invalid.push({ ...f, selector: withFramePrefix(frameId, f.selector) });
+  }
+  return { updated, rejected, skipped, rematched, lost, results, blocked, invalid };
+}
+
+// Invalid fields after a correction (amend) of a fill: the re-written ones as the page
+// judges them now, the others as before.
+function mergeInvalidFields(first, second, rewritten) {
+  const bySelector = new Map(first.filter(f => !rewritten.has(f.selector)).map(f => [f.selector, f]));
+  for (const f of second) bySelector.set(f.selector, f);
+  return [...bySelector.values()];
+}
+
+// UNDO_FILL in every frame that has something to undo.
+async function undoFillInFrames(tabId) {
+  let restored = 0, any = false;
+  for (const frameId of await listFrameIds(tabId)) {
+    const res = await sendToFrame(tabId, frameId, { type: "UNDO_FILL" });
+    if (!res || res.error) continue;
+    any = true;
+    restored += res.restored || 0;
+  }
+  if (!any) throw new Error("Nothing to undo.");
+  return { restored };
+}
@@ -0,0 +1,187 @@
+// Fill history page: lists the fills fillhistory.js recorded, with search and filters.
+// The filtered fills can be exported as JSON or CSV; each one can be deleted.
+
+const $ = (id) => document.getElementById(id);
+
+function setStatus(msg) {
+  $("status").textContent = msg;
+}
+
+// Save text as a file through a temporary download link.
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function entryOrigin(entry) {
+  try { return new URL(entry.url).origin; } catch { return entry.url; }
+}
+
+function entryText(entry) {
+  return [
+    entry.url, entry.title, entry.source, entry.provider, entry.model,
+    ...entry.fields.flatMap(f => [f.label, f.selector, f.value, f.before, f.after])
+  ].join("\n").toLowerCase();
+}
+
+// Fills matching the search box and filters, newest first.
+function filterEntries(entries) {
+  const words = $("search").value.toLowerCase().split(/\s+/).filter(Boolean);
+  const site = $("filterSite").value;
+  const mode = $("filterMode").value;
+  const issues = $("filterStatus").value === "issues";
+  // Dates are the user's local days.
+  const from = $("filterFrom").value ? new Date(`${$("filterFrom").value}T00:00`).getTime() : 0;
+  const to = $("filterTo").value ? new Date(`${$("filterTo").value}T00:00`).getTime() + 24 * 60 * 60 * 1000 : Infinity;
+
+  return entries.filter(e => {
+    const at = Date.parse(e.at);
+    if (at < from || at >= to) return false;
+    if (site && entryOrigin(e) !== site) return false;
+    if (mode && e.mode !== mode) return false;
+    if (issues && !e.counts.skipped && !e.counts.rejected) return false;
+    const text = entryText(e);
+    return words.every(w => text.includes(w));
+  });
+}
+
+function renderEntry(entry) {
+  const card = document.createElement("div");
+  card.className = "entry";
+
+  const title = document.createElement("div");
+  title.textContent = `${new Date(entry.at).toLocaleString()} · ${entry.title || entry.url}`;
+
+  const meta = document.createElement("div");
+  meta.className = "entry-meta";
+  meta.textContent = [
+    entry.url,
+    HISTORY_MODES[entry.mode] || entry.mode,
+    entry.source ? `from ${entry.source}` : "remembered fill",
+    entry.provider ? `${entry.provider} (${entry.model})` : "no model",
+    `updated ${entry.counts.updated}, rejected ${entry.counts.rejected}, skipped ${entry.counts.skipped}`
+  ].join(" · ");
+
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  summary.textContent = `${entry.fields.length} field(s)`;
+  const table = document.createElement("table");
+  const head = table.insertRow();
+  for (const text of ["Field", "Status", "Value", "Before", "After"]) {
+    const th = document.createElement("th");
+    th.textContent = text;
+    head.appendChild(th);
+  }
+  for (const f of entry.fields) {
+    const row = table.insertRow();
+    row.className = f.status;
+    row.insertCell().textContent = f.label || f.selector;
+    row.insertCell().textContent = [
+      f.status,
+      f.corrected ? "corrected" : "",
+      HISTORY_REASONS[f.reason] || f.reason
+    ].filter(Boolean).join(" · ");
+    row.insertCell().textContent = f.value;
+    row.insertCell().textContent = f.before;
+    row.insertCell().textContent = f.after;
+  }
+  details.append(summary, table);
+
+  const del = document.createElement("button");
+  del.textContent = "Delete";
+  del.addEventListener("click", async () => {
+    await setFillHistory((await getFillHistory()).filter(e => e.id !== entry.id));
+    setStatus("Deleted.");
+    await renderAll();
+  });
+
+  card.append(title, meta, details, del);
+  return card;
+}
+
+// Site and mode choices follow what the history holds; the current pick is kept.
+function renderFilterOptions(entries) {
+  const fill = (select, first, options) => {
+    const value = select.value;
+    select.textContent = "";
+    select.add(new Option(first, ""));
+    for (const [v, text] of options) select.add(new Option(text, v));
+    select.value = options.some(([v]) => v === value) ? value : "";
+  };
+  const origins = [...new Set(entries.map(entryOrigin))].sort((a, b) => a.localeCompare(b));
+  fill($("filterSite"), "All sites", origins.map(o => [o, o]));
+  fill($("filterMode"), "All modes", Object.entries(HISTORY_MODES));
+}
+
+async function renderAll() {
+  const entries = await getFillHistory();
+  renderFilterOptions(entries);
+  const shown = filterEntries(entries);
+
+  const list = $("entries");
+  list.textContent = "";
+  if (!entries.length) list.textContent = "No fills recorded yet.";
+  else if (!shown.length) list.textContent = "No fills match the filters.";
+  for (const entry of shown) list.appendChild(renderEntry(entry));
+}
+
+for (const id of ["search", "filterSite", "filterMode", "filterStatus", "filterFrom", "filterTo"]) {
+  $(id).addEventListener("input", () => renderAll());
+}
+
+function exportName(ext) {
+  return `pawpaw-fill-history-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+$("exportJson").addEventListener("click", async () => {
+  const shown = filterEntries(await getFillHistory());
+  downloadText(exportName("json"), JSON.stringify(shown, null, 2), "application/json");
+  setStatus(`Exported ${shown.length} fill(s).`);
+});
+
+$("exportCsv").addEventListener("click", async () => {
+  const shown = filterEntries(await getFillHistory());
+  downloadText(exportName("csv"), historyToCsv(shown), "text/csv");
+  setStatus(`Exported ${shown.length} fill(s).`);
+});
+
+$("deleteAll").addEventListener("click", async () => {
+  if (!confirm("Delete the whole fill history?")) return;
+  await setFillHistory([]);
+  setStatus("Deleted the fill history.");
+  await renderAll();
+});
+
+async function initSettings() {
+  const settings = await getHistorySettings();
+  $("historyEnabled").checked = settings.enabled;
+  $("historyMaxEntries").value = settings.maxEntries;
+  $("historyMaxDays").value = settings.maxDays;
+  $("historyMask").checked = settings.mask;
+}
+
+for (const id of ["historyEnabled", "historyMaxEntries", "historyMaxDays", "historyMask"]) {
+  $(id).addEventListener("change", async () => {
+    const count = (input) => Math.max(0, Math.round(Number(input.value) || 0));
+    await saveHistorySettings({
+      enabled: $("historyEnabled").checked,
+      maxEntries: count($("historyMaxEntries")),
+      maxDays: count($("historyMaxDays")),
+      mask: $("historyMask").checked
+    });
+    await initSettings();
+    await renderAll();
+  });
+}
+
+// Fills recorded while the page is open show up straight away.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.fillHistory) renderAll();
+});
+
+initSettings();
+renderAll();
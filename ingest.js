@@ -0,0 +1,181 @@
+// Source ingestion: turns the files the user picked (and pasted text) into what a
+// request can carry. Each file is detected by extension, then by its first bytes,
+// and read one of three ways:
+// - text: parsed in the browser (doctext.js), so it can be redacted; JSON and CSV
+//   exports are flattened into "key: value" facts first
+// - image: attached as an image (scanned IDs, photos of documents)
+// - file: uploaded as is, for PDF / Word when local reading is turned off
+//   (and legacy .doc, which can't be read locally)
+// Loaded by the popup.
+
+const utf8 = new TextDecoder();
+
+// extension -> { mime, text?: bytes => text, image?, upload? }
+// upload: the provider can take the original file when local reading is off.
+const SOURCE_FORMATS = {
+  pdf: { mime: "application/pdf", text: extractPdfText, upload: true },
+  docx: { mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", text: extractDocxText, upload: true },
+  doc: { mime: "application/msword", upload: true },
+  odt: { mime: "application/vnd.oasis.opendocument.text", text: extractOdtText },
+  rtf: { mime: "application/rtf", text: bytes => extractRtfText(latin1.decode(bytes)) },
+  txt: { mime: "text/plain", text: bytes => utf8.decode(bytes) },
+  md: { mime: "text/markdown", text: bytes => utf8.decode(bytes) },
+  json: { mime: "application/json", text: bytes => flattenJsonFacts(utf8.decode(bytes)) },
+  csv: { mime: "text/csv", text: bytes => flattenCsvFacts(utf8.decode(bytes)) },
+  png: { mime: "image/png", image: true },
+  jpg: { mime: "image/jpeg", image: true },
+  webp: { mime: "image/webp", image: true },
+  gif: { mime: "image/gif", image: true }
+};
+const FORMAT_ALIASES = { markdown: "md", text: "txt", jpeg: "jpg" };
+
+// Accept list for the file input.
+const SOURCE_ACCEPT = Object.keys(SOURCE_FORMATS).concat(Object.keys(FORMAT_ALIASES)).map(e => `.${e}`).join(",");
+
+function startsWithBytes(bytes, sig) {
+  return sig.every((b, i) => bytes[i] === b);
+}
+
+// Format key for a file: its extension when known, otherwise sniffed from the content.
+async function detectSourceFormat(filename, bytes) {
+  const ext = (filename || "").split(".").pop().toLowerCase();
+  const known = FORMAT_ALIASES[ext] || ext;
+  if (SOURCE_FORMATS[known]) return known;
+
+  const head = latin1.decode(bytes.subarray(0, 16));
+  if (head.startsWith("%PDF")) return "pdf";
+  if (head.startsWith("{\\rtf")) return "rtf";
+  if (startsWithBytes(bytes, [0x89, 0x50, 0x4e, 0x47])) return "png";
+  if (startsWithBytes(bytes, [0xff, 0xd8, 0xff])) return "jpg";
+  if (head.startsWith("GIF8")) return "gif";
+  if (head.startsWith("RIFF") && latin1.decode(bytes.subarray(8, 12)) === "WEBP") return "webp";
+  if (startsWithBytes(bytes, [0xd0, 0xcf, 0x11, 0xe0])) return "doc";
+  if (head.startsWith("PK")) {
+    if (await readZipEntry(bytes, "word/document.xml")) return "docx";
+    if (await readZipEntry(bytes, "content.xml")) return "odt";
+  }
+
+  // Anything that decodes as UTF-8 without control characters is read as plain text.
+  const sample = utf8.decode(bytes.subarray(0, 4096));
+  if (!/[\u0000-\u0008\u000e-\u001f\uFFFD]/.test(sample)) return "txt";
+  throw new Error(`Unsupported file type: ${filename}`);
+}
+
+// Nested JSON as one "path: value" line per leaf, e.g. "positions[0].title: Engineer".
+function flattenJsonFacts(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("JSON file is not valid JSON."); }
+
+  const lines = [];
+  const walk = (value, path) => {
+    if (value === null || value === undefined || value === "") return;
+    if (Array.isArray(value)) value.forEach((v, i) => walk(v, `${path}[${i}]`));
+    else if (typeof value === "object") for (const [k, v] of Object.entries(value)) walk(v, path ? `${path}.${k}` : k);
+    else lines.push(`${path || "value"}: ${value}`);
+  };
+  walk(data, "");
+  return lines.join("\n");
+}
+
+// RFC 4180 CSV: quoted fields, doubled quotes, newlines inside quotes.
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const s = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === "\"" && s[i + 1] === "\"") { field += "\""; i++; }
+      else if (c === "\"") quoted = false;
+      else field += c;
+    } else if (c === "\"") quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim()));
+}
+
+// CSV rows as facts: one block per row, "header: value" per non-empty cell.
+function flattenCsvFacts(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return "";
+  return rows.map((r, i) => [
+    `Row ${i + 1}:`,
+    ...header.map((h, k) => (r[k] || "").trim() ? `${h.trim() || `Column ${k + 1}`}: ${r[k].trim()}` : "").filter(Boolean)
+  ].join("\n")).join("\n\n");
+}
+
+function bytesToDataUrl(bytes, mime) {
+  return `data:${mime};base64,${bytesToBase64(bytes)}`;
+}
+
+function tidyText(text) {
+  return text.replace(/\r\n?/g, "\n").replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Read every file (and the pasted text) into
+// { texts: [{ name, text }], images: [{ filename, dataUrl }], files: [{ filename, mime, base64 }] }.
+// localText: false uploads PDF / Word files as is instead of reading them here.
+async function ingestSources(files, pastedText, { localText }) {
+  const sources = { texts: [], images: [], files: [] };
+
+  for (const file of files) {
+    const filename = file.name || "document";
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const format = SOURCE_FORMATS[await detectSourceFormat(filename, bytes)];
+
+    if (format.image) {
+      sources.images.push({ filename, dataUrl: bytesToDataUrl(bytes, format.mime) });
+    } else if (format.upload && (!localText || !format.text)) {
+      if (localText) {
+        throw new Error(`${filename}: legacy .doc files can't be read locally. Save it as .docx or PDF, ` +
+          "or turn off \"Read the document locally\" under Privacy to upload it as is.");
+      }
+      sources.files.push({ filename, mime: format.mime, base64: bytesToBase64(bytes) });
+    } else {
+      let text;
+      try {
+        text = tidyText(await format.text(bytes));
+      } catch (e) {
+        throw new Error(`${filename}: ${e.message || e}`);
+      }
+      if (!text.replace(/--- Page \d+ ---/g, "").trim()) {
+        throw new Error(`${filename}: no text found (scanned PDF? Save the pages as images and add those instead).`);
+      }
+      sources.texts.push({ name: filename, text });
+    }
+  }
+
+  if (pastedText?.trim()) sources.texts.push({ name: "Pasted text", text: tidyText(pastedText) });
+  return sources;
+}
+
+// Names of all sources, for status messages and the wizard.
+function describeSources(sources) {
+  return [...sources.texts.map(t => t.name), ...sources.images.map(i => i.filename), ...sources.files.map(f => f.filename)].join(", ");
+}
+
+// A CSV or XLSX sheet for batch fill: { headers, rows }, the first row being the headers.
+// Headers are made unique ("Name", "Name (2)") since the column map is keyed by header.
+async function readBatchTable(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const isXlsx = /\.xlsx$/i.test(file.name || "") ||
+    (latin1.decode(bytes.subarray(0, 2)) === "PK" && !!(await readZipEntry(bytes, "xl/workbook.xml")));
+
+  const [header, ...rows] = isXlsx ? await extractXlsxRows(bytes) : parseCsv(utf8.decode(bytes));
+  if (!header) throw new Error(`${file.name}: the sheet is empty.`);
+
+  const seen = {};
+  const headers = header.map((h, i) => {
+    const name = String(h).trim() || `Column ${i + 1}`;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+  });
+  return { headers, rows: rows.map(r => headers.map((h, i) => String(r[i] ?? "").trim())) };
+}
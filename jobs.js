@@ -0,0 +1,180 @@
+// Mapping jobs: "Analyze & Fill" asks the model from a job in the service worker, so the
+// answer doesn't depend on the popup staying open.
+// Loaded by the service worker (importScripts); uses providers.js and mapping.js helpers.
+//
+// A job belongs to a tab (one at a time) and is kept in chrome.storage.session under
+// "mapJob:<tabId>", so a popup opened later can follow it again or pick up its answer:
+//   { id, state, startedAt, finishedAt, progress, result, error, context }
+// - state: "running", "done", "failed" or "cancelled".
+// - progress: the latest message (which request is out, retry waits...).
+// - result: what OPENAI_MAP_FIELDS returns, { mappings, lowConfidence, audit, profileFacts? }.
+// - context: what the popup needs to show the review later, stored as is. When the job
+//   doesn't fit in storage, context.sources is dropped (no correction pass for that fill).
+// The job has one timeout for all its requests and retries (requestSettings, providers.js);
+// Cancel aborts it. A popup follows a job over a port named MAP_JOB_PORT: it posts
+// { tabId, jobId } and gets { job } (without context) on every change until the job ends.
+
+const MAP_JOB_PORT = "map-job";
+const mapJobKey = (tabId) => `mapJob:${tabId}`;
+
+// Chrome may stop a service worker that has had no events for 30 s, even with a request
+// out. While a job runs, an extension API call this often keeps the worker up.
+const MAP_JOB_KEEPALIVE_MS = 20000;
+
+// Jobs running in this worker: id -> { job, tabId, controller, ports, tabClosed }.
+const runningMapJobs = new Map();
+let mapJobKeepalive = null;
+
+function withoutContext({ context, ...job }) {
+  return job;
+}
+
+async function saveMapJob(tabId, job) {
+  try {
+    await chrome.storage.session.set({ [mapJobKey(tabId)]: job });
+  } catch {
+    // chrome.storage.session is capped (10 MB); large documents are the bulk of a job.
+    job.context = { ...job.context, sources: null };
+    await chrome.storage.session.set({ [mapJobKey(tabId)]: job });
+  }
+  for (const port of runningMapJobs.get(job.id)?.ports || []) port.postMessage({ job: withoutContext(job) });
+}
+
+function forgetRunningMapJob(id) {
+  runningMapJobs.delete(id);
+  if (!runningMapJobs.size) {
+    clearInterval(mapJobKeepalive);
+    mapJobKeepalive = null;
+  }
+}
+
+async function finishMapJob(tabId, job, changes) {
+  Object.assign(job, changes, { finishedAt: new Date().toISOString(), progress: "" });
+  if (!runningMapJobs.get(job.id)?.tabClosed) await saveMapJob(tabId, job);
+  forgetRunningMapJob(job.id);
+  return job;
+}
+
+// The end of a job could not be stored (storage full, worker shutting down): popups that
+// follow it are told, and the stored copy is removed rather than left "running".
+function dropMapJob(tabId, job, error) {
+  console.error("Mapping job could not be saved:", error);
+  Object.assign(job, {
+    state: "failed",
+    finishedAt: new Date().toISOString(),
+    progress: "",
+    result: null,
+    error: `The fill's answer could not be kept: ${error?.message || error}. Try again.`
+  });
+  for (const port of runningMapJobs.get(job.id)?.ports || []) port.postMessage({ job: withoutContext(job) });
+  forgetRunningMapJob(job.id);
+  chrome.storage.session.remove(mapJobKey(tabId)).catch(() => {});
+}
+
+// The tab's job, or null. A job stored as running that this worker doesn't run was cut
+// off when the browser stopped the worker.
+async function getMapJob(tabId) {
+  const key = mapJobKey(tabId);
+  const stored = await chrome.storage.session.get([key]);
+  const job = stored[key] || null;
+  if (job?.state === "running" && !runningMapJobs.has(job.id)) {
+    return finishMapJob(tabId, job, {
+      state: "failed",
+      error: "The fill was interrupted when the browser stopped the extension in the background. Try again."
+    });
+  }
+  return job;
+}
+
+// Start mapping `payload` (same as OPENAI_MAP_FIELDS) for the tab. Returns { jobId } at
+// once; the job carries on without the popup.
+async function startMapJob(tabId, { payload, context = null }) {
+  if ((await getMapJob(tabId))?.state === "running") {
+    throw new Error("A fill is already running in this tab. Wait for it or cancel it.");
+  }
+
+  const { timeout } = await getRequestSettings();
+  const controller = new AbortController();
+  const job = {
+    id: crypto.randomUUID(),
+    state: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: "Starting...",
+    result: null,
+    error: "",
+    context
+  };
+  runningMapJobs.set(job.id, { job, tabId, controller, ports: new Set() });
+  mapJobKeepalive ??= setInterval(() => chrome.runtime.getPlatformInfo().catch(() => {}), MAP_JOB_KEEPALIVE_MS);
+  try {
+    await saveMapJob(tabId, job);
+  } catch (e) {
+    // Nothing was started: the popup gets the error, and the worker may stop again.
+    forgetRunningMapJob(job.id);
+    throw e;
+  }
+
+  const signal = AbortSignal.any([controller.signal, AbortSignal.timeout(timeout * 1000)]);
+  const onProgress = (progress) => {
+    if (job.state !== "running") return;
+    job.progress = progress;
+    saveMapJob(tabId, job).catch(() => {});
+  };
+  mapFieldsWithSelectedProvider(payload, { signal, onProgress })
+    .then(result => finishMapJob(tabId, job, { state: "done", result }))
+    .catch(e => finishMapJob(tabId, job, controller.signal.aborted
+      ? { state: "cancelled", error: "Cancelled." }
+      : { state: "failed", error: String(e.message || e) }))
+    .catch(e => dropMapJob(tabId, job, e));
+
+  return { jobId: job.id };
+}
+
+// { job } with its context, for a popup that reattaches; { job: null } when there is none.
+async function getMapJobStatus(tabId) {
+  return { job: await getMapJob(tabId) };
+}
+
+async function cancelMapJob(tabId) {
+  const job = await getMapJob(tabId);
+  const running = job && runningMapJobs.get(job.id);
+  if (!running) return { cancelled: false };
+  running.controller.abort(new Error("Cancelled."));
+  return { cancelled: true };
+}
+
+// Forget a job that has ended, once the popup has shown its answer.
+async function clearMapJob(tabId) {
+  const job = await getMapJob(tabId);
+  if (!job || job.state === "running") return { cleared: false };
+  await chrome.storage.session.remove(mapJobKey(tabId));
+  return { cleared: true };
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== MAP_JOB_PORT) return;
+
+  port.onMessage.addListener(async ({ tabId, jobId }) => {
+    const running = runningMapJobs.get(jobId);
+    if (running) {
+      running.ports.add(port);
+      port.onDisconnect.addListener(() => running.ports.delete(port));
+      port.postMessage({ job: withoutContext(running.job) });
+      return;
+    }
+    // Ended already (or gone): the stored job is all there is.
+    const job = await getMapJob(tabId);
+    port.postMessage({ job: job?.id === jobId ? withoutContext(job) : null });
+  });
+});
+
+// A closed tab has no popup to show the answer to.
+chrome.tabs.onRemoved.addListener((tabId) => {
+  for (const running of runningMapJobs.values()) {
+    if (running.tabId !== tabId) continue;
+    running.tabClosed = true;
+    running.controller.abort(new Error("Cancelled."));
+  }
+  chrome.storage.session.remove(mapJobKey(tabId));
+});
@@ -0,0 +1,426 @@
+// Mapping requests: prompts, schema and the provider call behind OPENAI_MAP_FIELDS, for
+// documents and profiles alike. Large forms are split over several requests (estimated
+// up front, usage recorded by usage.js) and the answers are normalized for the content script.
+// Every request has a timeout and is retried with backoff on rate limits and server errors.
+// Loaded by the service worker (importScripts); uses providers.js, usage.js, profiles.js
+// and redact.js. Nothing runs at load time, so the tests load it without the worker.
+
+async function getSessionApiKey({ required = true } = {}) {
+  // API key is stored in chrome.storage.session by the popup.
+  // This keeps the key ephemeral (not persisted across browser restarts).
+  const { apiKey } = await chrome.storage.session.get(["apiKey"]);
+  if (!apiKey && required) throw new Error("API key not set (session). Re-open popup and enter it again.");
+  return apiKey || "";
+}
+
+// Mappings below this confidence (0-1) are dropped before they reach the page.
+async function getMinConfidence() {
+  const { minConfidence } = await chrome.storage.local.get(["minConfidence"]);
+  return Number(minConfidence) || 0;
+}
+
+async function getProviderConfig() {
+  // Provider choice is not secret, so it lives in chrome.storage.local.
+  const { provider } = await chrome.storage.local.get(["provider"]);
+  return resolveProviderConfig(provider);
+}
+
+// The provider and key the user configured in the popup.
+async function getSelectedProvider() {
+  const provider = await getProviderConfig();
+  const apiKey = await getSessionApiKey({ required: PROVIDERS[provider.id].requiresKey });
+  return { provider, apiKey };
+}
+
+function buildSchema({ withProfile = false } = {}) {
+  // Strict JSON schema used to force the model to return machine-readable mappings.
+  // Note: `value` is always a string; special types are encoded as strings.
+  // `confidence` (0-1) and `source` (quote from the document/profile) back each value.
+  const schema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      mappings: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            selector: { type: "string" },
+            kind: { type: "string" },
+            value: { type: "string" },
+            confidence: { type: "number" },
+            source: { type: "string" }
+          },
+          required: ["selector", "kind", "value", "confidence", "source"]
+        }
+      }
+    },
+    required: ["mappings"]
+  };
+
+  // When building a profile, the same request also returns every fact in the document,
+  // so the first pass over a document costs one model call, not two.
+  if (withProfile) {
+    schema.properties.profile_facts = {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          section: { type: "string", enum: PROFILE_SECTIONS },
+          key: { type: "string" },
+          value: { type: "string" }
+        },
+        required: ["section", "key", "value"]
+      }
+    };
+    schema.required.push("profile_facts");
+  }
+
+  return schema;
+}
+
+
+function buildPrompt({ pageUrl, fields, userRules, profile, withProfile, previousAnswers, docText, hasFiles, hasImages, hasScreenshot, chunk }) {
+  // Prompt includes:
+  // - Rules about selector usage and value formats
+  // - The current page URL (light context)
+  // - A JSON dump of extracted fields (selector + metadata)
+  // - The saved profile facts, when filling from a profile instead of a document
+  // - The documents' text, for sources read (and redacted) locally instead of attached
+  // - Answers given on earlier steps of a multi-step form (wizard mode)
+  // chunk: { index, count } when the form's fields are split over several requests.
+  const source = profile ? "profile" : "document";
+  const documents = [
+    docText ? "the document text below" : "",
+    hasFiles ? "the attached document(s)" : "",
+    hasImages ? "the attached image(s) of documents" : ""
+  ].filter(Boolean).join(", ");
+  const redacted = new RegExp(REDACTION_TOKEN_RE.source).test(`${docText || ""}${JSON.stringify(profile?.facts || [])}`);
+  return [
+    profile
+      ? "Task: Fill a web form using the facts in the profile JSON below."
+      : `Task: Fill a web form using information extracted from ${documents}` +
+        `${hasScreenshot ? ", and the provided screenshot of the form" : ""}.`,
+    "Return ONLY JSON that matches the provided schema.",
+    "MUST RESPECT THESE RULES:",
+    "1) Use selectors exactly as provided.",
+    `2) Map only when the ${source} clearly provides the value.`,
+    "3) value MUST always be a string. Use conventions:",
+      "   - checkbox: 'true' or 'false'",
+      "   - multi-select: JSON array string like '[\"Option 1\",\"Option 2\"]'",
+      "   - single select: option visible text (or value if provided)",
+      "   - radio: radio visible label text (or value if provided)",
+      "   - role textbox / contenteditable: plain text",
+      "   - role combobox / listbox: option visible text (multiple: JSON array string)",
+      "   - widget (custom dropdown / autocomplete): option visible text; without options, the text to search for",
+      "   - dates: YYYY-MM-DD (converted to the field's date_format automatically)",
+    fields.some(f => f.options_total)
+      ? "   - options_total: the option list was shortened to likely options; the exact visible text of another option works too"
+      : "",
+    fields.some(f => f.pattern || f.min || f.max || f.min_length || f.inputmode)
+      ? "   - pattern / min / max / step / min_length / max_length / inputmode: the page validates these; the value must satisfy them"
+      : "",
+    "4) Try to fill all fields if possible, but prioritize accuracy over quantity.",
+    `5) If value exists in ${source} Keep values exactly as they should be typed into the field.`,
+    "6) confidence: 0 to 1. Near 1 when the value is copied verbatim, 0.5 or less when it is inferred or guessed.",
+    `7) source: short quote from the ${source} that the value comes from (prefix with a page reference like 'p. 2:' when known); empty if guessed.`,
+    redacted
+      ? `8) Tokens like [IBAN_1] stand for redacted personal data. When a field needs that data, use the token exactly as the value.`
+      : "",
+    withProfile
+      ? "9) Also list in profile_facts every reusable fact in the document (name, contact, address, each work history entry, each education entry, skills...), whether or not a field uses it. Use short keys like 'Full name' or 'Job 1 title'."
+      : "",
+    "",
+    userRules ? `Extra instructions: ${userRules}` : "",
+    
+    "",
+    `Page: ${pageUrl}`,
+    chunk ? `This form is large: these are part ${chunk.index + 1} of ${chunk.count} of its fields.` : "",
+    "",
+    "Fields JSON (each has selector + label/placeholder/name/type, or role for ARIA widgets):",
+    JSON.stringify(fields),
+    profile ? "\nProfile JSON:" : "",
+    profile ? JSON.stringify(profile.facts) : "",
+    docText ? "\nDocument text:" : "",
+    docText || "",
+    previousAnswers?.length ? "\nAnswers given on earlier steps of this form (reuse the same answer when a question repeats):" : "",
+    previousAnswers?.length ? JSON.stringify(previousAnswers) : ""
+  ].filter(Boolean).join("\n");
+}
+
+// What left the browser, for the popup's audit view. Headers (API key) are left out
+// and base64 attachments are summarized; everything else is the exact request body.
+function auditRequest(request) {
+  return {
+    url: request.url,
+    body: JSON.stringify(request.body, (key, value) => {
+      if (typeof value !== "string") return value;
+      const dataUrl = /^data:([^;,]+);base64,/.exec(value);
+      if (dataUrl) return `<${dataUrl[1]}, ${value.length - dataUrl[0].length} base64 chars>`;
+      if (key === "data" && value.length > 200) return `<${value.length} base64 chars>`;
+      return value;
+    }, 2)
+  };
+}
+
+// Rate limits, timeouts and server errors that are worth another try.
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+// Wait, or reject with the signal's reason as soon as it aborts.
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Delay before retry n (1-based): what the server asks for in Retry-After (seconds),
+// otherwise exponential backoff with jitter, so parallel fills don't retry in step.
+function retryDelay(n, resp) {
+  const asked = Number(resp?.headers.get("retry-after"));
+  if (asked > 0) return Math.min(asked * 1000, RETRY_MAX_MS);
+  const base = Math.min(RETRY_BASE_MS * 2 ** (n - 1), RETRY_MAX_MS);
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+// POST the request and return the response JSON. Network errors and RETRY_STATUSES are
+// retried up to `retries` times; onProgress(message) hears about each wait.
+// An aborted signal ends the call at once: the timeout as a readable error, a cancel
+// with the reason it was aborted with.
+async function postWithRetries(request, { label, signal, retries, onProgress }) {
+  try {
+    for (let attempt = 0; ; attempt++) {
+      let resp = null;
+      let failure;
+      try {
+        resp = await fetch(request.url, {
+          method: "POST",
+          headers: request.headers,
+          body: JSON.stringify(request.body),
+          signal
+        });
+      } catch (e) {
+        if (signal.aborted || attempt >= retries) throw e;
+        failure = `Could not reach ${label}`;
+      }
+
+      if (resp && (resp.ok || !RETRY_STATUSES.includes(resp.status) || attempt >= retries)) {
+        if (!resp.ok) {
+          const t = await resp.text().catch(() => "");
+          throw new Error(`${label} error ${resp.status}: ${t || resp.statusText}`);
+        }
+        return await resp.json();
+      }
+      if (resp) {
+        failure = `${label} answered ${resp.status}${resp.status === 429 ? " (rate limited)" : ""}`;
+        await resp.body?.cancel().catch(() => {});
+      }
+
+      const delay = retryDelay(attempt + 1, resp);
+      onProgress?.(`${failure}. Retrying in ${Math.ceil(delay / 1000)} s (${attempt + 1} of ${retries})...`);
+      await abortableDelay(delay, signal);
+    }
+  } catch (e) {
+    if (!signal.aborted) throw e;
+    if (signal.reason?.name === "TimeoutError") {
+      throw new Error(`${label} did not answer in time. Try again, or raise the timeout under Provider.`);
+    }
+    throw signal.reason;
+  }
+}
+
+// One structured-output call to the selected provider: { parsed, audit, usage }.
+// Attachments (screenshotDataUrl, images, docs) are passed through to the adapter.
+// The usage the API reports is added to the session and pageUrl's site totals.
+// signal: ends the call (see jobs.js); without one, the call gets the configured timeout.
+// Rate limits and server errors are retried with backoff (postWithRetries).
+async function requestStructured({ provider, apiKey, system, prompt, schema, pageUrl, signal, onProgress, ...attachments }) {
+  const adapter = PROVIDERS[provider.id];
+
+  // The endpoint is an optional host permission granted from the popup.
+  const origin = providerOriginPattern(provider.baseUrl);
+  if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+    throw new Error(`No permission to reach ${origin}. Open the popup and allow access to the endpoint.`);
+  }
+
+  const request = adapter.buildRequest({
+    baseUrl: provider.baseUrl,
+    model: provider.model,
+    apiKey,
+    system,
+    prompt,
+    schema,
+    ...attachments
+  });
+
+  const audit = auditRequest(request);
+
+  // Do the network call from the background/service worker.
+  // (The popup is short-lived and is not ideal for long requests.)
+  const { timeout, retries } = await getRequestSettings();
+  const data = await postWithRetries(request, {
+    label: adapter.label,
+    signal: signal || AbortSignal.timeout(timeout * 1000),
+    retries,
+    onProgress
+  });
+  const usage = adapter.extractUsage(data);
+  await recordUsage({ provider, pageUrl, usage });
+  return { parsed: adapter.extractResult(data), audit, usage };
+}
+
+// Large forms: the fields JSON is split once it passes either limit. Every request
+// carries the same sources; the answers are merged.
+const MAX_FIELD_TOKENS_PER_REQUEST = 6000;
+const MAX_FIELDS_PER_REQUEST = 80;
+// Selects and widgets with more options than this only list the options the sources
+// mention (and the current one). The page matches other answers against the full list.
+const MAX_PROMPT_OPTIONS = 40;
+// Expected answer size, for estimates: one mapping per field, plus the profile facts.
+const OUTPUT_TOKENS_PER_FIELD = 60;
+const PROFILE_OUTPUT_TOKENS = 1500;
+
+function normalizeForMatch(text) {
+  return String(text || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function compactFieldOptions(fields, sourceText) {
+  const haystack = normalizeForMatch(sourceText);
+  const mentioned = (text) => {
+    const t = normalizeForMatch(text).trim();
+    return t.length >= 2 && new RegExp(`(^|[^a-z0-9])${t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^a-z0-9])`).test(haystack);
+  };
+
+  return fields.map(f => {
+    if (!f.options || f.options.length <= MAX_PROMPT_OPTIONS) return f;
+    const options = f.options.filter(o => (f.value && o.value === f.value) || mentioned(o.text));
+    return { ...f, options: options.slice(0, MAX_PROMPT_OPTIONS), options_total: f.options.length };
+  });
+}
+
+// Split fields into request-sized groups in page order. A radio group stays in one group.
+function chunkFields(fields) {
+  const chunks = [[]];
+  let size = 0;
+  fields.forEach((f, i) => {
+    const tokens = estimateTextTokens(JSON.stringify(f));
+    const current = chunks[chunks.length - 1];
+    const prev = fields[i - 1];
+    const sameGroup = f.type === "radio" && prev?.type === "radio" && !!f.name && prev.name === f.name;
+    if (current.length && !sameGroup && (size + tokens > MAX_FIELD_TOKENS_PER_REQUEST || current.length >= MAX_FIELDS_PER_REQUEST)) {
+      chunks.push([]);
+      size = 0;
+    }
+    chunks[chunks.length - 1].push(f);
+    size += tokens;
+  });
+  return chunks;
+}
+
+// Several requests show up as one audit, each body under its own heading.
+function mergeAudits(audits) {
+  if (audits.length === 1) return audits[0];
+  return {
+    url: audits[0].url,
+    body: audits.map((a, i) => `--- Request ${i + 1} of ${audits.length} ---\n${a.body}`).join("\n\n")
+  };
+}
+
+// Sources (see ingest.js in the popup): docText is the text of every locally read source,
+// docFiles are uploaded as is ([{ filename, mime, base64 }]) and images are attached
+// ([{ filename, dataUrl }]).
+// The requests for one mapping, one per chunk of fields (see chunkFields). Profile facts
+// can only be extracted from documents, never from another profile, and only the first
+// request asks for them.
+function planMappingRequests({ docText, docFiles = [], images = [], pageUrl, fields, screenshotDataUrl, userRules, profile, extractProfile, previousAnswers }) {
+  const extract = !!extractProfile && !profile && !!(docText || docFiles.length || images.length);
+  const sourceText = [docText, JSON.stringify(profile?.facts || []), JSON.stringify(previousAnswers || []), userRules].join("\n");
+  const chunks = chunkFields(compactFieldOptions(fields, sourceText));
+
+  return chunks.map((chunkFields, index) => {
+    const withProfile = extract && index === 0;
+    return {
+      system: "Extract document info from a document and map it to web form fields.",
+      prompt: buildPrompt({
+        pageUrl, fields: chunkFields, userRules, profile, withProfile, previousAnswers, docText,
+        hasFiles: docFiles.length > 0, hasImages: images.length > 0, hasScreenshot: !!screenshotDataUrl,
+        chunk: chunks.length > 1 ? { index, count: chunks.length } : null
+      }),
+      schema: buildSchema({ withProfile }),
+      screenshotDataUrl,
+      images: images.map(i => i.dataUrl),
+      docs: docFiles.map(f => ({ base64: f.base64, filename: f.filename, mime: f.mime })),
+      withProfile,
+      expectedOutput: chunkFields.length * OUTPUT_TOKENS_PER_FIELD + (withProfile ? PROFILE_OUTPUT_TOKENS : 0)
+    };
+  });
+}
+
+// Normalize mappings for the content script, whatever the provider.
+function normalizeMappings(parsed) {
+  return Array.isArray(parsed?.mappings)
+    ? parsed.mappings
+        .filter(m => m && typeof m.selector === "string" && typeof m.value !== "undefined")
+        .map(m => ({
+          selector: m.selector,
+          kind: m.kind,
+          value: m.value,
+          // Models without strict schema support may leave these out: confidence is then unknown (null).
+          confidence: Number.isFinite(m.confidence) ? Math.min(1, Math.max(0, m.confidence)) : null,
+          source: typeof m.source === "string" ? m.source.trim().slice(0, 300) : ""
+        }))
+    : [];
+}
+
+// Calls the selected provider with structured output (json_schema or equivalent), once
+// per planned request, and merges the answers. signal and onProgress go to every request;
+// onProgress also hears which request is being sent.
+async function callProvider({ provider, apiKey, signal, onProgress, ...payload }) {
+  const plan = planMappingRequests(payload);
+  const mappings = [];
+  const audits = [];
+  let profileFacts = [];
+
+  for (const [i, { withProfile, expectedOutput, ...request }] of plan.entries()) {
+    onProgress?.(plan.length > 1
+      ? `Waiting for ${PROVIDERS[provider.id].label}: request ${i + 1} of ${plan.length}...`
+      : `Waiting for ${PROVIDERS[provider.id].label}...`);
+    const { parsed, audit } = await requestStructured({ provider, apiKey, pageUrl: payload.pageUrl, signal, onProgress, ...request });
+    audits.push(audit);
+    mappings.push(...normalizeMappings(parsed));
+    if (withProfile) profileFacts = normalizeProfileFacts(parsed?.profile_facts);
+  }
+
+  const audit = mergeAudits(audits);
+  return plan[0].withProfile ? { mappings, audit, profileFacts } : { mappings, audit };
+}
+
+// Tokens and cost of a mapping before it is sent (same payload as OPENAI_MAP_FIELDS).
+async function estimateMapFields(payload) {
+  const provider = await getProviderConfig();
+  return estimateRequests(provider, planMappingRequests(payload));
+}
+
+// Map fields with whatever provider and key the user configured in the popup.
+// Mappings under the confidence threshold are dropped and counted in lowConfidence;
+// mappings with unknown confidence are kept. options: { signal, onProgress } (see callProvider).
+async function mapFieldsWithSelectedProvider(payload, options = {}) {
+  const { provider, apiKey } = await getSelectedProvider();
+  const minConfidence = await getMinConfidence();
+  const res = await callProvider({ provider, apiKey, ...payload, ...options });
+
+  const mappings = res.mappings.filter(m => m.confidence === null || m.confidence >= minConfidence);
+  return { ...res, mappings, lowConfidence: res.mappings.length - mappings.length };
+}
@@ -0,0 +1,99 @@
+// Sensitive-field policy: passwords, payment details, one-time codes, captchas and consent
+// boxes. Loaded by the content script (extraction and apply, see content.js) and the popup
+// (settings).
+//
+// Each field gets a category from its autocomplete tokens, input type and the words of its
+// label, name, id and placeholder, then the action set for that category:
+// - "block": never sent to the model and never written
+// - "confirm": sent, but only written once the user checks it in the review
+// - "allow": a normal field
+// Per-site lists override the defaults: a field whose words contain a "deny" entry is
+// blocked, one with an "allow" entry is a normal field. Deny wins. Sites are keyed by the
+// origin of the page in the tab, so embedded forms follow the page they are shown on.
+// Stored in chrome.storage.local "fieldPolicy": { actions: { category: action }, sites: { origin: { allow, deny } } }.
+
+const POLICY_ACTIONS = {
+  block: "Never send or fill",
+  confirm: "Fill only after I check it",
+  allow: "Treat as a normal field"
+};
+
+// checkable: the category only applies to checkboxes (consent); the others never do.
+const SENSITIVE_CATEGORIES = {
+  password: {
+    label: "Passwords",
+    types: ["password"],
+    autocomplete: ["current-password", "new-password"],
+    keywords: /\bpass(word|wd|phrase)\b|\bpwd\b/i
+  },
+  payment: {
+    label: "Card numbers, CVV and card expiry",
+    autocomplete: ["cc-number", "cc-csc", "cc-exp", "cc-exp-month", "cc-exp-year"],
+    keywords: /\b(credit|debit) ?card\b|\bcard ?(number|no|expir\w*|verification)\b|\bcc ?(num(ber)?|exp|cvv|cvc|csc)\b|\bcvv2?\b|\bcvc2?\b|\bccv\b|\bcsc\b|\bcard security code\b/i
+  },
+  otp: {
+    label: "One-time and verification codes",
+    autocomplete: ["one-time-code"],
+    keywords: /\bone[- ]?time (pass)?code\b|\bverification code\b|\botp\b|\b2fa\b|\btwo[- ]factor\b|\bauthenticat(ion|or) code\b|\bsms code\b/i
+  },
+  captcha: {
+    label: "Captchas",
+    keywords: /captcha/i
+  },
+  consent: {
+    label: "Terms, privacy and marketing consent boxes",
+    checkable: true,
+    keywords: /\bi (agree|accept|consent)\b|\bagree to\b|\bconsent\b|\bterms (and|&) conditions\b|\bterms of (use|service)\b|\bprivacy (policy|notice)\b|\bnewsletter\b|\bmarketing\b|\bsubscribe\b|\bopt[- ]?in\b|\bspecial offers\b/i
+  }
+};
+
+const DEFAULT_FIELD_POLICY = {
+  actions: { password: "block", payment: "block", otp: "block", captcha: "block", consent: "confirm" },
+  sites: {}
+};
+
+async function getFieldPolicySettings() {
+  const { fieldPolicy } = await chrome.storage.local.get(["fieldPolicy"]);
+  return {
+    actions: { ...DEFAULT_FIELD_POLICY.actions, ...fieldPolicy?.actions },
+    sites: { ...fieldPolicy?.sites }
+  };
+}
+
+async function saveFieldPolicySettings(fieldPolicy) {
+  await chrome.storage.local.set({ fieldPolicy });
+}
+
+// "cardNumber", "cc_exp" -> "card Number", "cc exp", so names match like labels do.
+function fieldPolicyWords(text) {
+  return String(text || "").replace(/([a-z])([A-Z])/g, "$1 $2").replace(/[-_.[\]]+/g, " ");
+}
+
+// info: { type, autocomplete, text } with text = label, name, id and placeholder.
+function classifySensitiveField({ type, autocomplete, text }) {
+  const tokens = String(autocomplete || "").toLowerCase().split(/\s+/);
+  const checkable = type === "checkbox";
+  const words = fieldPolicyWords(text);
+  for (const [category, c] of Object.entries(SENSITIVE_CATEGORIES)) {
+    if (!!c.checkable !== checkable) continue;
+    if (c.types?.includes(type) || c.autocomplete?.some(t => tokens.includes(t)) || c.keywords.test(words)) return category;
+  }
+  return "";
+}
+
+// { category, action } for a field on `origin`. category is "" for normal fields and
+// "site" for fields only the site's deny list blocks.
+function fieldPolicy(info, settings, origin) {
+  const category = classifySensitiveField(info);
+  const site = settings.sites[origin] || {};
+  const words = fieldPolicyWords(info.text).toLowerCase();
+  const listed = (list) => (list || []).some(entry => entry && words.includes(fieldPolicyWords(entry).toLowerCase()));
+
+  if (listed(site.deny)) return { category: category || "site", action: "block" };
+  if (listed(site.allow)) return { category, action: "allow" };
+  return { category, action: category ? settings.actions[category] || "allow" : "allow" };
+}
+
+function describePolicyCategory(category) {
+  return category === "site" ? "blocked on this site" : SENSITIVE_CATEGORIES[category]?.label.toLowerCase() || "";
+}
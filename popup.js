@@ -1,10 +1,14 @@
 // Popup controller: wires the popup UI to the extension backend.
 // Flow:
-// 1) Read API key + document file from the popup.
+// 1) Read API key + document file (or a saved profile) from the popup.
 // 2) Ask content script for the current page's fillable fields.
 // 3) Capture a screenshot for extra context.
-// 4) Ask background/service worker to call OpenAI and return field mappings.
-// 5) Send mappings back to the content script to fill the page.
+// 4) Ask background/service worker to call the selected provider and return field mappings.
+// 5) Show the proposed mappings for review (accept / edit / reject).
+// 6) Send the accepted mappings back to the content script to fill the page.
+// Fields already answered on an earlier fill of the same form (sites.js) skip steps 3-4.
+// Before step 4 the document is read locally (doctext.js) and personal data is replaced by
+// tokens (redact.js); tokens are put back only in the rows the user accepts in step 5.
 
 // Tiny DOM helper for popup.html elements.
 const $ = (id) => document.getElementById(id);
@@ -21,89 +25,1421 @@ async function getActiveTab() {
   return tab;
 }
 
-async function readFileAsBase64(file) {
-  // Reads a user-selected file and returns *only* the base64 payload.
-  // FileReader produces a data URL like: data:application/pdf;base64,AAAA...
-  return new Promise((resolve, reject) => {
-    const r = new FileReader();
-    r.onerror = () => reject(new Error("Failed reading file."));
-    r.onload = () => {
-      // r.result = data:application/pdf;base64,....
-      const s = String(r.result || "");
-      const comma = s.indexOf(",");
-      resolve(comma >= 0 ? s.slice(comma + 1) : s);
-    };
-    r.readAsDataURL(file);
+// Save text as a file through a temporary download link.
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Provider settings: the selected backend, its base URL, model and price.
+// Empty inputs fall back to the provider's defaults (shown as placeholders).
+function readProviderForm() {
+  return resolveProviderConfig({
+    id: $("providerId").value,
+    baseUrl: $("providerBaseUrl").value,
+    model: $("providerModel").value,
+    price: $("providerPrice").value
+  });
+}
+
+function formatPrice(price) {
+  return price ? `${price.input} / ${price.output}` : "";
+}
+
+function showProviderDefaults() {
+  const id = $("providerId").value;
+  const p = PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER_ID];
+  $("providerBaseUrl").placeholder = p.defaultBaseUrl;
+  $("providerModel").placeholder = p.defaultModel;
+  $("providerPrice").placeholder = formatPrice(defaultModelPrice(id, $("providerModel").value.trim() || p.defaultModel)) || "unknown";
+}
+
+async function saveProviderForm() {
+  await chrome.storage.local.set({
+    provider: {
+      id: $("providerId").value,
+      baseUrl: $("providerBaseUrl").value.trim(),
+      model: $("providerModel").value.trim(),
+      price: $("providerPrice").value.trim()
+    }
   });
 }
 
+async function initProviderForm() {
+  for (const [id, p] of Object.entries(PROVIDERS)) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = p.label;
+    $("providerId").appendChild(opt);
+  }
+
+  const { provider } = await chrome.storage.local.get(["provider"]);
+  $("providerId").value = PROVIDERS[provider?.id] ? provider.id : DEFAULT_PROVIDER_ID;
+  $("providerBaseUrl").value = provider?.baseUrl || "";
+  $("providerModel").value = provider?.model || "";
+  $("providerPrice").value = provider?.price || "";
+  showProviderDefaults();
+
+  $("providerId").addEventListener("change", () => {
+    // Base URL, model and price rarely carry over between providers.
+    $("providerBaseUrl").value = "";
+    $("providerModel").value = "";
+    $("providerPrice").value = "";
+    showProviderDefaults();
+    saveProviderForm();
+  });
+  $("providerBaseUrl").addEventListener("change", saveProviderForm);
+  $("providerModel").addEventListener("change", () => {
+    showProviderDefaults();
+    saveProviderForm();
+  });
+  $("providerPrice").addEventListener("change", () => {
+    if ($("providerPrice").value.trim() && !parsePrice($("providerPrice").value)) {
+      setStatus('Enter the price as "input / output", e.g. 0.15 / 0.60.');
+    }
+    saveProviderForm();
+  });
+}
+
+// How long a fill waits for the provider and how often it retries (providers.js).
+async function initRequestSettings() {
+  const { timeout, retries } = await getRequestSettings();
+  $("requestTimeout").value = timeout;
+  $("requestRetries").value = retries;
+}
+
+for (const id of ["requestTimeout", "requestRetries"]) {
+  $(id).addEventListener("change", async () => {
+    const timeout = Math.max(10, Math.round(Number($("requestTimeout").value) || DEFAULT_REQUEST_SETTINGS.timeout));
+    const retries = Math.min(10, Math.max(0, Math.round(Number($("requestRetries").value) || 0)));
+    await chrome.storage.local.set({ requestSettings: { timeout, retries } });
+    await initRequestSettings();
+  });
+}
+
+// Profile passphrase: required to open or save profiles. Like the API key it is
+// kept in chrome.storage.session only.
+function getPassphrase() {
+  const pass = $("profilePassphrase").value;
+  if (!pass) throw new Error("Enter the profile passphrase first.");
+  chrome.storage.session.set({ profilePassphrase: pass });
+  return pass;
+}
+
+function getSelectedProfileName() {
+  const name = $("profileSelect").value;
+  if (!name) throw new Error("Select a profile first.");
+  return name;
+}
+
+// Rebuild the "Fill from" list, keeping the first ("Document") option.
+async function refreshProfileList(selected) {
+  const names = await listProfileNames();
+  const sel = $("profileSelect");
+  const keep = typeof selected === "string" ? selected : sel.value;
+
+  sel.length = 1;
+  for (const name of names) {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = `Profile: ${name}`;
+    sel.appendChild(opt);
+  }
+  sel.value = names.includes(keep) ? keep : "";
+
+  // No profiles yet: offer to build one from the first document.
+  if (!names.length) $("saveAsProfile").checked = true;
+}
+
+// Name of the profile open in the editor ("" for a new one), or null when closed.
+let editingProfileName = null;
+
+function addFactRow(fact) {
+  const row = document.createElement("div");
+  row.className = "fact-row";
+
+  const section = document.createElement("select");
+  for (const s of PROFILE_SECTIONS) {
+    const opt = document.createElement("option");
+    opt.value = s;
+    opt.textContent = s;
+    section.appendChild(opt);
+  }
+  section.value = fact.section || "other";
+
+  const key = document.createElement("input");
+  key.type = "text";
+  key.placeholder = "Key";
+  key.value = fact.key || "";
+
+  const value = document.createElement("input");
+  value.type = "text";
+  value.placeholder = "Value";
+  value.value = fact.value || "";
+
+  const remove = document.createElement("button");
+  remove.textContent = "×";
+  remove.title = "Remove fact";
+  remove.addEventListener("click", () => row.remove());
+
+  row.append(section, key, value, remove);
+  $("profileFacts").appendChild(row);
+}
+
+function openProfileEditor(profile) {
+  editingProfileName = profile.name;
+  $("profileName").value = profile.name;
+  $("profileFacts").textContent = "";
+  for (const fact of profile.facts) addFactRow(fact);
+  if (!profile.facts.length) addFactRow({});
+  $("profileEditor").style.display = "block";
+}
+
+function closeProfileEditor() {
+  editingProfileName = null;
+  $("profileFacts").textContent = "";
+  $("profileEditor").style.display = "none";
+}
+
+function readProfileEditor() {
+  const facts = Array.from($("profileFacts").querySelectorAll(".fact-row")).map(row => {
+    const [section, key, value] = row.querySelectorAll("select, input");
+    return { section: section.value, key: key.value, value: value.value };
+  });
+  return { name: $("profileName").value.trim(), facts };
+}
+
+// Wrap a click handler so errors end up in the status panel.
+function onClick(id, handler) {
+  $(id).addEventListener("click", async () => {
+    try { await handler(); } catch (e) { setStatus(String(e.message || e)); }
+  });
+}
+
+onClick("profileNew", () => openProfileEditor({ name: "", facts: [] }));
+
+onClick("profileEdit", async () => {
+  const name = getSelectedProfileName();
+  openProfileEditor(await loadProfile(name, getPassphrase()));
+});
+
+onClick("profileCancel", closeProfileEditor);
+
+onClick("profileAddFact", () => addFactRow({}));
+
+onClick("profileSave", async () => {
+  const profile = readProfileEditor();
+  const name = await saveProfile(profile, getPassphrase());
+  if (editingProfileName && editingProfileName !== name) await deleteProfile(editingProfileName);
+  closeProfileEditor();
+  await refreshProfileList(name);
+  setStatus(`Saved profile "${name}".`);
+});
+
+onClick("profileDelete", async () => {
+  const name = getSelectedProfileName();
+  if (!confirm(`Delete profile "${name}"?`)) return;
+  await deleteProfile(name);
+  await refreshProfileList("");
+  setStatus(`Deleted profile "${name}".`);
+});
+
+onClick("profileExport", async () => {
+  const profile = await loadProfile(getSelectedProfileName(), getPassphrase());
+  downloadText(`${profile.name}.profile.json`, profileToExportJson(profile), "application/json");
+  setStatus(`Exported "${profile.name}". The exported file is NOT encrypted.`);
+});
+
+onClick("profileImport", () => {
+  getPassphrase();
+  $("profileImportFile").click();
+});
+
+$("profileImportFile").addEventListener("change", async () => {
+  try {
+    const file = $("profileImportFile").files?.[0];
+    if (!file) return;
+
+    const profile = profileFromImportJson(await file.text());
+    const existing = await listProfileNames();
+    if (existing.includes(profile.name)) profile.name = `${profile.name} (imported)`;
+
+    const name = await saveProfile(profile, getPassphrase());
+    await refreshProfileList(name);
+    setStatus(`Imported profile "${name}" (${profile.facts.length} facts).`);
+  } catch (e) {
+    setStatus(String(e.message || e));
+  } finally {
+    $("profileImportFile").value = "";
+  }
+});
+
+async function initProfiles() {
+  const { profilePassphrase } = await chrome.storage.session.get(["profilePassphrase"]);
+  if (profilePassphrase) $("profilePassphrase").value = profilePassphrase;
+  // Kept for quick fills too, which can't ask for it.
+  $("profilePassphrase").addEventListener("change", () => {
+    chrome.storage.session.set({ profilePassphrase: $("profilePassphrase").value });
+  });
+  const { quickFillProfile } = await chrome.storage.local.get(["quickFillProfile"]);
+  await refreshProfileList(quickFillProfile || "");
+}
+
+// The profile picked here is also the one quick fills use (quickfill.js).
+$("profileSelect").addEventListener("change", async () => {
+  await chrome.storage.local.set({ quickFillProfile: $("profileSelect").value });
+});
+
+// Mappings waiting for review: { tab, fields, vault, rows: [{ mapping, field, accepted }], draftPayload, sources }.
+// draftPayload: the request long-answer drafts came from, for Regenerate.
+// sources: the document or profile (and userRules) the mappings came from, for the
+// correction pass after Apply; null for fills from memory.
+let pendingFill = null;
+
+// Human-readable name for a field in the review list.
+function describeField(field, selector) {
+  return field?.label || field?.placeholder || field?.name || field?.id || selector;
+}
+
+// Current on-page value of a field, as captured by EXTRACT_FORM_FIELDS.
+function describeCurrentValue(field) {
+  if (!field) return "";
+  if (field.type === "checkbox" || field.type === "radio") return field.checked ? "checked" : "unchecked";
+  if (field.tag === "select" && field.options) {
+    const opt = field.options.find(o => o.value === field.value);
+    return opt ? opt.text : field.value;
+  }
+  return field.value;
+}
+
+// Same split as the in-page highlights (content.js): below this is shown as low confidence.
+const HIGH_CONFIDENCE = 0.8;
+
+function describeConfidence(confidence) {
+  return confidence === null || confidence === undefined
+    ? "confidence unknown"
+    : `confidence ${Math.round(confidence * 100)}%`;
+}
+
+function showPreview(visible) {
+  $("preview").style.display = visible ? "block" : "none";
+  $("previewActions").style.display = visible ? "block" : "none";
+}
+
+// Render one row per proposed mapping. Rows are accepted by default; the
+// proposed value is editable and unchecking a row rejects it.
+// Rows holding redacted data start unchecked: checking one allows its real value.
+// Free-text fields get a text area; drafts also get a length counter and Regenerate.
+function renderPreview(tab, fields, mappings, vault = createRedactionVault(), draftPayload = null, sources = draftPayload) {
+  const bySelector = new Map(fields.map(f => [f.selector, f]));
+  pendingFill = {
+    tab,
+    fields,
+    vault,
+    draftPayload,
+    sources,
+    rows: mappings.map(mapping => ({
+      mapping: { ...mapping },
+      field: bySelector.get(mapping.selector),
+      // Sensitive fields the policy asks about (policy.js) start unchecked too.
+      accepted: !findRedactionTokens(mapping.value, vault).length && bySelector.get(mapping.selector)?.policy !== "confirm"
+    }))
+  };
+
+  const list = $("preview");
+  list.textContent = "";
+
+  for (const row of pendingFill.rows) {
+    const el = document.createElement("div");
+    el.className = "preview-row";
+
+    const accept = document.createElement("input");
+    accept.type = "checkbox";
+    accept.checked = row.accepted;
+    el.classList.toggle("rejected", !row.accepted);
+    accept.addEventListener("change", () => {
+      row.accepted = accept.checked;
+      el.classList.toggle("rejected", !accept.checked);
+    });
+
+    const body = document.createElement("div");
+
+    const label = document.createElement("div");
+    label.className = "field-label";
+    label.textContent = describeField(row.field, row.mapping.selector);
+
+    const meta = document.createElement("div");
+    meta.className = "field-meta";
+    const current = describeCurrentValue(row.field);
+    const how = row.mapping.draft ? "draft, check every claim" : describeConfidence(row.mapping.confidence);
+    meta.textContent = `${row.mapping.kind || "text"} · ${how} · current: ${current === "" ? "(empty)" : current}`;
+    if (row.mapping.confidence !== null && row.mapping.confidence < HIGH_CONFIDENCE) el.classList.add("low-confidence");
+
+    const source = document.createElement("div");
+    source.className = "field-source";
+    source.textContent = row.mapping.source ? `“${row.mapping.source}”` : "No source cited.";
+
+    const tokens = findRedactionTokens(row.mapping.value, vault);
+    if (tokens.length) {
+      const note = document.createElement("div");
+      note.className = "field-redacted";
+      note.textContent = `Redacted: ${tokens.join(", ")}. Check to fill the real value (it never left the browser).`;
+      source.appendChild(note);
+    }
+    if (row.field?.policy === "confirm") {
+      const note = document.createElement("div");
+      note.className = "field-redacted";
+      note.textContent = `Sensitive (${describePolicyCategory(row.field.sensitive)}): check to let Paw Paw fill it.`;
+      source.appendChild(note);
+    }
+
+    const long = row.mapping.draft || isLongTextField(row.field);
+    const value = document.createElement(long ? "textarea" : "input");
+    if (!long) value.type = "text";
+    value.value = String(row.mapping.value ?? "");
+    body.append(label, meta, source, value);
+
+    let updateCount = () => {};
+    if (long) {
+      const tools = document.createElement("div");
+      tools.className = "draft-tools";
+      const count = document.createElement("span");
+      updateCount = () => {
+        const { text, over } = describeTextLength(value.value, row.field);
+        count.textContent = text;
+        count.classList.toggle("over-limit", over);
+      };
+      tools.appendChild(count);
+
+      if (row.mapping.draft && draftPayload) {
+        const regenerate = document.createElement("button");
+        regenerate.textContent = "Regenerate";
+        regenerate.addEventListener("click", async () => {
+          regenerate.disabled = true;
+          try {
+            const draft = await regenerateDraft(row);
+            row.mapping = { ...row.mapping, value: draft.value, source: draft.source };
+            value.value = draft.value;
+            source.textContent = draft.source ? `“${draft.source}”` : "No source cited.";
+            updateCount();
+            setStatus(`New draft for "${describeField(row.field, row.mapping.selector)}".`);
+          } catch (e) {
+            setStatus(String(e.message || e));
+          } finally {
+            regenerate.disabled = false;
+          }
+        });
+        tools.appendChild(regenerate);
+      }
+      body.appendChild(tools);
+      updateCount();
+    }
+    value.addEventListener("input", () => {
+      row.mapping.value = value.value;
+      updateCount();
+    });
+
+    el.append(accept, body);
+    list.appendChild(el);
+  }
+
+  showPreview(true);
+}
+
+// Essay-style questions: text areas, rich-text editors, and text inputs with a word limit.
+function isLongTextField(field) {
+  return !!field && (field.tag === "textarea" || !!field.contenteditable || !!field.word_limit);
+}
+
+// "120 words · 734 characters (limit 1000 characters)"; over: a stated limit is exceeded.
+function describeTextLength(text, field) {
+  const words = (text.match(/\S+/g) || []).length;
+  const limits = [
+    field?.word_limit ? `${field.word_limit} words` : "",
+    field?.max_length ? `${field.max_length} characters` : ""
+  ].filter(Boolean);
+  return {
+    text: `${words} words · ${text.length} characters${limits.length ? ` (limit ${limits.join(", ")})` : ""}`,
+    over: (!!field?.word_limit && words > field.word_limit) || (!!field?.max_length && text.length > field.max_length)
+  };
+}
+
+function clearPreview() {
+  pendingFill = null;
+  $("preview").textContent = "";
+  showPreview(false);
+}
+
+$("applyPreview").addEventListener("click", async () => {
+  try {
+    if (!pendingFill) throw new Error("Nothing to apply.");
+
+    // Accepted rows get their redacted values back, locally. Checking a sensitive row is the
+    // confirmation the content script waits for.
+    const mappings = pendingFill.rows
+      .filter(r => r.accepted)
+      .map(r => ({
+        ...r.mapping,
+        value: restoreRedactions(r.mapping.value, pendingFill.vault),
+        ...(r.field?.policy === "confirm" ? { confirmed: true } : {})
+      }));
+    const notApplied = pendingFill.rows.length - mappings.length;
+    const unchecked = pendingFill.rows.filter(r => !r.accepted).map(r => ({ mapping: r.mapping, reason: "unchecked" }));
+    if (!mappings.length) throw new Error("No mappings selected.");
+
+    setStatus(`Filling ${mappings.length} fields...`);
+    // Ask the content script in each frame to apply the accepted mappings into the live DOM.
+    const { tab, fields, vault, sources } = pendingFill;
+    // Unchecked rows stay as the user left them: the correction pass doesn't touch them.
+    const fillRes = await applyMappingsToFrames(tab.id, mappings, { leave: unchecked.map(u => u.mapping.selector) });
+
+    // "Rejected by page" = written but reverted by the site; "not applied" = unchecked in the review.
+    const rowBySelector = new Map(pendingFill.rows.map(r => [r.mapping.selector, r]));
+    clearPreview();
+
+    // Fields the page's validation flagged get one correction pass, from the same sources.
+    let correction = { mappings: [], results: [], invalid: fillRes.invalid, corrected: 0, note: "" };
+    if (fillRes.invalid.length && sources) {
+      try {
+        correction = await correctRejectedFields(tab, fillRes, sources, vault, mappings);
+      } catch (e) {
+        correction.note = `Correction failed: ${e.message || e}`;
+      }
+    }
+
+    // Remember what the page kept and accepts, for replay on the next visit.
+    const flagged = new Set(correction.invalid.map(f => f.selector));
+    const corrections = new Map(correction.mappings.map(m => [m.selector, m]));
+    const kept = new Set(fillRes.results.filter(r => r.status === "updated").map(r => r.selector));
+    const remembered = [
+      ...mappings.filter(m => kept.has(m.selector) && !corrections.has(m.selector)),
+      ...corrections.values()
+    ].filter(m => !flagged.has(m.selector));
+    if (remembered.length) {
+      await saveSiteTemplate(tab, fields, remembered, vault);
+      await refreshReplayButton();
+    }
+    await recordFill({
+      tab,
+      mode: "review",
+      source: sources?.sourceName || sources?.profile?.name || "",
+      fields,
+      mappings,
+      fill: fillRes,
+      correction,
+      skipped: unchecked,
+      usedModel: !!sources
+    });
+
+    const refusedBy = fillRes.results
+      .filter(r => r.status === "rejected" && !corrections.has(r.selector))
+      .map(r => `  - ${describeField(rowBySelector.get(r.selector)?.field, r.selector)}`);
+    const stillInvalid = correction.invalid.map(f => `  - ${describeField(f, f.selector)}: ${f.error}`);
+    // The page may re-render while the review is open: fields it replaced are found again
+    // by fingerprint (content.js), the rest are lost.
+    const lost = fillRes.results
+      .filter(r => r.matched === "lost")
+      .map(r => `  - ${describeField(rowBySelector.get(r.selector)?.field, r.selector)}`);
+    // Fields the policy blocks were never sent; they are listed so none is missed.
+    const blocked = fillRes.blocked.map(f => `  - ${f.label || f.selector} (${describePolicyCategory(f.category)})`);
+    setStatus([
+      `Done. Updated: ${fillRes.updated}, Rejected by page: ${fillRes.rejected}, Skipped: ${fillRes.skipped}, Not applied: ${notApplied}`,
+      fillRes.rematched ? `Found again after the page changed: ${fillRes.rematched}` : "",
+      correction.corrected ? `Corrected after the page's validation: ${correction.corrected}` : "",
+      correction.note,
+      ...(lost.length ? ["Lost fields (no longer on the page; fill them by hand or analyze again):", ...lost] : []),
+      ...(refusedBy.length ? ["Rejected fields (page did not keep the value):", ...refusedBy] : []),
+      ...(stillInvalid.length ? ["Still flagged by the page (outlined in red):", ...stillInvalid] : []),
+      ...(blocked.length ? ["Left alone as sensitive (never sent, fill them yourself):", ...blocked] : [])
+    ].filter(Boolean).join("\n"));
+  } catch (e) {
+    setStatus(String(e.message || e));
+  }
+});
+
+// One more request for the fields the page flagged after a fill, with its constraints and
+// error messages (see corrections.js). Only fields the user approved in the review
+// (`approved`, the mappings just written) are corrected; other flagged fields are reported.
+// The new values are written as a correction of that fill, so Undo still restores the page
+// from before it.
+// Returns { mappings (re-written), results (of the second write), invalid (still flagged), corrected, note }.
+async function correctRejectedFields(tab, fill, sources, vault, approved) {
+  const allowed = new Set(approved.map(m => m.selector));
+  const toCorrect = fill.invalid.filter(f => allowed.has(f.selector));
+  if (!toCorrect.length) return { mappings: [], results: [], invalid: fill.invalid, corrected: 0, note: "" };
+
+  setStatus(`The page flagged ${toCorrect.length} field(s). Asking for values it accepts...`);
+  const privacy = await getPrivacySettings();
+  const res = await chrome.runtime.sendMessage({
+    type: "CORRECT_INVALID_FIELDS",
+    payload: { ...sources, invalid: redactFields(toCorrect, privacy, vault) }
+  });
+  if (res?.error) throw new Error(res.error);
+  showAudit(res.audit, vault);
+  const answered = res.mappings.filter(m => allowed.has(m.selector));
+  if (!answered.length) return { mappings: [], results: [], invalid: fill.invalid, corrected: 0, note: "No corrections proposed." };
+
+  const mappings = answered.map(m => ({ ...m, value: restoreRedactions(m.value, vault) }));
+  setStatus(`Writing ${mappings.length} corrected field(s)...`);
+  const second = await applyMappingsToFrames(tab.id, mappings, { amend: true });
+  const rewritten = new Set(second.results.filter(r => r.status === "updated").map(r => r.selector));
+  const invalid = mergeInvalidFields(fill.invalid, second.invalid, rewritten);
+  const flagged = new Set(invalid.map(f => f.selector));
+  return {
+    mappings: mappings.filter(m => rewritten.has(m.selector)),
+    results: second.results,
+    invalid,
+    corrected: [...rewritten].filter(s => !flagged.has(s)).length,
+    note: ""
+  };
+}
+
+$("discardPreview").addEventListener("click", () => {
+  clearPreview();
+  setStatus("Discarded proposed mappings.");
+});
+
+$("undoFill").addEventListener("click", async () => {
+  try {
+    const tab = await getActiveTab();
+    const res = await undoFillInFrames(tab.id);
+    setStatus(`Undone. Restored: ${res?.restored || 0}`);
+  } catch (e) {
+    setStatus(String(e.message || e));
+  }
+});
+
+// Privacy settings (redact.js): local text extraction, screenshot and redaction rules.
+function renderPrivacyRules(privacy) {
+  const list = $("privacyRules");
+  list.textContent = "";
+  for (const [id, rule] of Object.entries(REDACTION_RULES)) {
+    const label = document.createElement("label");
+    label.className = "inline-check";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.dataset.rule = id;
+    box.checked = !!privacy.rules[id];
+    label.append(box, rule.label);
+    list.appendChild(label);
+  }
+}
+
+function readPrivacyForm() {
+  const lines = (id) => $(id).value.split("\n").map(l => l.trim()).filter(Boolean);
+  return {
+    localText: $("privacyLocalText").checked,
+    noScreenshot: $("privacyNoScreenshot").checked,
+    rules: Object.fromEntries(Array.from($("privacyRules").querySelectorAll("input")).map(b => [b.dataset.rule, b.checked])),
+    dictionary: lines("privacyDictionary"),
+    patterns: lines("privacyPatterns")
+  };
+}
+
+async function initPrivacyForm() {
+  const privacy = await getPrivacySettings();
+  $("privacyLocalText").checked = privacy.localText;
+  $("privacyNoScreenshot").checked = privacy.noScreenshot;
+  $("privacyDictionary").value = privacy.dictionary.join("\n");
+  $("privacyPatterns").value = privacy.patterns.join("\n");
+  renderPrivacyRules(privacy);
+
+  $("privacy").addEventListener("change", async () => {
+    try {
+      const next = readPrivacyForm();
+      activeRedactionRules(next); // reject invalid patterns before saving
+      await savePrivacySettings(next);
+    } catch (e) {
+      setStatus(String(e.message || e));
+    }
+  });
+}
+
+// One action per sensitive category, and the allow / deny lists of the active tab's site.
+async function initFieldPolicyForm() {
+  const settings = await getFieldPolicySettings();
+  const list = $("policyActions");
+  list.textContent = "";
+  for (const [category, c] of Object.entries(SENSITIVE_CATEGORIES)) {
+    const label = document.createElement("label");
+    label.textContent = c.label;
+    const select = document.createElement("select");
+    select.dataset.category = category;
+    for (const [action, text] of Object.entries(POLICY_ACTIONS)) select.add(new Option(text, action));
+    select.value = settings.actions[category];
+    list.append(label, select);
+  }
+
+  let origin = "";
+  try {
+    origin = siteOrigin((await getActiveTab()).url);
+  } catch {
+    // No page in the tab: only the defaults can be edited.
+  }
+  if (origin === "null") origin = "";
+  const site = settings.sites[origin] || {};
+  $("policyOrigin").textContent = origin || "this site";
+  $("policyDeny").value = (site.deny || []).join("\n");
+  $("policyAllow").value = (site.allow || []).join("\n");
+  $("policyDeny").disabled = $("policyAllow").disabled = !origin;
+
+  $("fieldPolicy").addEventListener("change", async () => {
+    const lines = (id) => $(id).value.split("\n").map(l => l.trim()).filter(Boolean);
+    const next = await getFieldPolicySettings();
+    for (const select of list.querySelectorAll("select")) next.actions[select.dataset.category] = select.value;
+    if (origin) {
+      const deny = lines("policyDeny"), allow = lines("policyAllow");
+      if (deny.length || allow.length) next.sites[origin] = { deny, allow };
+      else delete next.sites[origin];
+    }
+    await saveFieldPolicySettings(next);
+  });
+}
+
+// The selected files and pasted text as they will be sent (see ingest.js): one redacted
+// text with a header per source, images, and files uploaded as is when local reading is off.
+async function readSourcePayload(privacy, vault) {
+  const files = [...($("docFile").files || [])];
+  const pastedText = $("pastedText").value;
+  if (!files.length && !pastedText.trim()) throw new Error("Select a document or paste some text.");
+
+  setStatus(privacy.localText ? "Reading documents locally..." : "Reading documents...");
+  const sources = await ingestSources(files, pastedText, { localText: privacy.localText });
+
+  // One source is sent as is; several get a header each so facts can be cited by source.
+  const text = sources.texts.length === 1 && !sources.images.length && !sources.files.length
+    ? sources.texts[0].text
+    : sources.texts.map(t => `=== ${t.name} ===\n${t.text}`).join("\n\n");
+
+  return {
+    docText: text ? redactText(text, privacy, vault) : "",
+    docFiles: sources.files,
+    images: sources.images,
+    sourceName: describeSources(sources)
+  };
+}
+
+function showAudit(audit, vault) {
+  $("auditBox").style.display = audit ? "block" : "none";
+  if (!audit) return;
+  const redactions = describeRedactions(vault);
+  $("audit").textContent = [
+    `Redacted locally: ${redactions || "nothing"}`,
+    `POST ${audit.url}`,
+    audit.body
+  ].join("\n\n");
+}
+
+// Make the configured provider usable from the background: host permission, saved
+// settings and the session API key. Must be called before any other await in a click
+// handler, so the permission request still counts as a user gesture.
+async function prepareProvider() {
+  // Host access is optional and only requested for the configured endpoint.
+  const provider = readProviderForm();
+  const granted = await chrome.permissions.request({ origins: [providerOriginPattern(provider.baseUrl)] });
+  if (!granted) throw new Error(`Access to ${new URL(provider.baseUrl).origin} was not granted.`);
+  await saveProviderForm();
+
+  const apiKey = $("apiKey").value.trim();
+  if (!apiKey && PROVIDERS[provider.id].requiresKey) throw new Error("API key missing.");
+
+  // Store key only for this browser session.
+  // (Avoid chrome.storage.local / sync for secrets unless you explicitly encrypt.)
+  await chrome.storage.session.set({ apiKey });
+  return provider;
+}
+
+// Wizard mode: the background keeps the document/profile for this tab and the page
+// shows a bar offering to fill each step.
+async function refreshWizardStatus() {
+  const tab = await getActiveTab();
+  const res = await chrome.runtime.sendMessage({ type: "WIZARD_STATUS", tabId: tab.id });
+  $("wizardStatus").textContent = res?.active
+    ? `Wizard running from "${res.sourceName}": ${res.step} step(s) filled, ${res.answers} answer(s) remembered.`
+    : "No wizard running in this tab.";
+}
+
+onClick("wizardStart", async () => {
+  await prepareProvider();
+  const tab = await getActiveTab();
+  const userRules = $("userRules").value.trim();
+  const profileName = $("profileSelect").value;
+
+  // The wizard fills without a review step, so redacted values are never put back.
+  const privacy = await getPrivacySettings();
+  const vault = createRedactionVault();
+
+  let payload;
+  if (profileName) {
+    payload = { profile: redactProfile(await loadProfile(profileName, getPassphrase()), privacy, vault), userRules };
+  } else {
+    payload = { ...(await readSourcePayload(privacy, vault)), userRules };
+  }
+
+  setStatus("Starting wizard...");
+  const res = await chrome.runtime.sendMessage({ type: "WIZARD_START", tabId: tab.id, payload });
+  if (res?.error) throw new Error(res.error);
+
+  await refreshWizardStatus();
+  setStatus(res.offered
+    ? "Wizard started. Use the bar at the bottom of the page to fill each step, then click Next / Submit yourself."
+    : "Wizard started. The bar appears on the page when a step with fields shows up.");
+});
+
+onClick("wizardEnd", async () => {
+  const tab = await getActiveTab();
+  const res = await chrome.runtime.sendMessage({ type: "WIZARD_END", tabId: tab.id });
+  if (res?.error) throw new Error(res.error);
+  await refreshWizardStatus();
+  setStatus("Wizard ended.");
+});
+
+// Batch mode: the sheet's columns are mapped to this form's fields once (saved per form
+// in sites.js), then the background fills one row per submission (batch.js).
+// pendingBatch: { tab, fields, headers, rows, columns: { [header]: selector }, sourceName }
+let pendingBatch = null;
+
+const BATCH_STATE_LABELS = {
+  fill: "waiting for the form",
+  submit: "waiting for you to submit",
+  error: "row failed",
+  stopped: "stopped",
+  finished: "finished"
+};
+
+// One row per column: header, first value, and the field it fills.
+function renderBatchColumns() {
+  const { fields, headers, rows, columns } = pendingBatch;
+  const list = $("batchColumns");
+  list.textContent = "";
+
+  headers.forEach((header, i) => {
+    const row = document.createElement("div");
+    row.className = "batch-column";
+
+    const name = document.createElement("div");
+    name.className = "field-label";
+    name.textContent = header;
+    const sample = document.createElement("div");
+    sample.className = "field-meta";
+    sample.textContent = rows.find(r => r[i])?.[i] || "(empty)";
+    name.appendChild(sample);
+
+    const select = document.createElement("select");
+    select.add(new Option("(not used)", ""));
+    for (const f of fields) select.add(new Option(describeField(f, f.selector), f.selector));
+    select.value = columns[header] || "";
+    select.addEventListener("change", () => { columns[header] = select.value; });
+
+    row.append(name, select);
+    list.appendChild(row);
+  });
+}
+
+async function refreshBatchStatus() {
+  const tab = await getActiveTab();
+  const res = await chrome.runtime.sendMessage({ type: "BATCH_STATUS", tabId: tab.id });
+  const table = $("batchProgress");
+  table.textContent = "";
+
+  if (!res?.rows?.length) {
+    $("batchSummary").textContent = "No batch in this tab.";
+    return;
+  }
+
+  const { counts } = res;
+  $("batchSummary").textContent = `"${res.sourceName}": ${BATCH_STATE_LABELS[res.state]}. ` +
+    `${counts.done || 0} done, ${counts.skipped || 0} skipped, ${counts.failed || 0} failed, ${res.total} rows.`;
+  $("batch").open = true;
+
+  res.rows.forEach((r, i) => {
+    const tr = table.insertRow();
+    tr.className = `batch-${r.status}`;
+    tr.classList.toggle("batch-current", res.active && i === res.row - 1);
+    for (const text of [String(i + 1), r.label, r.status, r.note]) tr.insertCell().textContent = text;
+  });
+}
+
+onClick("batchMap", async () => {
+  const file = $("batchFile").files?.[0];
+  if (!file) throw new Error("Select a CSV or XLSX file.");
+  // Before any other await, even if every column turns out to be known already.
+  const provider = await prepareProvider();
+  const tab = await getActiveTab();
+
+  setStatus("Reading sheet...");
+  const { headers, rows } = await readBatchTable(file);
+  if (!rows.length) throw new Error("The sheet has no rows below the header row.");
+
+  setStatus("Collecting form fields...");
+  const fields = await extractFieldsFromAllFrames(tab.id);
+  if (!fields.length) throw new Error("No fillable fields found on page.");
+
+  // Columns mapped on an earlier batch for this form are reused; only new ones go to the model.
+  const saved = await findBatchColumns(tab.url, fields);
+  const selectorByKey = new Map(fields.map(f => [siteFieldKey(f), f.selector]));
+  const columns = {};
+  for (const h of headers) if (h in saved) columns[h] = selectorByKey.get(saved[h]) || "";
+  const unknown = headers.filter(h => !(h in columns));
+
+  if (unknown.length) {
+    // The model sees the headers and a few redacted values per column, never the whole sheet.
+    const privacy = await getPrivacySettings();
+    const vault = createRedactionVault();
+    const samples = unknown.map(h => {
+      const i = headers.indexOf(h);
+      return rows.map(r => r[i]).filter(Boolean).slice(0, 3).map(v => redactText(v, privacy, vault));
+    });
+
+    setStatus(`Asking ${PROVIDERS[provider.id].label} to map ${unknown.length} column(s)...`);
+    const res = await chrome.runtime.sendMessage({
+      type: "BATCH_MAP_COLUMNS",
+      payload: { headers: unknown, samples, fields: redactFields(fields, privacy, vault), pageUrl: tab.url }
+    });
+    if (res?.error) throw new Error(res.error);
+    showAudit(res.audit, vault);
+    for (const c of res.columns) columns[c.header] = c.selector;
+  }
+
+  pendingBatch = { tab, fields, headers, rows, columns, sourceName: file.name };
+  renderBatchColumns();
+  setStatus(`${rows.length} row(s). Check which field each column fills` +
+    `${unknown.length ? ` (${unknown.length} suggested by the model)` : ""}, then click "Start batch".`);
+});
+
+onClick("batchStart", async () => {
+  if (!pendingBatch) throw new Error('Select a sheet and click "Map columns" first.');
+  const { tab, fields, headers, rows, columns, sourceName } = pendingBatch;
+  const bySelector = new Map(fields.map(f => [f.selector, f]));
+  const mapped = headers
+    .map((header, column) => ({ header, column, field: bySelector.get(columns[header]) }))
+    .filter(c => c.field);
+  if (!mapped.length) throw new Error("Map at least one column to a field.");
+
+  // Unused columns are saved too, so the next sheet only asks about new columns.
+  await saveBatchColumns(tab.url, fields, Object.fromEntries(headers.map(h => {
+    const field = bySelector.get(columns[h]);
+    return [h, field ? siteFieldKey(field) : ""];
+  })));
+
+  const res = await chrome.runtime.sendMessage({
+    type: "BATCH_START",
+    tabId: tab.id,
+    payload: {
+      sourceName,
+      headers,
+      rows,
+      columns: mapped.map(c => ({ column: c.column, header: c.header, key: siteFieldKey(c.field) }))
+    }
+  });
+  if (res?.error) throw new Error(res.error);
+
+  pendingBatch = null;
+  $("batchColumns").textContent = "";
+  await refreshBatchStatus();
+  setStatus("Batch started. Submit the form yourself after each row; the bar at the bottom of the page shows progress.");
+});
+
+onClick("batchStop", async () => {
+  const tab = await getActiveTab();
+  const res = await chrome.runtime.sendMessage({ type: "BATCH_STOP", tabId: tab.id });
+  if (res?.error) throw new Error(res.error);
+  await refreshBatchStatus();
+});
+
+onClick("batchClear", async () => {
+  const tab = await getActiveTab();
+  const res = await chrome.runtime.sendMessage({ type: "BATCH_CLEAR", tabId: tab.id });
+  if (res?.error) throw new Error(res.error);
+  await refreshBatchStatus();
+});
+
+// The table follows the batch while the popup is open.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session" && Object.keys(changes).some(k => k.startsWith("batch:"))) refreshBatchStatus().catch(() => {});
+});
+
 // Main action button.
 $("analyzeFill").addEventListener("click", async () => {
   try {
-    const apiKey = $("apiKey").value.trim();
-    if (!apiKey) throw new Error("API key missing.");
+    clearPreview();
 
-    // Store key only for this browser session.
-    // (Avoid chrome.storage.local / sync for secrets unless you explicitly encrypt.)
-    await chrome.storage.session.set({ apiKey });
+    const provider = await prepareProvider();
 
     setStatus("Collecting form fields...");
     const tab = await getActiveTab();
 
-    // Ask the content script to extract a schema of fillable fields from the current page.
-    const pageInfo = await chrome.tabs.sendMessage(tab.id, { type: "EXTRACT_FORM_FIELDS" });
-    if (!pageInfo?.fields?.length) throw new Error("No fillable fields found on page.");
+    showAudit(null);
 
-    const file = $("docFile").files?.[0];
-    if (!file) throw new Error("Select a DOC .");
+    // Ask the content script in every frame for a schema of fillable fields.
+    const pageInfo = { fields: await extractFieldsFromAllFrames(tab.id) };
+    if (!pageInfo.fields.length) throw new Error("No fillable fields found on page.");
 
-    setStatus("Reading Document...");
-    const docBase64 = await readFileAsBase64(file);
+    // Fields answered on an earlier fill of this form are replayed; only the rest go to the model.
+    const memory = await findSiteTemplate(tab.url, pageInfo.fields);
+    const replay = memory
+      ? replaySiteTemplate(memory.template, pageInfo.fields)
+      : { mappings: [], newFields: pageInfo.fields };
+    if (!replay.newFields.length) {
+      if (!replay.mappings.length) throw new Error("Nothing to fill: this form was filled before with no answers.");
+      renderPreview(tab, pageInfo.fields, replay.mappings);
+      setStatus(`All fields known from your last fill on this site (no model call).\nReview ${replay.mappings.length} fields, then click "Apply selected".`);
+      return;
+    }
 
     // Optional user instructions appended to the prompt.
     const userRules = $("userRules").value.trim();
 
-    setStatus("Sending Doc + fields to OpenAI...");
-    // Capture visible screenshot to help the model understand the form layout/context.
-    // Requires the relevant permission in manifest (captureVisibleTab or activeTab).
-    setStatus("Capturing screenshot...");
-    const screenshotDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
-    format: "jpeg",
-    quality: 70
-    });
+    // Redaction tokens for this request; originals never leave the popup.
+    const privacy = await getPrivacySettings();
+    const vault = createRedactionVault();
+    const fields = redactFields(replay.newFields, privacy, vault);
 
-    setStatus("Sending Doc + fields + screenshot to OpenAI...");
-    // Hand off to background/service worker to call OpenAI.
-    // Keeping API calls out of the popup avoids CORS/permission issues and keeps the UI responsive.
-    const result = await chrome.runtime.sendMessage({
-    type: "OPENAI_MAP_FIELDS",
-    payload: {
-        docBase64,
-        docFilename: file.name || "document",
+    const profileName = $("profileSelect").value;
+    let payload;
+
+    if (profileName) {
+      // Profile fills send only the profile facts: no document, no screenshot.
+      setStatus(`Opening profile "${profileName}"...`);
+      const profile = redactProfile(await loadProfile(profileName, getPassphrase()), privacy, vault);
+
+      setStatus(`Sending profile + fields to ${PROVIDERS[provider.id].label}...`);
+      payload = { profile, pageUrl: tab.url, fields, userRules };
+    } else {
+      // Check the passphrase before paying for the request.
+      const saveAsProfile = $("saveAsProfile").checked;
+      if (saveAsProfile) getPassphrase();
+
+      const doc = await readSourcePayload(privacy, vault);
+
+      // Capture visible screenshot to help the model understand the form layout/context.
+      // Requires the relevant permission in manifest (captureVisibleTab or activeTab).
+      let screenshotDataUrl = null;
+      if (!privacy.noScreenshot) {
+        setStatus("Capturing screenshot...");
+        screenshotDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
+        format: "jpeg",
+        quality: 70
+        });
+        // With a picked scope, only that part of the page is sent.
+        const scope = await sendToFrame(tab.id, 0, { type: "GET_SCOPE_RECT" });
+        if (scope?.rect) screenshotDataUrl = await cropScreenshot(screenshotDataUrl, scope.rect);
+      }
+
+      const parts = [
+        doc.docText ? "document text" : "",
+        doc.docFiles.length ? `${doc.docFiles.length} file(s)` : "",
+        doc.images.length ? `${doc.images.length} image(s)` : "",
+        "fields",
+        screenshotDataUrl ? "screenshot" : ""
+      ].filter(Boolean);
+      setStatus(`Sending ${parts.join(" + ")} to ${PROVIDERS[provider.id].label}...`);
+      payload = {
+        ...doc,
         pageUrl: tab.url,
-        fields: pageInfo.fields,
+        fields,
         screenshotDataUrl,
-        userRules
+        userRules,
+        extractProfile: saveAsProfile
+      };
     }
-    });
 
-    if (result?.error) throw new Error(result.error);
-    if (!result?.mappings?.length) throw new Error("No mappings returned.");
+    // Large forms go out in several requests: say so, and ask first when it is a lot.
+    const estimate = await chrome.runtime.sendMessage({ type: "ESTIMATE_MAP_FIELDS", payload });
+    if (estimate?.error) throw new Error(estimate.error);
+    const { confirmTokens } = await chrome.storage.local.get(["confirmTokens"]);
+    const limit = confirmTokens ?? DEFAULT_CONFIRM_TOKENS;
+    if (limit && estimate.input + estimate.output > limit && !confirm(`${describeEstimate(estimate)}\n\nSend anyway?`)) {
+      setStatus("Cancelled: nothing was sent.");
+      return;
+    }
+    setStatus(`${$("status").textContent}\n${describeEstimate(estimate)}`);
 
-    setStatus(`Filling ${result.mappings.length} fields...`);
-    // Ask the content script to apply the returned mappings into the live DOM.
-    const fillRes = await chrome.tabs.sendMessage(tab.id, {
-      type: "APPLY_MAPPINGS",
-      mappings: result.mappings
-    });
+    // Hand off to background/service worker to call the provider, as a job that goes on
+    // if the popup closes. Keeping API calls out of the popup avoids CORS/permission issues.
+    // The context is what it takes to show the review, here or in a popup opened later.
+    const context = {
+      intro: $("status").textContent,
+      fields: pageInfo.fields,
+      replayMappings: replay.mappings,
+      askedCount: replay.newFields.length,
+      vault: exportRedactionVault(vault),
+      // Sources for the correction pass: no fields (only the rejected ones go) and no screenshot.
+      sources: { ...payload, fields: undefined, screenshotDataUrl: undefined, extractProfile: false },
+      profileName: $("saveAsProfileName").value.trim()
+    };
+    const started = await chrome.runtime.sendMessage({ type: "MAP_JOB_START", tabId: tab.id, payload, context });
+    if (started?.error) throw new Error(started.error);
 
-    if (fillRes?.error) throw new Error(fillRes.error);
-    setStatus(`Done. Updated: ${fillRes?.updated || 0}, Skipped: ${fillRes?.skipped || 0}`);
+    await showMapJobResult(tab, await followMapJob(tab, started.jobId, context.intro), context);
   } catch (e) {
     // Display a readable error in the popup.
     setStatus(String(e.message || e));
   }
 });
 
+// Follow a mapping job (jobs.js) until it ends: its progress goes under `intro` in the
+// status, and Cancel is shown meanwhile. Resolves with the ended job, or null if it is gone.
+function followMapJob(tab, jobId, intro) {
+  return new Promise((resolve) => {
+    const port = chrome.runtime.connect({ name: "map-job" });
+    let ended = false;
+    const end = (job) => {
+      if (ended) return;
+      ended = true;
+      $("cancelFill").style.display = "none";
+      port.disconnect();
+      resolve(job);
+    };
+
+    $("cancelFill").style.display = "block";
+    port.onMessage.addListener(({ job }) => {
+      if (job?.state === "running") setStatus(`${intro}\n${job.progress}`);
+      else end(job);
+    });
+    // The worker stopped: whatever it stored is the answer (an interrupted job says so).
+    port.onDisconnect.addListener(async () => {
+      const res = await chrome.runtime.sendMessage({ type: "MAP_JOB_STATUS", tabId: tab.id }).catch(() => null);
+      end(res?.job?.id === jobId ? res.job : null);
+    });
+    port.postMessage({ tabId: tab.id, jobId });
+  });
+}
+
+$("cancelFill").addEventListener("click", async () => {
+  const tab = await getActiveTab();
+  setStatus("Cancelling...");
+  await chrome.runtime.sendMessage({ type: "MAP_JOB_CANCEL", tabId: tab.id });
+});
+
+// Show what an ended job answered, for review, and forget the job.
+async function showMapJobResult(tab, job, context) {
+  await chrome.runtime.sendMessage({ type: "MAP_JOB_CLEAR", tabId: tab.id });
+  if (!job) throw new Error("The fill was lost. Try again.");
+  if (job.state === "cancelled") {
+    setStatus("Cancelled: nothing will be filled.");
+    return;
+  }
+  if (job.state !== "done") throw new Error(job.error);
+
+  const { result } = job;
+  const vault = importRedactionVault(context.vault);
+  showAudit(result.audit, vault);
+
+  // Save the extracted facts even if this page had nothing to map.
+  // Profiles stay on this device (encrypted), so they keep the real values.
+  let savedNote = "";
+  if (result.profileFacts?.length) {
+    const facts = result.profileFacts.map(f => ({ ...f, value: restoreRedactions(f.value, vault) }));
+    const name = await saveProfile(
+      { name: context.profileName || "Me", facts },
+      getPassphrase()
+    );
+    $("saveAsProfile").checked = false;
+    await refreshProfileList();
+    savedNote = `Saved profile "${name}" (${result.profileFacts.length} facts).\n`;
+    setStatus(savedNote);
+  }
+
+  const lowNote = result.lowConfidence ? `Dropped ${result.lowConfidence} mapping(s) below the confidence threshold.\n` : "";
+  const memoryNote = context.replayMappings.length
+    ? `${context.replayMappings.length} field(s) remembered from your last fill; asked the model about ${context.askedCount} new or changed field(s).\n`
+    : "";
+  const mappings = [...context.replayMappings, ...(result.mappings || [])];
+  // Essay questions can't be copied from a document; they have their own mode.
+  const mapped = new Set(mappings.map(m => m.selector));
+  const openQuestions = context.fields.filter(f => isLongTextField(f) && !mapped.has(f.selector) && !String(f.value || "").trim());
+  const draftNote = openQuestions.length
+    ? `${openQuestions.length} long question(s) left empty: use "Draft long answers" for them.\n`
+    : "";
+  if (!mappings.length) throw new Error(`${lowNote}${draftNote}No mappings returned.`);
+
+  // Nothing is written yet: the user reviews the proposals first.
+  renderPreview(tab, context.fields, mappings, vault, null, context.sources);
+  setStatus(`${savedNote}${memoryNote}${lowNote}${draftNote}Review ${mappings.length} proposed fields, then click "Apply selected".`);
+}
+
+// A fill started before the popup was closed: follow it again, or show its answer.
+async function resumeMapJob() {
+  const tab = await getActiveTab();
+  const { job } = await chrome.runtime.sendMessage({ type: "MAP_JOB_STATUS", tabId: tab.id });
+  if (!job) return;
+
+  const intro = "Picking up the fill started earlier...";
+  setStatus(intro);
+  const ended = job.state === "running" ? await followMapJob(tab, job.id, intro) : job;
+  await showMapJobResult(tab, ended, job.context);
+}
+
+// Confidence threshold (stored as 0-1, edited as a percentage). Applied in the background.
+async function initMinConfidence() {
+  const { minConfidence } = await chrome.storage.local.get(["minConfidence"]);
+  $("minConfidence").value = Math.round((Number(minConfidence) || 0) * 100);
+}
+
+$("minConfidence").addEventListener("change", async () => {
+  const pct = Math.min(100, Math.max(0, Number($("minConfidence").value) || 0));
+  $("minConfidence").value = pct;
+  await chrome.storage.local.set({ minConfidence: pct / 100 });
+});
+
+// Floating fill button on forms (content.js), off by default.
+async function initQuickFillSettings() {
+  const { floatingButton } = await chrome.storage.local.get(["floatingButton"]);
+  $("floatingButton").checked = !!floatingButton;
+}
+
+$("floatingButton").addEventListener("change", async () => {
+  await chrome.storage.local.set({ floatingButton: $("floatingButton").checked });
+});
+
+// Long answers (drafts.js). Tone and length are added to the extra instructions.
+const DRAFT_TONES = {
+  neutral: "",
+  professional: "Tone: professional and formal.",
+  warm: "Tone: warm and personal, still suitable for an application.",
+  enthusiastic: "Tone: enthusiastic but credible, no exaggeration.",
+  direct: "Tone: plain and direct, no filler phrases."
+};
+const DRAFT_LENGTHS = {
+  fit: "",
+  short: "Length: short, about 50 to 80 words (less when the field's limit is lower).",
+  medium: "Length: about 120 to 180 words (less when the field's limit is lower).",
+  long: "Length: about 250 to 350 words (less when the field's limit is lower)."
+};
+
+function draftRules() {
+  return [$("userRules").value.trim(), DRAFT_TONES[$("draftTone").value], DRAFT_LENGTHS[$("draftLength").value]]
+    .filter(Boolean)
+    .join("\n");
+}
+
+async function initDraftSettings() {
+  const { draftStyle } = await chrome.storage.local.get(["draftStyle"]);
+  if (DRAFT_TONES[draftStyle?.tone] !== undefined) $("draftTone").value = draftStyle.tone;
+  if (DRAFT_LENGTHS[draftStyle?.length] !== undefined) $("draftLength").value = draftStyle.length;
+}
+
+for (const id of ["draftTone", "draftLength"]) {
+  $(id).addEventListener("change", async () => {
+    await chrome.storage.local.set({ draftStyle: { tone: $("draftTone").value, length: $("draftLength").value } });
+  });
+}
+
+// A new draft for one review row, with the current tone and length. The row's text is
+// sent along so the model writes something different.
+async function regenerateDraft(row) {
+  const { draftPayload } = pendingFill;
+  const field = draftPayload.fields.find(f => f.selector === row.mapping.selector);
+  setStatus(`Redrafting "${describeField(row.field, row.mapping.selector)}"...`);
+  const result = await chrome.runtime.sendMessage({
+    type: "DRAFT_LONG_ANSWERS",
+    payload: { ...draftPayload, userRules: draftRules(), fields: [field], previous: { [field.selector]: row.mapping.value } }
+  });
+  if (result?.error) throw new Error(result.error);
+  showAudit(result.audit, pendingFill.vault);
+  if (!result.mappings?.length) throw new Error("No new draft returned.");
+  return result.mappings[0];
+}
+
+onClick("draftAnswers", async () => {
+  clearPreview();
+  const provider = await prepareProvider();
+
+  setStatus("Collecting form fields...");
+  const tab = await getActiveTab();
+  showAudit(null);
+  const pageFields = await extractFieldsFromAllFrames(tab.id);
+  const redraft = $("draftFilled").checked;
+  const questions = pageFields.filter(f => isLongTextField(f) && (redraft || !String(f.value || "").trim()));
+  if (!questions.length) {
+    throw new Error(pageFields.some(isLongTextField)
+      ? "Every long question already has an answer. Check \"Also redraft questions that already have an answer\" to replace them."
+      : "No long free-text questions found on this page.");
+  }
+
+  // Same sources as a normal fill: the selected profile, or the documents.
+  const privacy = await getPrivacySettings();
+  const vault = createRedactionVault();
+  const profileName = $("profileSelect").value;
+  const source = profileName
+    ? { profile: redactProfile(await loadProfile(profileName, getPassphrase()), privacy, vault) }
+    : await readSourcePayload(privacy, vault);
+  const draftPayload = {
+    ...source,
+    pageUrl: tab.url,
+    fields: redactFields(questions, privacy, vault),
+    userRules: draftRules()
+  };
+
+  setStatus(`Drafting ${questions.length} answer(s) with ${PROVIDERS[provider.id].label}...`);
+  const result = await chrome.runtime.sendMessage({ type: "DRAFT_LONG_ANSWERS", payload: draftPayload });
+  if (result?.error) throw new Error(result.error);
+  showAudit(result.audit, vault);
+  if (!result.mappings?.length) throw new Error("No drafts returned.");
+
+  renderPreview(tab, pageFields, result.mappings, vault, draftPayload);
+  setStatus(`Review ${result.mappings.length} draft(s): edit or regenerate them, then click "Apply selected". ` +
+    `Drafts are written for you, so check every claim.`);
+});
+
+// Crop a screenshot to rect (viewport CSS pixels, see GET_SCOPE_RECT in content.js).
+async function cropScreenshot(dataUrl, rect) {
+  const image = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const scale = image.width / rect.viewportWidth;
+  const canvas = new OffscreenCanvas(Math.round(rect.width * scale), Math.round(rect.height * scale));
+  canvas.getContext("2d").drawImage(
+    image, rect.x * scale, rect.y * scale, rect.width * scale, rect.height * scale, 0, 0, canvas.width, canvas.height
+  );
+  const blob = await canvas.convertToBlob({ type: "image/jpeg", quality: 0.7 });
+  return bytesToDataUrl(new Uint8Array(await blob.arrayBuffer()), "image/jpeg");
+}
+
+// Fill scope: picked on the page, so the popup closes while the user picks.
+async function refreshScopeSummary() {
+  const tab = await getActiveTab();
+  const res = await chrome.runtime.sendMessage({ type: "SCOPE_STATUS", tabId: tab.id });
+  const count = res?.count || 0;
+  $("scopeSummary").textContent = count ? `Only the ${count} picked field(s) are filled.` : "";
+  $("scopeClear").style.display = count ? "" : "none";
+}
+
+onClick("scopePick", async () => {
+  const tab = await getActiveTab();
+  const res = await chrome.runtime.sendMessage({ type: "SCOPE_PICK", tabId: tab.id });
+  if (res?.error) throw new Error(res.error);
+  window.close();
+});
+
+onClick("scopeClear", async () => {
+  const tab = await getActiveTab();
+  const res = await chrome.runtime.sendMessage({ type: "SCOPE_RESET", tabId: tab.id });
+  if (res?.error) throw new Error(res.error);
+  await refreshScopeSummary();
+  await refreshReplayButton();
+  setStatus("The whole page will be filled.");
+});
+
+// Read by the content script on every extraction; on by default.
+async function initScopeSettings() {
+  const { skipUnrelatedFields = true } = await chrome.storage.local.get(["skipUnrelatedFields"]);
+  $("skipUnrelatedFields").checked = skipUnrelatedFields;
+}
+
+$("skipUnrelatedFields").addEventListener("change", async () => {
+  await chrome.storage.local.set({ skipUnrelatedFields: $("skipUnrelatedFields").checked });
+});
+
+// Offline replay of the last approved fill of this form, when one is stored.
+async function refreshReplayButton() {
+  const tab = await getActiveTab();
+  const fields = await extractFieldsFromAllFrames(tab.id, { probe: false });
+  const memory = fields.length ? await findSiteTemplate(tab.url, fields) : null;
+  $("replayFill").style.display = memory ? "block" : "none";
+  $("replayFill").textContent = memory?.exact
+    ? "Replay last fill on this form"
+    : "Replay known fields from a similar form";
+}
+
+onClick("replayFill", async () => {
+  clearPreview();
+  const tab = await getActiveTab();
+  const fields = await extractFieldsFromAllFrames(tab.id);
+  const memory = await findSiteTemplate(tab.url, fields);
+  if (!memory) throw new Error("No saved fill for this form.");
+
+  const replay = replaySiteTemplate(memory.template, fields);
+  if (!replay.mappings.length) throw new Error("The saved fill has no values for this form.");
+  renderPreview(tab, fields, replay.mappings);
+  setStatus([
+    `Review ${replay.mappings.length} remembered fields, then click "Apply selected".`,
+    replay.newFields.length ? `${replay.newFields.length} new field(s) are not covered; use "Analyze & Fill" to ask the model about them.` : ""
+  ].filter(Boolean).join("\n"));
+});
+
+onClick("manageTemplates", () => chrome.runtime.openOptionsPage());
+onClick("openHistory", () => chrome.tabs.create({ url: chrome.runtime.getURL("history.html") }));
+
+// Usage: the estimate shown before a fill, and the totals usage.js keeps from what the
+// provider reports.
+const DEFAULT_CONFIRM_TOKENS = 50000;
+
+function formatCost(cost) {
+  return cost < 0.01 && cost > 0 ? "under $0.01" : `about $${cost.toFixed(2)}`;
+}
+
+function describeEstimate({ requests, input, output, cost, uncountedFiles }) {
+  return [
+    `Estimate: ${requests} request(s), about ${input.toLocaleString()} input + ${output.toLocaleString()} output tokens`,
+    cost === null ? ", cost unknown (set a price under Provider)" : `, ${formatCost(cost)}`,
+    uncountedFiles ? ` plus ${uncountedFiles} uploaded file(s)` : "",
+    "."
+  ].join("");
+}
+
+function describeUsage(total) {
+  if (!total?.requests) return "nothing yet";
+  return [
+    `${total.requests} request(s), ${total.input.toLocaleString()} input + ${total.output.toLocaleString()} output tokens, ${formatCost(total.cost)}`,
+    total.unpriced ? ` (${total.unpriced} without a known price)` : "",
+    ` since ${new Date(total.since).toLocaleString()}`
+  ].join("");
+}
+
+async function refreshUsage() {
+  const tab = await getActiveTab();
+  let origin = "";
+  try { origin = new URL(tab.url).origin; } catch {}
+  const { usage } = await chrome.storage.session.get(["usage"]);
+  const { usageBySite = {} } = await chrome.storage.local.get(["usageBySite"]);
+  $("usageSummary").textContent = [
+    `This session: ${describeUsage(usage)}`,
+    origin ? `This site (${origin}): ${describeUsage(usageBySite[origin])}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+async function initUsageSettings() {
+  const { confirmTokens } = await chrome.storage.local.get(["confirmTokens"]);
+  $("confirmTokens").value = confirmTokens ?? DEFAULT_CONFIRM_TOKENS;
+}
+
+$("confirmTokens").addEventListener("change", async () => {
+  const tokens = Math.max(0, Math.round(Number($("confirmTokens").value) || 0));
+  $("confirmTokens").value = tokens;
+  await chrome.storage.local.set({ confirmTokens: tokens });
+});
+
+onClick("usageReset", async () => {
+  if (!confirm("Reset the usage totals for this session and all sites?")) return;
+  await chrome.storage.session.remove("usage");
+  await chrome.storage.local.remove("usageBySite");
+  setStatus("Usage totals reset.");
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (changes.usage || changes.usageBySite) refreshUsage().catch(() => {});
+});
+
 // Default state on popup open.
+initProviderForm();
+initRequestSettings();
+initProfiles();
+initMinConfidence();
+initQuickFillSettings();
+initScopeSettings();
+initDraftSettings();
+initUsageSettings();
+initPrivacyForm();
+initFieldPolicyForm();
+$("docFile").accept = SOURCE_ACCEPT;
+refreshWizardStatus().catch(() => {});
+refreshBatchStatus().catch(() => {});
+refreshScopeSummary().catch(() => {});
+refreshReplayButton().catch(() => {});
+refreshUsage().catch(() => {});
 setStatus("Ready.");
+resumeMapJob().catch(e => setStatus(String(e.message || e)));
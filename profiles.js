@@ -0,0 +1,117 @@
+// Profile storage: named, passphrase-encrypted sets of facts extracted from a document.
+// A profile looks like { name, facts: [{ section, key, value }], updatedAt }.
+// Profiles live in chrome.storage.local under "profiles", keyed by name. Names stay
+// in clear text so they can be listed; the facts are AES-GCM encrypted with a key
+// derived from the user's passphrase (PBKDF2-SHA-256).
+
+const PROFILE_SECTIONS = ["personal", "contact", "address", "work", "education", "skills", "other"];
+const PROFILE_KDF_ITERATIONS = 250000;
+
+function bytesToBase64(bytes) {
+  let s = "";
+  for (const b of bytes) s += String.fromCharCode(b);
+  return btoa(s);
+}
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+async function deriveProfileKey(passphrase, salt) {
+  const base = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PROFILE_KDF_ITERATIONS, hash: "SHA-256" },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Encrypt any JSON-serializable value. Each call uses a fresh salt and IV.
+async function encryptJson(passphrase, value) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveProfileKey(passphrase, salt);
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { salt: bytesToBase64(salt), iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+async function decryptJson(passphrase, box) {
+  try {
+    const key = await deriveProfileKey(passphrase, base64ToBytes(box.salt));
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToBytes(box.iv) }, key, base64ToBytes(box.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    // AES-GCM authentication fails on a wrong key, so this is almost always the passphrase.
+    throw new Error("Wrong passphrase or corrupted profile.");
+  }
+}
+
+// Keep only well-formed facts; used for model output, imports and edits alike.
+function normalizeProfileFacts(facts) {
+  return (Array.isArray(facts) ? facts : [])
+    .filter(f => f && typeof f.key === "string" && typeof f.value !== "undefined")
+    .map(f => ({
+      section: PROFILE_SECTIONS.includes(f.section) ? f.section : "other",
+      key: f.key.trim(),
+      value: String(f.value ?? "").trim()
+    }))
+    .filter(f => f.key && f.value);
+}
+
+async function getStoredProfiles() {
+  const { profiles } = await chrome.storage.local.get(["profiles"]);
+  return profiles || {};
+}
+
+async function listProfileNames() {
+  return Object.keys(await getStoredProfiles()).sort((a, b) => a.localeCompare(b));
+}
+
+async function loadProfile(name, passphrase) {
+  const box = (await getStoredProfiles())[name];
+  if (!box) throw new Error(`Profile "${name}" not found.`);
+  const facts = await decryptJson(passphrase, box.facts);
+  return { name, facts: normalizeProfileFacts(facts), updatedAt: box.updatedAt };
+}
+
+async function saveProfile(profile, passphrase) {
+  const name = String(profile?.name || "").trim();
+  if (!name) throw new Error("Profile name missing.");
+  if (!passphrase) throw new Error("Profile passphrase missing.");
+
+  const profiles = await getStoredProfiles();
+  profiles[name] = {
+    facts: await encryptJson(passphrase, normalizeProfileFacts(profile.facts)),
+    updatedAt: new Date().toISOString()
+  };
+  await chrome.storage.local.set({ profiles });
+  return name;
+}
+
+async function deleteProfile(name) {
+  const profiles = await getStoredProfiles();
+  delete profiles[name];
+  await chrome.storage.local.set({ profiles });
+}
+
+// Exports are plain (unencrypted) JSON so they can be edited or moved between browsers.
+function profileToExportJson(profile) {
+  return JSON.stringify({ name: profile.name, facts: profile.facts }, null, 2);
+}
+
+function profileFromImportJson(text) {
+  let parsed;
+  try { parsed = JSON.parse(text); } catch { throw new Error("Profile file is not valid JSON."); }
+
+  const facts = normalizeProfileFacts(parsed?.facts);
+  if (!facts.length) throw new Error("Profile file has no facts.");
+  return { name: String(parsed?.name || "Imported").trim() || "Imported", facts };
+}
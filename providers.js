@@ -0,0 +1,254 @@
+// LLM provider adapters.
+// Each adapter turns the shared prompt + schema + attachments into one HTTP request
+// for its backend, and pulls the structured result back out of the response.
+// Attachments: screenshotDataUrl, images (data URLs) and docs ([{ base64, filename, mime }]).
+// extractUsage reads the token counts the API reports: { input, output }, or null.
+// Loaded by the service worker (importScripts) and by the popup (<script>), so it
+// must not touch chrome.* APIs at load time.
+
+// Split a data URL into its mime type and base64 payload.
+function splitDataUrl(dataUrl) {
+  const m = /^data:([^;,]+);base64,(.*)$/s.exec(dataUrl || "");
+  return m ? { mime: m[1], base64: m[2] } : null;
+}
+
+// Parse model text output that should be JSON.
+// Some local models wrap JSON in ``` fences even when asked not to.
+function parseJsonText(text) {
+  if (!text) throw new Error("No JSON output from model.");
+  const s = String(text).trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  try { return JSON.parse(s); } catch { throw new Error("Model returned non-JSON."); }
+}
+
+// OpenAI-style Chat Completions body. Shared by the OpenAI-compatible and Azure adapters.
+function buildChatBody({ model, system, prompt, schema, screenshotDataUrl, images = [], docs = [] }) {
+  const content = [{ type: "text", text: prompt }];
+  for (const url of [screenshotDataUrl, ...images].filter(Boolean)) content.push({ type: "image_url", image_url: { url } });
+  for (const doc of docs) {
+    content.push({
+      type: "file",
+      file: { filename: doc.filename, file_data: `data:${doc.mime};base64,${doc.base64}` }
+    });
+  }
+
+  return {
+    ...(model ? { model } : {}),
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content }
+    ],
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: "field_mappings", strict: true, schema }
+    }
+  };
+}
+
+function extractChatResult(data) {
+  const text = data?.choices?.[0]?.message?.content;
+  return parseJsonText(typeof text === "string" ? text : "");
+}
+
+// Token counts from a response's usage object; the field names differ between APIs.
+function readUsage(usage, inputKey, outputKey) {
+  const input = Number(usage?.[inputKey]);
+  const output = Number(usage?.[outputKey]);
+  if (!Number.isFinite(input) && !Number.isFinite(output)) return null;
+  return { input: input || 0, output: output || 0 };
+}
+
+function extractChatUsage(data) {
+  return readUsage(data?.usage, "prompt_tokens", "completion_tokens");
+}
+
+const PROVIDERS = {
+  // OpenAI Responses API: document goes as input_file, screenshot as input_image.
+  openai: {
+    label: "OpenAI (Responses API)",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+    requiresKey: true,
+    buildRequest({ baseUrl, model, apiKey, system, prompt, schema, screenshotDataUrl, images = [], docs = [] }) {
+      const content = [{ type: "input_text", text: prompt }];
+      for (const url of [screenshotDataUrl, ...images].filter(Boolean)) content.push({ type: "input_image", image_url: url });
+      for (const doc of docs) {
+        content.push({
+          type: "input_file",
+          filename: doc.filename,
+          file_data: `data:${doc.mime};base64,${doc.base64}`
+        });
+      }
+
+      return {
+        url: `${baseUrl}/responses`,
+        headers: {
+          "Authorization": `Bearer ${apiKey}`,
+          "Content-Type": "application/json"
+        },
+        body: {
+          model,
+          input: [
+            { role: "system", content: [{ type: "input_text", text: system }] },
+            { role: "user", content }
+          ],
+          text: {
+            format: { type: "json_schema", name: "field_mappings", strict: true, schema }
+          }
+        }
+      };
+    },
+    extractResult(data) {
+      // Prefer output_text; fallback to scanning output content.
+      // (Some responses may nest the text in the output array.)
+      const outText =
+        (typeof data?.output_text === "string" && data.output_text) ||
+        data?.output?.flatMap(i => i?.content || [])?.find(c => c?.type === "output_text")?.text ||
+        "";
+      return parseJsonText(outText);
+    },
+    extractUsage: (data) => readUsage(data?.usage, "input_tokens", "output_tokens")
+  },
+
+  // Any server speaking OpenAI Chat Completions: Ollama, LM Studio, vLLM, llama.cpp...
+  // The key is optional because most local servers don't check it.
+  chat: {
+    label: "OpenAI-compatible (Chat Completions, e.g. Ollama / LM Studio / vLLM)",
+    defaultBaseUrl: "http://localhost:11434/v1",
+    defaultModel: "llama3.1",
+    requiresKey: false,
+    buildRequest({ baseUrl, apiKey, ...rest }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+      return { url: `${baseUrl}/chat/completions`, headers, body: buildChatBody(rest) };
+    },
+    extractResult: extractChatResult,
+    extractUsage: extractChatUsage
+  },
+
+  // Azure OpenAI: base URL is the resource endpoint and "model" is the deployment name.
+  azure: {
+    label: "Azure OpenAI",
+    defaultBaseUrl: "https://YOUR-RESOURCE.openai.azure.com",
+    defaultModel: "gpt-4o-mini",
+    requiresKey: true,
+    apiVersion: "2024-10-21",
+    buildRequest({ baseUrl, model, apiKey, ...rest }) {
+      return {
+        url: `${baseUrl}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${this.apiVersion}`,
+        headers: { "api-key": apiKey, "Content-Type": "application/json" },
+        // Azure picks the model from the deployment in the URL.
+        body: buildChatBody({ ...rest, model: "" })
+      };
+    },
+    extractResult: extractChatResult,
+    extractUsage: extractChatUsage
+  },
+
+  // Anthropic Messages API. Structured output is forced through a single tool
+  // whose input_schema is our mapping schema.
+  anthropic: {
+    label: "Anthropic (Messages API)",
+    defaultBaseUrl: "https://api.anthropic.com",
+    defaultModel: "claude-3-5-haiku-latest",
+    requiresKey: true,
+    buildRequest({ baseUrl, model, apiKey, system, prompt, schema, screenshotDataUrl, images = [], docs = [] }) {
+      const content = [];
+      for (const url of [screenshotDataUrl, ...images].filter(Boolean)) {
+        const img = splitDataUrl(url);
+        if (img) content.push({ type: "image", source: { type: "base64", media_type: img.mime, data: img.base64 } });
+      }
+      for (const doc of docs) {
+        if (doc.mime !== "application/pdf") throw new Error("Anthropic only accepts PDF documents.");
+        content.push({ type: "document", source: { type: "base64", media_type: doc.mime, data: doc.base64 } });
+      }
+      content.push({ type: "text", text: prompt });
+
+      return {
+        url: `${baseUrl}/v1/messages`,
+        headers: {
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+          // Required for requests made directly from a browser context.
+          "anthropic-dangerous-direct-browser-access": "true",
+          "Content-Type": "application/json"
+        },
+        body: {
+          model,
+          max_tokens: 4096,
+          system,
+          messages: [{ role: "user", content }],
+          tools: [{ name: "field_mappings", description: "Return the field mappings.", input_schema: schema }],
+          tool_choice: { type: "tool", name: "field_mappings" }
+        }
+      };
+    },
+    extractResult(data) {
+      const tool = (data?.content || []).find(c => c?.type === "tool_use");
+      if (!tool?.input) throw new Error("No JSON output from model.");
+      return tool.input;
+    },
+    extractUsage: (data) => readUsage(data?.usage, "input_tokens", "output_tokens")
+  }
+};
+
+const DEFAULT_PROVIDER_ID = "openai";
+
+// List prices in USD per million tokens, [input, output], by model name prefix (longest
+// match wins). Only used for estimates and the usage totals; set your own price in the
+// popup when yours differs. Local servers (chat) are treated as free.
+const MODEL_PRICES = {
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4o": [2.5, 10],
+  "gpt-4.1-nano": [0.1, 0.4],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1": [2, 8],
+  "o4-mini": [1.1, 4.4],
+  "claude-3-haiku": [0.25, 1.25],
+  "claude-3-5-haiku": [0.8, 4],
+  "claude-3-5-sonnet": [3, 15],
+  "claude-3-7-sonnet": [3, 15],
+  "claude-sonnet-4": [3, 15],
+  "claude-opus-4": [15, 75]
+};
+
+// "0.15 / 0.60" -> { input, output } per million tokens, or null.
+function parsePrice(text) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(text || "");
+  return m ? { input: Number(m[1]), output: Number(m[2]) } : null;
+}
+
+// Known price for a provider's model, or null when unknown.
+function defaultModelPrice(id, model) {
+  if (id === "chat") return { input: 0, output: 0 };
+  const key = Object.keys(MODEL_PRICES)
+    .filter(k => String(model || "").toLowerCase().startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? { input: MODEL_PRICES[key][0], output: MODEL_PRICES[key][1] } : null;
+}
+
+// Fill in defaults for a stored { id, baseUrl, model, price } provider config.
+function resolveProviderConfig(cfg) {
+  const id = PROVIDERS[cfg?.id] ? cfg.id : DEFAULT_PROVIDER_ID;
+  const p = PROVIDERS[id];
+  const model = String(cfg?.model || p.defaultModel).trim();
+  return {
+    id,
+    baseUrl: String(cfg?.baseUrl || p.defaultBaseUrl).trim().replace(/\/+$/, ""),
+    model,
+    price: parsePrice(cfg?.price) || defaultModelPrice(id, model)
+  };
+}
+
+// How long a fill may wait for the provider (seconds, retries included) and how many
+// times a rate-limited or failed request is retried. Stored as "requestSettings".
+const DEFAULT_REQUEST_SETTINGS = { timeout: 120, retries: 3 };
+
+async function getRequestSettings() {
+  const { requestSettings } = await chrome.storage.local.get(["requestSettings"]);
+  return { ...DEFAULT_REQUEST_SETTINGS, ...requestSettings };
+}
+
+// Host permission pattern for a provider endpoint, e.g. "http://localhost:11434/*".
+function providerOriginPattern(baseUrl) {
+  return `${new URL(baseUrl).origin}/*`;
+}
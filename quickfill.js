@@ -0,0 +1,183 @@
+// Quick fill: fill the page (or one field) straight from the service worker, without the
+// popup. Started by the keyboard shortcut, the context menu or the floating page button,
+// and reported in a toast on the page, so a long run doesn't depend on the popup staying open.
+// Loaded by the service worker (importScripts); uses frames.js, sites.js, profiles.js,
+// redact.js, batch.js, fillhistory.js and mapping.js helpers.
+//
+// Quick fills use a saved profile: the one last picked under "Fill from" in the popup
+// (stored as "quickFillProfile"), or the only one. The profile is opened with the
+// passphrase the popup keeps for the session. Documents can only be sent from the popup.
+// Answers remembered for the form (sites.js) are reused and only the other fields go to
+// the model. There is no review step: values are written straight away and the toast
+// offers Undo. As in wizard mode, values the model returns as redaction tokens are not filled,
+// and fields the page rejects get one correction pass (corrections.js).
+
+const QUICK_FILL_COMMAND = "fill-form";
+const QUICK_FILL_MENU = "pawpaw-fill-form";
+const QUICK_FILL_FIELD_MENU = "pawpaw-fill-field";
+
+// Tabs with a quick fill running; a second shortcut press doesn't start another one.
+const quickFillTabs = new Set();
+
+function notifyToast(tabId, message, { busy = false, undo = false } = {}) {
+  return chrome.tabs.sendMessage(tabId, { type: "SHOW_TOAST", message, busy, undo }, { frameId: 0 }).catch(() => null);
+}
+
+async function loadQuickFillProfile(name) {
+  const names = await listProfileNames();
+  const { quickFillProfile } = await chrome.storage.local.get(["quickFillProfile"]);
+  const pick = name || (names.includes(quickFillProfile) ? quickFillProfile : names.length === 1 ? names[0] : "");
+  if (!pick) {
+    throw new Error(names.length
+      ? 'Pick a profile under "Fill from" in the popup first.'
+      : "Save a profile in the popup first: quick fills use a profile, not a document.");
+  }
+
+  const { profilePassphrase } = await chrome.storage.session.get(["profilePassphrase"]);
+  if (!profilePassphrase) throw new Error("Open the popup and enter the profile passphrase once for this session.");
+  return loadProfile(pick, profilePassphrase);
+}
+
+// Fill the whole page, or only `field` (frame-prefixed selector) from `profileName`.
+// Errors are shown in the toast.
+async function quickFill(tabId, { field = null, profileName = "" } = {}) {
+  if (quickFillTabs.has(tabId)) {
+    await notifyToast(tabId, "Paw Paw: a fill is already running in this tab.");
+    return;
+  }
+  quickFillTabs.add(tabId);
+
+  try {
+    if (isBatchRunning(await getBatch(tabId))) throw new Error("A batch fill is running in this tab.");
+    const tab = await chrome.tabs.get(tabId);
+
+    await notifyToast(tabId, "Paw Paw: reading the form...", { busy: true });
+    const fields = field ? [field] : await extractFieldsFromAllFrames(tabId);
+    if (!fields.length) throw new Error("No fillable fields found on this page.");
+
+    // A field picked from the context menu is always asked about, with the chosen profile.
+    const memory = field ? null : await findSiteTemplate(tab.url, fields);
+    const replay = memory
+      ? replaySiteTemplate(memory.template, fields)
+      : { mappings: [], newFields: fields };
+
+    let mappings = replay.mappings;
+    let withheld = [], lowConfidence = 0;
+    let sources = null;
+    if (replay.newFields.length) {
+      const profile = await loadQuickFillProfile(profileName);
+      const privacy = await getPrivacySettings();
+      const vault = createRedactionVault();
+      const { provider } = await getSelectedProvider();
+      sources = { pageUrl: tab.url, profile: redactProfile(profile, privacy, vault) };
+
+      await notifyToast(tabId,
+        `Paw Paw: asking ${PROVIDERS[provider.id].label} about ${replay.newFields.length} field(s) from profile "${profile.name}"...`,
+        { busy: true });
+      const res = await mapFieldsWithSelectedProvider({ ...sources, fields: redactFields(replay.newFields, privacy, vault) });
+
+      const clear = res.mappings.filter(m => !findRedactionTokens(m.value, vault).length);
+      withheld = res.mappings.filter(m => !clear.includes(m));
+      lowConfidence = res.lowConfidence;
+      mappings = [...mappings, ...clear];
+    }
+    if (!mappings.length) throw new Error("Nothing to fill: no field matched the profile.");
+
+    // A fill from memory alone has no sources to correct from.
+    const fill = sources
+      ? await applyWithCorrections(tabId, mappings, sources, { leave: withheld.map(m => m.selector) })
+      : await applyMappingsToFrames(tabId, mappings);
+    await recordFill({
+      tab,
+      mode: "quick",
+      source: sources?.profile.name || "",
+      fields,
+      mappings,
+      fill,
+      correction: fill.correction || null,
+      skipped: withheld.map(m => ({ mapping: m, reason: "redacted" })),
+      usedModel: !!sources
+    });
+    const unconfirmed = fill.results.filter(r => r.policy === "confirm").length;
+    const notes = [
+      fill.rejected ? `${fill.rejected} rejected by the page` : "",
+      fill.lost ? `${fill.lost} no longer on the page` : "",
+      fill.corrected ? `${fill.corrected} corrected after the page's validation` : "",
+      fill.invalid.length ? `${fill.invalid.length} still flagged by the page` : "",
+      replay.mappings.length ? `${replay.mappings.length} remembered from your last fill here` : "",
+      lowConfidence ? `${lowConfidence} below the confidence threshold` : "",
+      withheld.length ? `${withheld.length} redacted value(s) left out` : "",
+      unconfirmed ? `${unconfirmed} left for you to confirm yourself` : "",
+      fill.blocked.length ? `${fill.blocked.length} sensitive field(s) left alone` : ""
+    ].filter(Boolean);
+    await notifyToast(tabId,
+      `Paw Paw: filled ${fill.updated} field(s)${notes.length ? ` (${notes.join(", ")})` : ""}. Check them before submitting.`,
+      { undo: fill.updated > 0 });
+  } catch (e) {
+    await notifyToast(tabId, `Paw Paw: ${e.message || e}`);
+  } finally {
+    quickFillTabs.delete(tabId);
+  }
+}
+
+// "Fill this field with…": the field the user right-clicked in that frame.
+async function quickFillField(tabId, frameId, profileName) {
+  const res = await sendToFrame(tabId, frameId, { type: "GET_CONTEXT_FIELD" });
+  if (res?.blocked) {
+    await notifyToast(tabId, "Paw Paw: this field is sensitive and is never filled (see Sensitive fields in the popup).");
+    return;
+  }
+  if (!res?.field) {
+    await notifyToast(tabId, "Paw Paw: right-click a form field to fill it.");
+    return;
+  }
+  await quickFill(tabId, { field: { ...res.field, selector: withFramePrefix(frameId, res.field.selector) }, profileName });
+}
+
+// "Fill this form" on any page, and "Fill this field with…" on editable fields with
+// one entry per profile. Rebuilt when profiles are added or removed.
+async function buildContextMenus() {
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({ id: QUICK_FILL_MENU, title: "Fill this form", contexts: ["page", "frame", "editable"] });
+  chrome.contextMenus.create({ id: QUICK_FILL_FIELD_MENU, title: "Fill this field with…", contexts: ["editable"] });
+
+  const names = await listProfileNames();
+  for (const name of names) {
+    chrome.contextMenus.create({
+      id: `${QUICK_FILL_FIELD_MENU}:${name}`,
+      parentId: QUICK_FILL_FIELD_MENU,
+      title: `Profile "${name}"`,
+      contexts: ["editable"]
+    });
+  }
+  if (!names.length) {
+    chrome.contextMenus.create({
+      id: `${QUICK_FILL_FIELD_MENU}:`,
+      parentId: QUICK_FILL_FIELD_MENU,
+      title: "No profiles yet",
+      enabled: false,
+      contexts: ["editable"]
+    });
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  buildContextMenus().catch(() => {});
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.profiles) buildContextMenus().catch(() => {});
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id) return;
+  const id = String(info.menuItemId);
+  if (id === QUICK_FILL_MENU) quickFill(tab.id);
+  else if (id.startsWith(`${QUICK_FILL_FIELD_MENU}:`)) {
+    quickFillField(tab.id, info.frameId ?? 0, id.slice(QUICK_FILL_FIELD_MENU.length + 1));
+  }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === QUICK_FILL_COMMAND && tab?.id) quickFill(tab.id);
+});
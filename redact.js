@@ -0,0 +1,188 @@
+// Redaction of personal data before a request leaves the browser.
+// Matches are replaced by tokens like "[IBAN_1]". The originals stay in a local vault,
+// so a value the model returns as "[IBAN_1]" can be filled with the real IBAN once the
+// user allows that field. Settings live in chrome.storage.local under "privacy".
+// Loaded by the popup and by the service worker; no chrome.* calls at load time.
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check.
+function ibanValid(iban) {
+  const s = iban.replace(/\s+/g, "").toUpperCase();
+  const moved = (s.slice(4) + s.slice(0, 4)).replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+  let rem = 0;
+  for (const d of moved) rem = (rem * 10 + Number(d)) % 97;
+  return rem === 1;
+}
+
+// Built-in rules. When a pattern has a capture group, only the group is redacted
+// (the "Date of birth:" label stays so the model still knows what the value was).
+const REDACTION_RULES = {
+  national_id: {
+    token: "NATIONAL_ID",
+    label: "National ID numbers (SSN, NINO, passport, tax ID...)",
+    patterns: [
+      /\b\d{3}-\d{2}-\d{4}\b/g,
+      /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+      /\b(?:passport|national id|id card|identity card|social security|personal id|tax id|TIN|SSN|NINO)(?: (?:no|number))?\.?\s*[:#]?\s*([A-Z0-9](?:[A-Z0-9 -]{3,18})[A-Z0-9])\b/gi
+    ]
+  },
+  iban: {
+    token: "IBAN",
+    label: "IBANs",
+    patterns: [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g],
+    valid: ibanValid
+  },
+  card: {
+    token: "CARD",
+    label: "Payment card numbers",
+    patterns: [/\b\d(?:[ -]?\d){12,18}\b/g],
+    valid: s => luhnValid(s.replace(/\D/g, ""))
+  },
+  dob: {
+    token: "DOB",
+    label: "Dates of birth",
+    patterns: [
+      /\b(?:date of birth|birth ?date|d\.?o\.?b\.?|born(?: on)?)\s*[:-]?\s*(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}|\d{1,2}(?:st|nd|rd|th)? [A-Za-z]{3,9},? \d{4}|[A-Za-z]{3,9} \d{1,2}(?:st|nd|rd|th)?,? \d{4})/gi
+    ]
+  },
+  email: {
+    token: "EMAIL",
+    label: "Email addresses",
+    patterns: [/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g]
+  },
+  phone: {
+    token: "PHONE",
+    label: "Phone numbers",
+    patterns: [/(?<![\w+-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){2,4}(?![\w-])/g],
+    // E.164 numbers have at most 15 digits; fewer than 9 is more likely a date or a reference.
+    valid: s => { const n = s.replace(/\D/g, "").length; return n >= 9 && n <= 15; }
+  }
+};
+
+const DEFAULT_PRIVACY = {
+  // Parse the document locally and send its (redacted) text instead of the file.
+  localText: true,
+  noScreenshot: false,
+  rules: { national_id: true, iban: true, card: true, dob: true, email: false, phone: false },
+  // Extra words and regular expressions to redact, one per entry.
+  dictionary: [],
+  patterns: []
+};
+
+const REDACTION_TOKEN_RE = /\[[A-Z]+(?:_[A-Z]+)*_\d+\]/g;
+
+async function getPrivacySettings() {
+  const { privacy } = await chrome.storage.local.get(["privacy"]);
+  return { ...DEFAULT_PRIVACY, ...privacy, rules: { ...DEFAULT_PRIVACY.rules, ...privacy?.rules } };
+}
+
+async function savePrivacySettings(privacy) {
+  await chrome.storage.local.set({ privacy });
+}
+
+// Token -> original value, for one request. The same value always gets the same token.
+function createRedactionVault() {
+  return { byToken: new Map(), byValue: new Map(), counts: {} };
+}
+
+// The vault as plain data and back, for storage (a fill the popup picks up again, jobs.js).
+function exportRedactionVault(vault) {
+  return { tokens: Array.from(vault.byToken), counts: vault.counts };
+}
+
+function importRedactionVault({ tokens, counts }) {
+  return {
+    byToken: new Map(tokens),
+    byValue: new Map(tokens.map(([token, original]) => [original, token])),
+    counts: { ...counts }
+  };
+}
+
+function vaultToken(vault, kind, original) {
+  const existing = vault.byValue.get(original);
+  if (existing) return existing;
+
+  vault.counts[kind] = (vault.counts[kind] || 0) + 1;
+  const token = `[${kind}_${vault.counts[kind]}]`;
+  vault.byToken.set(token, original);
+  vault.byValue.set(original, token);
+  return token;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Enabled rules as [{ token, patterns, valid? }]. The user's own words and patterns run
+// first, since they are more specific than the built-in rules.
+function activeRedactionRules(privacy) {
+  const rules = [];
+
+  const words = privacy.dictionary.map(w => w.trim()).filter(Boolean);
+  if (words.length) {
+    rules.push({ token: "TERM", patterns: words.map(w => new RegExp(`(?<!\\w)${escapeRegExp(w)}(?!\\w)`, "gi")) });
+  }
+
+  const custom = privacy.patterns.map(p => p.trim()).filter(Boolean).map(p => {
+    try { return new RegExp(p, "g"); } catch { throw new Error(`Invalid redaction pattern: ${p}`); }
+  });
+  if (custom.length) rules.push({ token: "CUSTOM", patterns: custom });
+
+  for (const [id, rule] of Object.entries(REDACTION_RULES)) if (privacy.rules[id]) rules.push(rule);
+  return rules;
+}
+
+// Replace every match of the enabled rules with a vault token.
+function redactText(text, privacy, vault) {
+  let out = String(text ?? "");
+  for (const rule of activeRedactionRules(privacy)) {
+    for (const re of rule.patterns) {
+      out = out.replace(re, (match, ...rest) => {
+        const group = typeof rest[0] === "string" ? rest[0] : null;
+        const secret = group ?? match;
+        if (!secret.trim() || new RegExp(REDACTION_TOKEN_RE.source).test(secret)) return match;
+        if (rule.valid && !rule.valid(secret)) return match;
+        const token = vaultToken(vault, rule.token, secret);
+        return group ? match.replace(group, token) : token;
+      });
+    }
+  }
+  return out;
+}
+
+function redactProfile(profile, privacy, vault) {
+  return { ...profile, facts: profile.facts.map(f => ({ ...f, value: redactText(f.value, privacy, vault) })) };
+}
+
+// Current page values can hold personal data too, and so can the page's error messages
+// after a fill ("06 1234 is not a valid phone number").
+function redactFields(fields, privacy, vault) {
+  return fields.map(f => ({
+    ...f,
+    ...(f.value ? { value: redactText(f.value, privacy, vault) } : {}),
+    ...(f.error ? { error: redactText(f.error, privacy, vault) } : {})
+  }));
+}
+
+// Tokens from this vault found in a value.
+function findRedactionTokens(value, vault) {
+  return (String(value ?? "").match(REDACTION_TOKEN_RE) || []).filter(t => vault.byToken.has(t));
+}
+
+function restoreRedactions(value, vault) {
+  return String(value ?? "").replace(REDACTION_TOKEN_RE, t => vault.byToken.get(t) ?? t);
+}
+
+// Redaction counts for the audit, e.g. "2 × IBAN, 1 × DOB". Never the values.
+function describeRedactions(vault) {
+  return Object.entries(vault.counts).map(([kind, n]) => `${n} × ${kind}`).join(", ");
+}
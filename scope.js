@@ -0,0 +1,48 @@
+// Fill scope: the part of the page a fill is limited to, picked by the user on the page.
+// Loaded by the service worker (importScripts); uses frames.js and the wizard / batch helpers.
+//
+// The scope itself lives in the content script of each frame (a form, a section, or single
+// fields), so it ends with the page. Extraction, APPLY_MAPPINGS and the screenshot crop
+// honour it there; this file only starts and ends the picker across frames and keeps the
+// count in the page bar current. Nothing is stored: counts are asked from the frames.
+// Picking a whole form or dragging a new region replaces the scope in every other frame;
+// shift-click and shift-drag add to it.
+
+async function sendToAllFrames(tabId, msg, { except = null } = {}) {
+  const replies = [];
+  for (const frameId of await listFrameIds(tabId)) {
+    if (frameId !== except) replies.push(await sendToFrame(tabId, frameId, msg));
+  }
+  return replies;
+}
+
+// Number of fields in scope across frames (0: the whole page is filled).
+async function getScopeCount(tabId) {
+  const replies = await sendToAllFrames(tabId, { type: "SCOPE_STATUS" });
+  return { count: replies.reduce((n, r) => n + (r?.count || 0), 0) };
+}
+
+async function startScopePicker(tabId) {
+  if (await getWizard(tabId)) throw new Error("End the wizard in this tab first.");
+  if (isBatchRunning(await getBatch(tabId))) throw new Error("Stop the batch in this tab first.");
+  await sendToAllFrames(tabId, { type: "SCOPE_PICK" });
+  return scopeChanged(tabId, { exclusive: false, frameId: null });
+}
+
+// A frame's scope changed while picking. The page bar (top frame) shows the new total.
+async function scopeChanged(tabId, { exclusive, frameId }) {
+  if (exclusive) await sendToAllFrames(tabId, { type: "SCOPE_CLEAR" }, { except: frameId });
+  const { count } = await getScopeCount(tabId);
+  await sendToFrame(tabId, 0, { type: "SCOPE_STATE", count });
+  return { count };
+}
+
+async function endScopePicker(tabId) {
+  await sendToAllFrames(tabId, { type: "SCOPE_PICK_END" });
+  return getScopeCount(tabId);
+}
+
+async function clearScope(tabId) {
+  await sendToAllFrames(tabId, { type: "SCOPE_CLEAR" });
+  return scopeChanged(tabId, { exclusive: false, frameId: null });
+}
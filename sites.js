@@ -0,0 +1,172 @@
+// Per-site fill memory: the mappings a user approved on a form, kept per origin and
+// form signature so the same form can be filled again without calling the model.
+// Loaded by the popup and by the templates page (templates.html), after frames.js.
+//
+// Templates live in chrome.storage.local under "siteTemplates":
+//   { [origin]: { [signature]: { origin, signature, title, url, fieldKeys, mappings, updatedAt } } }
+// - fieldKeys: every field the form had, answered or not, so only new or changed
+//   fields are sent to the model next time.
+// - mappings: [{ key, label, kind, value }] approved and applied on the last fill.
+// Values are stored as filled (not encrypted); the templates page can edit or delete them.
+// So answers that held redacted data, and fields the sensitive-field policy covers
+// (policy.js), are never remembered: the next fill treats those fields as new.
+
+// Minimum share of the current fields a stored template must know to be reused for a
+// changed form. Keeps a search box shared by every page from matching everything.
+const MIN_TEMPLATE_OVERLAP = 0.5;
+
+// Identity of a field across visits: frame ids change on every load, labels rarely do.
+// A field whose label changed is a new field.
+function siteFieldKey(field) {
+  return `${splitFramePrefix(field.selector).selector}|${field.label || field.name || field.placeholder || ""}`;
+}
+
+// Hash of the form's field keys, independent of field order.
+async function formSignature(fields) {
+  const keys = fields.map(siteFieldKey).sort().join("\n");
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(keys));
+  return Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function siteOrigin(url) {
+  return new URL(url).origin;
+}
+
+async function getSiteTemplates() {
+  const { siteTemplates } = await chrome.storage.local.get(["siteTemplates"]);
+  return siteTemplates || {};
+}
+
+async function setSiteTemplates(siteTemplates) {
+  await chrome.storage.local.set({ siteTemplates });
+}
+
+// Template for this page's form: the exact signature if known, otherwise the
+// template on the same origin that knows the most of the current fields.
+// Returns { template, exact } or null.
+async function findSiteTemplate(url, fields) {
+  const templates = Object.values((await getSiteTemplates())[siteOrigin(url)] || {});
+  if (!templates.length || !fields.length) return null;
+
+  const signature = await formSignature(fields);
+  const exact = templates.find(t => t.signature === signature);
+  if (exact) return { template: exact, exact: true };
+
+  const keys = fields.map(siteFieldKey);
+  let best = null, bestKnown = 0;
+  for (const t of templates) {
+    const known = new Set(t.fieldKeys);
+    const count = keys.filter(k => known.has(k)).length;
+    if (count > bestKnown) { best = t; bestKnown = count; }
+  }
+  return best && bestKnown / keys.length >= MIN_TEMPLATE_OVERLAP ? { template: best, exact: false } : null;
+}
+
+// Stored answers retargeted to the current page's selectors, plus the fields the
+// template has never seen (to be sent to the model).
+function replaySiteTemplate(template, fields) {
+  const byKey = new Map(template.mappings.map(m => [m.key, m]));
+  const known = new Set(template.fieldKeys);
+  const saved = new Date(template.updatedAt).toLocaleDateString();
+
+  const mappings = [];
+  const newFields = [];
+  for (const field of fields) {
+    const key = siteFieldKey(field);
+    const m = byKey.get(key);
+    if (m) {
+      mappings.push({
+        selector: field.selector,
+        kind: m.kind,
+        value: m.value,
+        confidence: 1,
+        source: `Remembered from your fill on ${saved}`
+      });
+    } else if (!known.has(key)) {
+      newFields.push(field);
+    }
+  }
+  return { mappings, newFields };
+}
+
+// Whether an answer may be kept in plain text: not for a sensitive field, and not when
+// it carries a value the vault redacted (restored or still a token).
+function isRememberable(field, mapping, vault) {
+  if (field.policy === "confirm" || field.policy === "block") return false;
+  const value = String(mapping.value ?? "");
+  if (!vault) return true;
+  if (findRedactionTokens(value, vault).length) return false;
+  return !Array.from(vault.byToken.values()).some(secret => secret && value.includes(secret));
+}
+
+// Remember the approved mappings for this page's form.
+// mappings use the page's selectors, as in APPLY_MAPPINGS; vault is the fill's redaction
+// vault (redact.js), whose values are left out.
+async function saveSiteTemplate({ url, title }, fields, mappings, vault = null) {
+  const origin = siteOrigin(url);
+  const signature = await formSignature(fields);
+  const bySelector = new Map(fields.map(f => [f.selector, f]));
+  // Fields whose answer is left out count as unknown, so the next fill asks for them.
+  const withheld = new Set(mappings
+    .filter(m => bySelector.has(m.selector) && !isRememberable(bySelector.get(m.selector), m, vault))
+    .map(m => m.selector));
+
+  const templates = await getSiteTemplates();
+  templates[origin] = templates[origin] || {};
+  templates[origin][signature] = {
+    origin,
+    signature,
+    title: title || "",
+    url,
+    fieldKeys: fields.filter(f => !withheld.has(f.selector)).map(siteFieldKey),
+    mappings: mappings
+      .filter(m => bySelector.has(m.selector) && !withheld.has(m.selector))
+      .map(m => {
+        const f = bySelector.get(m.selector);
+        return {
+          key: siteFieldKey(f),
+          label: f.label || f.placeholder || f.name || f.id || splitFramePrefix(f.selector).selector,
+          kind: m.kind || "",
+          value: m.value
+        };
+      }),
+    updatedAt: new Date().toISOString()
+  };
+  await setSiteTemplates(templates);
+  return templates[origin][signature];
+}
+
+// Replace a stored template (edited on the templates page).
+async function updateSiteTemplate(template) {
+  const templates = await getSiteTemplates();
+  if (!templates[template.origin]?.[template.signature]) throw new Error("Template not found.");
+  templates[template.origin][template.signature] = { ...template, updatedAt: new Date().toISOString() };
+  await setSiteTemplates(templates);
+}
+
+async function deleteSiteTemplate(origin, signature) {
+  const templates = await getSiteTemplates();
+  if (!templates[origin]) return;
+  delete templates[origin][signature];
+  if (!Object.keys(templates[origin]).length) delete templates[origin];
+  await setSiteTemplates(templates);
+}
+
+// Column maps for batch fills (batch.js), in chrome.storage.local under "batchColumns":
+//   { [origin]: { [signature]: { [header]: fieldKey } } }
+// A header mapped to "" was reviewed and left unused. Headers from every sheet used on
+// a form are kept, so a new sheet only needs its new columns mapped.
+
+async function findBatchColumns(url, fields) {
+  const { batchColumns } = await chrome.storage.local.get(["batchColumns"]);
+  return batchColumns?.[siteOrigin(url)]?.[await formSignature(fields)] || {};
+}
+
+async function saveBatchColumns(url, fields, columns) {
+  const origin = siteOrigin(url);
+  const signature = await formSignature(fields);
+  const { batchColumns = {} } = await chrome.storage.local.get(["batchColumns"]);
+  batchColumns[origin] = batchColumns[origin] || {};
+  batchColumns[origin][signature] = { ...batchColumns[origin][signature], ...columns };
+  await chrome.storage.local.set({ batchColumns });
+}
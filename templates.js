@@ -0,0 +1,110 @@
+// Saved site fills page: lists the templates from sites.js by origin.
+// Values can be edited or removed per field; a whole form or everything can be deleted.
+
+const $ = (id) => document.getElementById(id);
+
+function setStatus(msg) {
+  $("status").textContent = msg;
+}
+
+// One card per stored form: editable values, with Save / Delete.
+function renderTemplate(template) {
+  const card = document.createElement("div");
+  card.className = "template";
+
+  const title = document.createElement("div");
+  title.textContent = template.title || template.url;
+
+  const meta = document.createElement("div");
+  meta.className = "template-meta";
+  meta.textContent = `${template.url} · ${template.fieldKeys.length} fields, ${template.mappings.length} saved values · ` +
+    `updated ${new Date(template.updatedAt).toLocaleString()}`;
+
+  // Rows edit a copy; nothing is stored until Save.
+  let mappings = template.mappings.map(m => ({ ...m }));
+
+  const table = document.createElement("table");
+  const renderRows = () => {
+    table.textContent = "";
+    const head = table.insertRow();
+    for (const text of ["Field", "Kind", "Value", ""]) {
+      const th = document.createElement("th");
+      th.textContent = text;
+      head.appendChild(th);
+    }
+
+    for (const m of mappings) {
+      const row = table.insertRow();
+      row.insertCell().textContent = m.label;
+      row.insertCell().textContent = m.kind || "text";
+
+      const value = document.createElement("input");
+      value.type = "text";
+      value.value = String(m.value ?? "");
+      value.addEventListener("input", () => { m.value = value.value; });
+      row.insertCell().appendChild(value);
+
+      // Removing a value keeps the field known, so it is not asked again either.
+      const remove = document.createElement("button");
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => {
+        mappings = mappings.filter(x => x !== m);
+        renderRows();
+      });
+      row.insertCell().appendChild(remove);
+    }
+  };
+  renderRows();
+
+  const save = document.createElement("button");
+  save.textContent = "Save";
+  save.addEventListener("click", async () => {
+    try {
+      await updateSiteTemplate({ ...template, mappings });
+      setStatus(`Saved "${template.title || template.url}".`);
+      await renderAll();
+    } catch (e) {
+      setStatus(String(e.message || e));
+    }
+  });
+
+  const del = document.createElement("button");
+  del.textContent = "Delete";
+  del.addEventListener("click", async () => {
+    if (!confirm(`Delete the saved fill for "${template.title || template.url}"?`)) return;
+    await deleteSiteTemplate(template.origin, template.signature);
+    setStatus("Deleted.");
+    await renderAll();
+  });
+
+  card.append(title, meta, table, save, del);
+  return card;
+}
+
+async function renderAll() {
+  const templates = await getSiteTemplates();
+  const list = $("templates");
+  list.textContent = "";
+
+  const origins = Object.keys(templates).sort((a, b) => a.localeCompare(b));
+  if (!origins.length) list.textContent = "No saved fills yet.";
+
+  for (const origin of origins) {
+    const heading = document.createElement("div");
+    heading.className = "origin";
+    heading.textContent = origin;
+    list.appendChild(heading);
+
+    const forms = Object.values(templates[origin]).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    for (const template of forms) list.appendChild(renderTemplate(template));
+  }
+}
+
+$("deleteAll").addEventListener("click", async () => {
+  if (!confirm("Delete all saved site fills?")) return;
+  await setSiteTemplates({});
+  setStatus("Deleted all saved fills.");
+  await renderAll();
+});
+
+renderAll();
@@ -0,0 +1,209 @@
+// APPLY_MAPPINGS and UNDO_FILL on the fixture forms: what gets written, what is skipped
+// and why, and what the page looks like afterwards.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture, plain } = require("./harness");
+
+const CONTACT_FORM = `<!doctype html>
+<form>
+  <label>Name <input id="name" /></label>
+  <label>Account <input id="account" /></label>
+  <label><input type="checkbox" id="terms" checked /> Send me offers</label>
+  <label>CV <input type="file" id="cv" /></label>
+</form>`;
+
+async function withPage(html, run) {
+  const page = loadPage(html);
+  try {
+    await run(page);
+  } finally {
+    page.close();
+  }
+}
+
+async function apply(page, mappings) {
+  return plain(await page.send({ type: "APPLY_MAPPINGS", mappings }));
+}
+
+const resultFor = (res, selector) => res.results.find(r => r.selector === selector);
+
+test("text inputs are typed into, with the events a user would fire", async () => {
+  await withPage(CONTACT_FORM, async (page) => {
+    const name = page.document.getElementById("name");
+    const events = [];
+    for (const type of ["focus", "input", "change", "blur"]) name.addEventListener(type, () => events.push(type));
+
+    const res = await apply(page, [{ selector: "#name", kind: "text", value: "Ada Lovelace" }]);
+
+    assert.equal(res.updated, 1);
+    assert.equal(name.value, "Ada Lovelace");
+    assert.ok(events.includes("input") && events.includes("change"));
+    assert.deepEqual(resultFor(res, "#name"), { selector: "#name", status: "updated", matched: "selector", before: "", after: "Ada Lovelace" });
+  });
+});
+
+test("checkboxes take truthy and falsy strings", async () => {
+  await withPage(CONTACT_FORM, async (page) => {
+    const terms = page.document.getElementById("terms");
+    let res = await apply(page, [{ selector: "#terms", kind: "checkbox", value: "false" }]);
+    assert.equal(res.updated, 1);
+    assert.equal(terms.checked, false);
+
+    res = await apply(page, [{ selector: "#terms", kind: "checkbox", value: "yes" }]);
+    assert.equal(res.updated, 1);
+    assert.equal(terms.checked, true);
+  });
+});
+
+test("radios are picked by value or by label", async () => {
+  await withPage(readFixture("radio-groups.html"), async (page) => {
+    const res = await apply(page, [
+      { selector: 'input[name="contract"][value="ft"]', kind: "radio", value: "Part-time" },
+      { selector: "#relocate-yes", kind: "radio", value: "no" }
+    ]);
+
+    assert.equal(res.updated, 2);
+    const checked = (name) => page.document.querySelector(`input[name="${name}"]:checked`)?.value;
+    assert.equal(checked("contract"), "pt");
+    assert.equal(checked("relocate"), "no");
+    assert.equal(resultFor(res, 'input[name="contract"][value="ft"]').before, "Freelance");
+  });
+});
+
+test("a value that matches no radio or option is skipped and the field left alone", async () => {
+  await withPage(readFixture("radio-groups.html"), async (page) => {
+    const res = await apply(page, [{ selector: 'input[name="contract"][value="ft"]', kind: "radio", value: "maybe" }]);
+
+    assert.deepEqual([res.updated, res.skipped], [0, 1]);
+    assert.equal(res.results[0].reason, "no_matching_option");
+    assert.equal(page.document.querySelector('input[name="contract"]:checked').value, "fl");
+  });
+});
+
+test("selects match options by text or value; multi-selects take a JSON array", async () => {
+  await withPage(readFixture("multi-select.html"), async (page) => {
+    const res = await apply(page, [
+      { selector: "#country", kind: "select", value: "Germany" },
+      { selector: "#languages", kind: "multi_select", value: '["en", "Japanese"]' },
+      { selector: "#start", kind: "select", value: "in one month" }
+    ]);
+
+    assert.equal(res.updated, 3);
+    const doc = page.document;
+    assert.equal(doc.getElementById("country").value, "de");
+    assert.deepEqual(Array.from(doc.getElementById("languages").selectedOptions, o => o.value), ["en", "ja"]);
+    assert.equal(doc.getElementById("start").value, "In one month");
+    assert.equal(resultFor(res, "#languages").after, "English, Japanese");
+  });
+});
+
+test("near misses pick an option only on long lists, and only when one option fits", async () => {
+  const others = Array.from({ length: 40 }, (_, i) => `<option>Country ${i}</option>`).join("");
+  await withPage(`<!doctype html>
+<form>
+  <select id="short"><option value="">-</option><option>Yes</option><option>None/Not applicable</option></select>
+  <select id="long"><option value="">-</option><option>Austria</option><option>Australia</option><option>New Zealand</option>${others}</select>
+  <select id="long2"><option value="">-</option><option>Austria</option><option>Australia</option>${others}</select>
+</form>`, async (page) => {
+    const res = await apply(page, [
+      { selector: "#short", kind: "select", value: "No" },
+      { selector: "#long", kind: "select", value: "New Zeal" },
+      { selector: "#long2", kind: "select", value: "Austr" }
+    ]);
+
+    assert.equal(resultFor(res, "#short").reason, "no_matching_option");
+    assert.equal(page.document.getElementById("long").value, "New Zealand");
+    assert.equal(resultFor(res, "#long2").reason, "no_matching_option");
+    assert.equal(page.document.getElementById("long2").value, "");
+  });
+});
+
+test("required fields left empty are outlined only when the fill could have written them", async () => {
+  await withPage(`<!doctype html>
+<form>
+  <label>Name <input id="name" required /></label>
+  <label>City <input id="city" required /></label>
+  <label>Password <input type="password" id="password" required /></label>
+</form>`, async (page) => {
+    await apply(page, [{ selector: "#name", kind: "text", value: "Ada" }]);
+
+    const outline = (id) => page.document.getElementById(id).style.outline;
+    assert.match(outline("city"), /dc2626|220, 38, 38/);
+    // The policy blocks passwords: the fill report leaves them to the user, so do the outlines.
+    assert.equal(outline("password"), "");
+  });
+});
+
+test("required fields the user left out are not reported for correction", async () => {
+  await withPage(`<!doctype html>
+<form>
+  <label>Name <input id="name" required /></label>
+  <label>IBAN <input id="iban" required /></label>
+  <label>City <input id="city" required /></label>
+</form>`, async (page) => {
+    const res = plain(await page.send({
+      type: "APPLY_MAPPINGS",
+      mappings: [{ selector: "#name", kind: "text", value: "Ada" }],
+      leave: ["#iban"]
+    }));
+
+    assert.deepEqual(res.invalid.map(f => f.selector), ["#city"]);
+  });
+});
+
+test("file inputs and missing fields are skipped with a reason", async () => {
+  await withPage(CONTACT_FORM, async (page) => {
+    const res = await apply(page, [
+      { selector: "#cv", kind: "text", value: "cv.pdf" },
+      { selector: "#nowhere", kind: "text", value: "x" }
+    ]);
+
+    assert.deepEqual([res.updated, res.rejected, res.skipped], [0, 0, 2]);
+    assert.equal(resultFor(res, "#cv").reason, "file_input");
+    assert.equal(resultFor(res, "#nowhere").reason, "not_found");
+    assert.equal(res.lost, 1);
+  });
+});
+
+test("a value the page puts back is rejected", async () => {
+  await withPage(CONTACT_FORM, async (page) => {
+    // A controlled input that only ever shows its own state.
+    const account = page.document.getElementById("account");
+    account.addEventListener("input", () => { account.value = "locked"; });
+
+    const res = await apply(page, [{ selector: "#account", kind: "text", value: "FR76 3000" }]);
+
+    assert.deepEqual([res.updated, res.rejected], [0, 1]);
+    assert.equal(res.results[0].reason, "reverted");
+    assert.equal(res.results[0].after, "locked");
+  });
+});
+
+test("UNDO_FILL puts back the values from before the fill", async () => {
+  await withPage(readFixture("multi-select.html"), async (page) => {
+    const doc = page.document;
+    await apply(page, [
+      { selector: "#country", kind: "select", value: "fr" },
+      { selector: "#languages", kind: "multi_select", value: ["de"] }
+    ]);
+    assert.equal(doc.getElementById("country").value, "fr");
+
+    const res = plain(await page.send({ type: "UNDO_FILL" }));
+
+    assert.equal(res.restored, 2);
+    assert.equal(doc.getElementById("country").value, "");
+    assert.equal(doc.getElementById("languages").selectedOptions.length, 0);
+  });
+});
+
+test("UNDO_FILL does not reach past a fill that changed nothing", async () => {
+  await withPage(readFixture("multi-select.html"), async (page) => {
+    await apply(page, [{ selector: "#country", kind: "select", value: "fr" }]);
+    const res = await apply(page, [{ selector: "#nowhere", kind: "text", value: "x" }]);
+    assert.equal(res.updated, 0);
+
+    assert.match(plain(await page.send({ type: "UNDO_FILL" })).error, /Nothing to undo/);
+    assert.equal(page.document.getElementById("country").value, "fr");
+  });
+});
@@ -0,0 +1,102 @@
+// Extraction -> mapping -> apply, the way the popup drives a fill: the worker extracts
+// through the content script, asks the mock model, and writes the answer into the page.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, loadWorker, connect, fakeChrome, readFixture, plain } = require("./harness");
+const { startMockModel } = require("./mockserver");
+
+let mock;
+test.before(async () => { mock = await startMockModel(); });
+test.after(() => mock.close());
+
+async function withTab(fixture, run) {
+  const chrome = fakeChrome({
+    local: { provider: { id: "openai", baseUrl: mock.baseUrl, model: "gpt-4o-mini" } },
+    session: { apiKey: "sk-test" }
+  });
+  const worker = loadWorker({ chrome });
+  const page = loadPage(readFixture(fixture), { url: "https://jobs.test/apply" });
+  connect(worker, page);
+  try {
+    await run({ worker, page });
+  } finally {
+    page.close();
+  }
+}
+
+// The popup's Analyze and Fill, without the review step.
+async function fill(worker, docText) {
+  const fields = plain(await worker.get("extractFieldsFromAllFrames")(1));
+  const mapped = plain(await worker.send({
+    type: "OPENAI_MAP_FIELDS",
+    tabId: 1,
+    payload: { pageUrl: "https://jobs.test/apply", fields, docText }
+  }));
+  if (mapped.error) return { fields, mapped };
+  const result = plain(await worker.get("applyMappingsToFrames")(1, mapped.mappings));
+  return { fields, mapped, result };
+}
+
+test("a CV fills the application form", async () => {
+  await withTab("nested-forms.html", async ({ worker, page }) => {
+    mock.reply({
+      mappings: [
+        { selector: "#name", kind: "text", value: "Ada Lovelace", confidence: 0.95, source: "CV header" },
+        { selector: "#email", kind: "text", value: "ada@example.com", confidence: 0.95, source: "CV header" },
+        { selector: 'input[name="years"]', kind: "text", value: "12", confidence: 0.8, source: "Experience" },
+        { selector: 'input[name="remote"]:nth-of-type(1)', kind: "checkbox", value: "true", confidence: 0.6, source: "Summary" },
+        { selector: "#phone", kind: "text", value: "555 0100", confidence: 0.9, source: "CV header" }
+      ]
+    });
+
+    const { fields, result } = await fill(worker, "Ada Lovelace, ada@example.com, 12 years, happy to work remotely");
+
+    assert.equal(fields.length, 4);
+    // Only the fields from the page reach the model.
+    const sent = JSON.stringify(mock.requests.at(-1).body.input);
+    assert.match(sent, /Years of experience/);
+    assert.doesNotMatch(sent, /Newsletter email/);
+
+    assert.deepEqual([result.updated, result.rejected, result.skipped], [4, 0, 1]);
+    assert.equal(result.results.find(r => r.selector === "#phone").reason, "not_found");
+
+    const doc = page.document;
+    assert.equal(doc.getElementById("name").value, "Ada Lovelace");
+    assert.equal(doc.getElementById("email").value, "ada@example.com");
+    assert.equal(doc.querySelector('input[name="years"]').value, "12");
+    assert.equal(doc.querySelector('input[name="remote"]').checked, true);
+    // The newsletter form is not part of the application.
+    assert.equal(doc.querySelector("#newsletter input").value, "");
+  });
+});
+
+test("radios are picked from the model's answer; unknown choices are skipped", async () => {
+  await withTab("radio-groups.html", async ({ worker, page }) => {
+    mock.reply({
+      mappings: [
+        { selector: 'input[name="contract"][value="ft"]', kind: "radio", value: "Full-time", confidence: 0.9, source: "" },
+        { selector: "#relocate-yes", kind: "radio", value: "perhaps", confidence: 0.9, source: "" }
+      ]
+    });
+
+    const { result } = await fill(worker, "Looking for a full-time role.");
+
+    assert.deepEqual([result.updated, result.skipped], [1, 1]);
+    assert.equal(result.results[1].reason, "no_matching_option");
+    assert.equal(page.document.querySelector('input[name="contract"]:checked').value, "ft");
+    assert.equal(page.document.querySelector('input[name="relocate"]:checked'), null);
+  });
+});
+
+test("an API error reaches the popup and leaves the page untouched", async () => {
+  await withTab("nested-forms.html", async ({ worker, page }) => {
+    mock.replyError(401, { error: { message: "Incorrect API key provided.", type: "invalid_request_error" } });
+
+    const { mapped, result } = await fill(worker, "Ada Lovelace");
+
+    assert.match(mapped.error, /error 401: .*Incorrect API key/);
+    assert.equal(result, undefined);
+    assert.equal(page.document.getElementById("name").value, "");
+  });
+});
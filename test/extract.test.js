@@ -0,0 +1,93 @@
+// EXTRACT_FORM_FIELDS on the fixture forms: what the content script reports for each field.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture, fakeChrome, plain } = require("./harness");
+
+async function extract(fixture, options) {
+  const page = loadPage(readFixture(fixture), options);
+  try {
+    const res = await page.send({ type: "EXTRACT_FORM_FIELDS", probe: false });
+    return plain(res.fields);
+  } finally {
+    page.close();
+  }
+}
+
+const byName = (fields, name) => fields.filter(f => f.name === name);
+
+test("radio groups: one field per radio, with its group and label", async () => {
+  const fields = await extract("radio-groups.html");
+  assert.equal(fields.length, 7);
+
+  const contract = byName(fields, "contract");
+  assert.deepEqual(contract.map(f => f.label), ["Full-time", "Part-time", "Freelance"]);
+  assert.deepEqual(contract.map(f => f.checked), [false, false, true]);
+  assert.deepEqual(contract[0].radio_group, [
+    { value: "ft", label: "Full-time" },
+    { value: "pt", label: "Part-time" },
+    { value: "fl", label: "Freelance" }
+  ]);
+
+  // Labels with for= name the radio they point at.
+  assert.deepEqual(byName(fields, "relocate").map(f => f.label), ["Yes", "No"]);
+  assert.equal(byName(fields, "shift").length, 2);
+  assert.ok(fields.every(f => f.type === "radio"));
+});
+
+test("selects: options with value and text, multiple flagged", async () => {
+  const fields = await extract("multi-select.html");
+  assert.deepEqual(fields.map(f => f.label), ["Country", "Languages", "Start"]);
+
+  const [country, languages, start] = fields;
+  assert.equal(country.multiple, false);
+  assert.deepEqual(country.options[1], { value: "fr", text: "France" });
+  assert.equal(languages.multiple, true);
+  assert.deepEqual(languages.options.map(o => o.value), ["en", "fr", "de", "ja"]);
+  // Options without a value attribute take their text as value.
+  assert.deepEqual(start.options, [
+    { value: "Immediately", text: "Immediately" },
+    { value: "In one month", text: "In one month" }
+  ]);
+});
+
+test("label-less inputs: placeholder, aria-label and aria-labelledby", async () => {
+  const fields = await extract("labelless.html");
+
+  const fname = fields.find(f => f.name === "fname");
+  assert.equal(fname.placeholder, "First name");
+  assert.equal(fields.find(f => f.type === "email").label, "Work email");
+  assert.equal(fields.find(f => f.type === "tel").label, "Mobile phone");
+  assert.equal(fields.find(f => f.tag === "textarea").placeholder, "Anything else?");
+  assert.ok(fields.some(f => f.name === "zip_code"));
+});
+
+test("hidden and submit inputs are left out", async () => {
+  const fields = await extract("labelless.html");
+  assert.ok(!fields.some(f => f.name === "csrf"));
+  assert.ok(!fields.some(f => f.type === "submit"));
+});
+
+test("nested forms: inner fields belong to the outer form, the other form is left out", async () => {
+  const fields = await extract("nested-forms.html");
+  assert.deepEqual(fields.map(f => f.name), ["name", "email", "years", "remote"]);
+
+  const years = fields.find(f => f.name === "years");
+  assert.equal(years.label, "Years of experience");
+  assert.equal(years.type, "number");
+  assert.equal(fields.find(f => f.name === "remote").label, "Open to remote work");
+});
+
+test("nested forms: every form is extracted when unrelated fields are kept", async () => {
+  const fields = await extract("nested-forms.html", { chrome: fakeChrome({ local: { skipUnrelatedFields: false } }) });
+  assert.deepEqual(fields.map(f => f.name), ["name", "email", "years", "remote", "email"]);
+  assert.equal(fields[4].label, "Newsletter email");
+});
+
+test("duplicate names and ids: every copy is its own field", async () => {
+  const fields = await extract("duplicate-names.html", { chrome: fakeChrome({ local: { skipUnrelatedFields: false } }) });
+  assert.equal(fields.length, 7);
+  assert.equal(byName(fields, "street").length, 2);
+  assert.equal(byName(fields, "city").length, 2);
+  assert.deepEqual(byName(fields, "ref[]").map(f => f.label), ["Reference", "Reference", "Reference"]);
+});
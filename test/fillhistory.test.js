@@ -0,0 +1,27 @@
+// Fill history export (fillhistory.js).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./harness");
+
+const ENTRY = {
+  id: "1", at: "2026-01-05T10:00:00.000Z", url: "https://jobs.test/apply", title: "Apply",
+  mode: "review", source: "cv.pdf", provider: "OpenAI", model: "gpt-4o-mini",
+  counts: { updated: 3, rejected: 0, skipped: 0 },
+  fields: [
+    { selector: "#name", label: "Full name", kind: "text", status: "updated", reason: "", value: "Ada, \"the\" Countess", before: "", after: "Ada, \"the\" Countess", confidence: 0.9 },
+    { selector: "#city", label: "=cmd|' /C calc'!A0", kind: "text", status: "updated", reason: "", value: "+1+1", before: "-2", after: "@SUM(A1)", confidence: 0.5 },
+    { selector: "#note", label: "Note", kind: "text", status: "updated", reason: "", value: "\t=1", before: "\r=2", after: "a=b", confidence: null }
+  ]
+};
+
+test("CSV cells are quoted, and formulas are kept as text", () => {
+  const scripts = loadScripts(["fillhistory.js"]);
+  const lines = scripts.get("historyToCsv")([ENTRY]).split("\r\n");
+
+  assert.equal(lines.length, 4);
+  assert.match(lines[1], /,"Ada, ""the"" Countess",,"Ada, ""the"" Countess",0\.9,$/);
+  assert.match(lines[2], /,'=cmd\|' \/C calc'!A0,#city,/);
+  assert.match(lines[2], /,'\+1\+1,'-2,'@SUM\(A1\),0\.5,$/);
+  assert.match(lines[3], /,'\t=1,"'\r=2",a=b,,$/);
+});
@@ -0,0 +1,231 @@
+// Test harness: runs the extension's scripts outside Chrome, the way Chrome loads them.
+// - loadPage(html, { url, chrome }): a jsdom window with the content scripts listed in
+//   manifest.json; page.send(msg) is chrome.tabs.sendMessage to that page.
+// - loadWorker({ chrome }): a Node vm context running background.js, whose
+//   importScripts loads the other worker scripts; worker.send(msg) is
+//   chrome.runtime.sendMessage from the popup.
+// - loadScripts(files): only the given scripts, for unit tests of one module.
+// - connect(worker, page, { tabId }): routes messages between the two, as the browser
+//   does for one tab with a single frame, and gives them the same extension storage.
+// - openPort(worker, name): chrome.runtime.connect from the popup to the worker.
+// chrome.* is a small in-memory fake (fakeChrome).
+// Objects coming out of a page or worker belong to its own realm; compare them with
+// assert.deepEqual after plain().
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), "utf8");
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+// A copy made of this realm's objects and arrays.
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function fakeEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (f) => listeners.push(f),
+    removeListener: (f) => listeners.splice(listeners.indexOf(f) >>> 0, 1),
+    hasListener: (f) => listeners.includes(f)
+  };
+}
+
+// chrome.storage.local / session: get(keys), set(items), remove(keys), as copies.
+function fakeStorageArea(initial = {}) {
+  const data = structuredClone(initial);
+  const keysOf = (keys) => keys == null ? Object.keys(data) : [].concat(keys);
+  return {
+    data,
+    get: async (keys) => structuredClone(Object.fromEntries(keysOf(keys).filter(k => k in data).map(k => [k, data[k]]))),
+    set: async (items) => { Object.assign(data, structuredClone(items)); },
+    remove: async (keys) => { for (const k of keysOf(keys)) delete data[k]; },
+    clear: async () => { for (const k of Object.keys(data)) delete data[k]; }
+  };
+}
+
+// Any chrome.<api>.on<Event> not listed is created on first use, so scripts can add
+// listeners to events the tests don't drive.
+function fakeChrome({ local = {}, session = {} } = {}) {
+  const events = () => new Proxy({}, {
+    get: (target, key) => (target[key] ??= typeof key === "string" && key.startsWith("on") ? fakeEvent() : undefined)
+  });
+  const chrome = {
+    storage: { local: fakeStorageArea(local), session: fakeStorageArea(session), onChanged: fakeEvent() },
+    runtime: Object.assign(events(), {
+      id: "test",
+      getURL: (p) => `chrome-extension://test/${p}`,
+      sendMessage: async () => undefined,
+      getPlatformInfo: async () => ({ os: "linux", arch: "x86-64" })
+    }),
+    tabs: Object.assign(events(), {
+      get: async (tabId) => ({ id: tabId, url: "about:blank", title: "" }),
+      sendMessage: async () => { throw new Error("Could not establish connection. Receiving end does not exist."); },
+      query: async () => []
+    }),
+    webNavigation: Object.assign(events(), { getAllFrames: async () => [{ frameId: 0 }] }),
+    permissions: Object.assign(events(), { contains: async () => true, request: async () => true }),
+    contextMenus: Object.assign(events(), { create: () => {}, removeAll: async () => {} }),
+    commands: events()
+  };
+  return chrome;
+}
+
+// Deliver a message to onMessage listeners; resolves with the first sendResponse.
+function dispatchMessage(event, msg, sender) {
+  return new Promise((resolve) => {
+    let async = false;
+    for (const listener of event.listeners) {
+      async = listener(msg, sender, resolve) === true || async;
+    }
+    if (!async) resolve(undefined);
+  });
+}
+
+// jsdom has no layout: elements count as rendered unless they or an ancestor are hidden.
+function fakeLayout(window) {
+  window.HTMLElement.prototype.getClientRects = function () {
+    for (let n = this; n; n = n.parentElement) {
+      if (n.hidden || window.getComputedStyle(n).display === "none") return [];
+    }
+    return [{ width: 1, height: 1 }];
+  };
+  const proto = window.HTMLElement.prototype;
+  if (!("innerText" in proto)) {
+    Object.defineProperty(proto, "innerText", {
+      get() { return this.textContent; },
+      set(v) { this.textContent = v; }
+    });
+  }
+  Object.defineProperty(proto, "isContentEditable", {
+    get() {
+      const host = this.closest("[contenteditable]");
+      return !!host && host.getAttribute("contenteditable") !== "false";
+    }
+  });
+  window.document.execCommand = () => false;
+  window.CSS ??= {};
+  window.CSS.escape ??= (s) => String(s).replace(/([^a-zA-Z0-9_-])/g, "\\$1");
+}
+
+function contentScriptFiles() {
+  const manifest = JSON.parse(readSource("manifest.json"));
+  return manifest.content_scripts[0].js;
+}
+
+// A page with the content scripts loaded. All scripts are evaluated together, since in
+// Chrome they share one scope.
+function loadPage(html, { url = "https://forms.test/apply", chrome = fakeChrome() } = {}) {
+  const dom = new JSDOM(html, { url, runScripts: "outside-only", pretendToBeVisual: true });
+  const { window } = dom;
+  fakeLayout(window);
+  window.chrome = chrome;
+  window.eval(contentScriptFiles().map(readSource).join("\n;\n"));
+  return {
+    window,
+    document: window.document,
+    chrome,
+    send: (msg) => dispatchMessage(chrome.runtime.onMessage, msg, { id: "test" }),
+    close: () => window.close()
+  };
+}
+
+// A vm context with Node's fetch, timers and crypto, where the given scripts share one
+// global scope like classic scripts do.
+function createContext(chrome) {
+  const context = vm.createContext({
+    chrome,
+    console,
+    fetch,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    AbortSignal,
+    Blob,
+    atob,
+    btoa,
+    structuredClone,
+    crypto: globalThis.crypto,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval
+  });
+  context.self = context;
+  context.importScripts = (...files) => {
+    for (const file of files) vm.runInContext(readSource(file), context, { filename: file });
+  };
+  return context;
+}
+
+function wrapContext(context, chrome) {
+  return {
+    context,
+    chrome,
+    // A global of the loaded scripts: function, class or const.
+    get: (name) => vm.runInContext(name, context),
+    send: (msg, sender = {}) => dispatchMessage(chrome.runtime.onMessage, msg, sender)
+  };
+}
+
+function loadScripts(files, { chrome = fakeChrome() } = {}) {
+  const context = createContext(chrome);
+  context.importScripts(...files);
+  return wrapContext(context, chrome);
+}
+
+function loadWorker({ chrome = fakeChrome() } = {}) {
+  return loadScripts(["background.js"], { chrome });
+}
+
+// One tab with a single frame: the worker reaches the page through chrome.tabs, and the
+// page reaches the worker through chrome.runtime.
+function connect(worker, page, { tabId = 1, title = "Test form" } = {}) {
+  const url = page.window.location.href;
+  page.chrome.storage = worker.chrome.storage;
+  worker.chrome.tabs.get = async (id) => ({ id, url, title });
+  worker.chrome.tabs.sendMessage = async (id, msg, { frameId = 0 } = {}) => {
+    if (id !== tabId || frameId !== 0) throw new Error("Could not establish connection. Receiving end does not exist.");
+    return page.send(msg);
+  };
+  page.chrome.runtime.sendMessage = (msg) => worker.send(msg, { tab: { id: tabId, url }, frameId: 0 });
+}
+
+// The popup's end of a port whose other end goes to the worker's onConnect listeners.
+// Messages arrive asynchronously, as copies; disconnect() fires onDisconnect on the other end.
+function openPort(worker, name) {
+  const popupEnd = { name, onMessage: fakeEvent(), onDisconnect: fakeEvent() };
+  const workerEnd = { name, onMessage: fakeEvent(), onDisconnect: fakeEvent() };
+  let open = true;
+  const link = (from, to) => {
+    from.postMessage = (msg) => {
+      if (!open) throw new Error("Attempting to use a disconnected port object");
+      const copy = structuredClone(msg);
+      setTimeout(() => { if (open) for (const f of to.onMessage.listeners) f(copy, to); });
+    };
+    from.disconnect = () => {
+      if (!open) return;
+      open = false;
+      for (const f of to.onDisconnect.listeners) f(to);
+    };
+  };
+  link(popupEnd, workerEnd);
+  link(workerEnd, popupEnd);
+  for (const f of worker.chrome.runtime.onConnect.listeners) f(workerEnd);
+  return popupEnd;
+}
+
+module.exports = { fakeChrome, loadPage, loadScripts, loadWorker, connect, openPort, readFixture, plain };
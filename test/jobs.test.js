@@ -0,0 +1,225 @@
+// Mapping requests that fail, hang or get cancelled: retries with backoff, timeouts, and
+// mapping jobs (jobs.js) followed over a port, cancelled and picked up again.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, loadWorker, openPort, fakeChrome, plain } = require("./harness");
+const { startMockModel } = require("./mockserver");
+
+const FIELDS = [{ selector: "#name", tag: "input", type: "text", name: "name", id: "name", label: "Full name" }];
+const PAYLOAD = { pageUrl: "https://jobs.test/apply", fields: FIELDS, docText: "Ada Lovelace" };
+const ANSWER = { mappings: [{ selector: "#name", kind: "text", value: "Ada Lovelace", confidence: 0.9, source: "CV" }] };
+const RATE_LIMITED = { error: { message: "Rate limit reached", type: "rate_limit_exceeded" } };
+
+let mock;
+test.before(async () => { mock = await startMockModel(); });
+test.after(() => mock.close());
+
+function storage(requestSettings = {}, session = {}) {
+  return fakeChrome({
+    local: { provider: { id: "openai", baseUrl: mock.baseUrl, model: "gpt-4o-mini" }, requestSettings },
+    session: { apiKey: "sk-test", ...session }
+  });
+}
+
+function loadMapping(requestSettings) {
+  return loadScripts(["providers.js", "usage.js", "mapping.js", "profiles.js", "redact.js"], { chrome: storage(requestSettings) });
+}
+
+// Map PAYLOAD; resolves with { result } or { error }, and the progress messages.
+async function mapWithProgress(scripts, signal) {
+  const progress = [];
+  const options = { onProgress: (message) => progress.push(message), ...(signal && { signal }) };
+  try {
+    return { result: plain(await scripts.get("mapFieldsWithSelectedProvider")(PAYLOAD, options)), progress };
+  } catch (e) {
+    return { error: e, progress };
+  }
+}
+
+// Follow a job over the port until it ends: { job, updates }.
+function followJob(worker, jobId) {
+  return new Promise((resolve) => {
+    const updates = [];
+    const port = openPort(worker, "map-job");
+    port.onMessage.addListener(({ job }) => {
+      updates.push(job);
+      if (job?.state !== "running") {
+        port.disconnect();
+        resolve({ job, updates });
+      }
+    });
+    port.postMessage({ tabId: 1, jobId });
+  });
+}
+
+const sent = () => mock.requests.length;
+
+test("a rate-limited request is retried after the wait the provider asks for", async () => {
+  const scripts = loadMapping();
+  const before = sent();
+  mock.replyError(429, RATE_LIMITED, { headers: { "Retry-After": "1" } });
+  mock.reply(ANSWER);
+
+  const started = Date.now();
+  const { result, progress } = await mapWithProgress(scripts);
+
+  assert.deepEqual(result.mappings.map(m => m.value), ["Ada Lovelace"]);
+  assert.equal(sent() - before, 2);
+  assert.ok(Date.now() - started >= 1000);
+  assert.ok(progress.some(p => /answered 429 \(rate limited\)\. Retrying in 1 s \(1 of 3\)/.test(p)), progress.join("\n"));
+});
+
+test("server errors are retried until the retries run out", async () => {
+  const scripts = loadMapping({ retries: 1 });
+  const before = sent();
+  mock.replyError(503, { error: { message: "Overloaded" } });
+  mock.replyError(502, { error: { message: "Bad gateway" } });
+
+  const { error } = await mapWithProgress(scripts);
+
+  assert.match(error.message, /error 502: .*Bad gateway/);
+  assert.equal(sent() - before, 2);
+});
+
+test("client errors are not retried", async () => {
+  const scripts = loadMapping();
+  const before = sent();
+  mock.replyError(400, { error: { message: "Invalid schema" } });
+
+  const { error, progress } = await mapWithProgress(scripts);
+
+  assert.match(error.message, /error 400: .*Invalid schema/);
+  assert.equal(sent() - before, 1);
+  assert.ok(!progress.some(p => /Retrying/.test(p)));
+});
+
+test("a request that takes too long ends with a timeout error", async () => {
+  const scripts = loadMapping({ timeout: 0.3 });
+  mock.reply(ANSWER, { delay: 3000 });
+
+  const { error } = await mapWithProgress(scripts);
+
+  assert.match(error.message, /did not answer in time/);
+});
+
+test("an abort ends a retry wait at once", async () => {
+  const scripts = loadMapping();
+  mock.replyError(429, RATE_LIMITED, { headers: { "Retry-After": "20" } });
+  const controller = new AbortController();
+
+  const started = Date.now();
+  const pending = mapWithProgress(scripts, controller.signal);
+  setTimeout(() => controller.abort(new Error("Cancelled.")), 300);
+  const { error, progress } = await pending;
+
+  assert.equal(error.message, "Cancelled.");
+  assert.ok(Date.now() - started < 5000);
+  assert.ok(progress.some(p => /Retrying in 20 s/.test(p)));
+});
+
+test("a job streams its progress over the port and keeps its answer", async () => {
+  const worker = loadWorker({ chrome: storage() });
+  mock.replyError(500, { error: { message: "Try again" } });
+  mock.reply(ANSWER);
+
+  const { jobId } = plain(await worker.send({ type: "MAP_JOB_START", tabId: 1, payload: PAYLOAD, context: { note: "for the review" } }));
+  const { job, updates } = await followJob(worker, jobId);
+
+  assert.equal(job.state, "done");
+  assert.deepEqual(job.result.mappings.map(m => m.value), ["Ada Lovelace"]);
+  assert.ok(updates.some(u => u.state === "running" && /answered 500\. Retrying/.test(u.progress)), JSON.stringify(updates));
+  // The port never carries the context.
+  assert.ok(updates.every(u => !("context" in u)));
+
+  // A popup opened now gets the answer with its context, until it clears the job.
+  const status = plain(await worker.send({ type: "MAP_JOB_STATUS", tabId: 1 }));
+  assert.equal(status.job.id, jobId);
+  assert.equal(status.job.state, "done");
+  assert.deepEqual(status.job.context, { note: "for the review" });
+
+  assert.deepEqual(plain(await worker.send({ type: "MAP_JOB_CLEAR", tabId: 1 })), { cleared: true });
+  assert.deepEqual(plain(await worker.send({ type: "MAP_JOB_STATUS", tabId: 1 })), { job: null });
+});
+
+test("a running job can be reattached to and cancelled", async () => {
+  const worker = loadWorker({ chrome: storage() });
+  mock.reply(ANSWER, { delay: 10000 });
+
+  const { jobId } = plain(await worker.send({ type: "MAP_JOB_START", tabId: 1, payload: PAYLOAD }));
+  // One job per tab.
+  assert.match(plain(await worker.send({ type: "MAP_JOB_START", tabId: 1, payload: PAYLOAD })).error, /already running/);
+
+  const status = plain(await worker.send({ type: "MAP_JOB_STATUS", tabId: 1 }));
+  assert.equal(status.job.state, "running");
+
+  const following = followJob(worker, jobId);
+  assert.deepEqual(plain(await worker.send({ type: "MAP_JOB_CANCEL", tabId: 1 })), { cancelled: true });
+  const { job } = await following;
+
+  assert.equal(job.state, "cancelled");
+  assert.equal(plain(await worker.send({ type: "MAP_JOB_STATUS", tabId: 1 })).job.state, "cancelled");
+});
+
+test("a job gives up after its timeout", async () => {
+  const worker = loadWorker({ chrome: storage({ timeout: 0.3 }) });
+  mock.reply(ANSWER, { delay: 3000 });
+
+  const { jobId } = plain(await worker.send({ type: "MAP_JOB_START", tabId: 1, payload: PAYLOAD }));
+  const { job } = await followJob(worker, jobId);
+
+  assert.equal(job.state, "failed");
+  assert.match(job.error, /did not answer in time/);
+});
+
+test("a job left running by a stopped worker is reported as interrupted", async () => {
+  const stored = { id: "old", state: "running", startedAt: new Date().toISOString(), finishedAt: null, progress: "Waiting...", result: null, error: "", context: null };
+  const worker = loadWorker({ chrome: storage({}, { "mapJob:1": stored }) });
+
+  const { job } = plain(await worker.send({ type: "MAP_JOB_STATUS", tabId: 1 }));
+
+  assert.equal(job.state, "failed");
+  assert.match(job.error, /interrupted/);
+  assert.deepEqual(plain(await worker.send({ type: "MAP_JOB_CANCEL", tabId: 1 })), { cancelled: false });
+});
+
+test("a job whose end can't be stored is dropped, not left running", async () => {
+  const chrome = storage();
+  const worker = loadWorker({ chrome });
+  mock.reply(ANSWER, { delay: 300 });
+
+  const { jobId } = plain(await worker.send({ type: "MAP_JOB_START", tabId: 1, payload: PAYLOAD }));
+  const following = followJob(worker, jobId);
+  const set = chrome.storage.session.set;
+  chrome.storage.session.set = async () => { throw new Error("Session storage quota bytes exceeded"); };
+  const { job } = await following;
+  chrome.storage.session.set = set;
+
+  assert.equal(job.state, "failed");
+  assert.match(job.error, /could not be kept: Session storage quota/);
+  assert.deepEqual(plain(await worker.send({ type: "MAP_JOB_STATUS", tabId: 1 })), { job: null });
+  // The tab is free for the next fill.
+  mock.reply(ANSWER);
+  const next = plain(await worker.send({ type: "MAP_JOB_START", tabId: 1, payload: PAYLOAD }));
+  assert.equal((await followJob(worker, next.jobId)).job.state, "done");
+});
+
+test("a job that can't be stored at the start is not left running", async () => {
+  const chrome = storage();
+  const worker = loadWorker({ chrome });
+  const set = chrome.storage.session.set;
+  chrome.storage.session.set = async () => { throw new Error("Session storage quota bytes exceeded"); };
+  const before = sent();
+
+  const res = plain(await worker.send({ type: "MAP_JOB_START", tabId: 1, payload: PAYLOAD }));
+  chrome.storage.session.set = set;
+
+  assert.match(res.error, /quota bytes exceeded/);
+  assert.equal(sent(), before);
+  assert.equal(worker.get("runningMapJobs").size, 0);
+  assert.equal(worker.get("mapJobKeepalive"), null);
+
+  mock.reply(ANSWER);
+  const next = plain(await worker.send({ type: "MAP_JOB_START", tabId: 1, payload: PAYLOAD }));
+  assert.equal((await followJob(worker, next.jobId)).job.state, "done");
+});
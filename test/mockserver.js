@@ -0,0 +1,86 @@
+// Local stand-in for the model endpoints, so tests run offline:
+// - POST /v1/responses: OpenAI Responses API
+// - POST /v1/chat/completions: OpenAI-compatible Chat Completions
+// Each request takes the next canned reply from the queue (reply / replyError / replyRaw);
+// with the queue empty it answers 500. Every request body is kept in `requests`.
+// Replies can be held back ({ delay } in ms) and carry extra headers ({ headers }).
+
+const http = require("http");
+
+function responsesBody(text, usage) {
+  return {
+    id: "resp_test",
+    object: "response",
+    output: [{ type: "message", role: "assistant", content: [{ type: "output_text", text }] }],
+    usage: { input_tokens: usage.input, output_tokens: usage.output }
+  };
+}
+
+function chatBody(text, usage) {
+  return {
+    id: "chatcmpl_test",
+    object: "chat.completion",
+    choices: [{ index: 0, message: { role: "assistant", content: text }, finish_reason: "stop" }],
+    usage: { prompt_tokens: usage.input, completion_tokens: usage.output }
+  };
+}
+
+async function startMockModel() {
+  const queue = [];
+  const requests = [];
+  const timers = new Set();
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", () => {
+      let body = null;
+      try { body = JSON.parse(raw); } catch {}
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const endpoint = req.url === "/v1/responses" ? "responses" : req.url === "/v1/chat/completions" ? "chat" : null;
+      const next = endpoint && req.method === "POST" ? queue.shift() : { status: 404, body: { error: { message: "Not found" } } };
+      const reply = next || { status: 500, body: { error: { message: "No canned reply left in the mock server." } } };
+
+      let payload = reply.body;
+      if (reply.text !== undefined) {
+        payload = endpoint === "chat" ? chatBody(reply.text, reply.usage) : responsesBody(reply.text, reply.usage);
+      }
+      const send = () => {
+        if (res.destroyed) return;
+        res.writeHead(reply.status || 200, { "Content-Type": "application/json", ...reply.headers });
+        res.end(typeof payload === "string" ? payload : JSON.stringify(payload));
+      };
+      if (reply.delay) timers.add(setTimeout(send, reply.delay));
+      else send();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1`,
+    requests,
+    // A structured answer, e.g. { mappings: [...] }; text overrides the JSON (fences, junk...).
+    reply(result, { text, usage = { input: 100, output: 20 }, delay = 0 } = {}) {
+      queue.push({ text: text ?? JSON.stringify(result), usage, delay });
+    },
+    // An API error, e.g. 429 with { error: { message, type } } and a Retry-After header.
+    replyError(status, body, { headers = {}, delay = 0 } = {}) {
+      queue.push({ status, body, headers, delay });
+    },
+    // A 200 with any body (a string is sent as is).
+    replyRaw(body) {
+      queue.push({ body });
+    },
+    pending: () => queue.length,
+    close: () => new Promise((resolve) => {
+      for (const t of timers) clearTimeout(t);
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = { startMockModel };
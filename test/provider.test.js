@@ -0,0 +1,113 @@
+// Mapping requests against the mock model server: what is sent, how answers and API
+// errors come back, and what is recorded.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, fakeChrome, plain } = require("./harness");
+const { startMockModel } = require("./mockserver");
+
+const FIELDS = [
+  { selector: "#name", tag: "input", type: "text", name: "name", id: "name", label: "Full name" },
+  { selector: "#email", tag: "input", type: "email", name: "email", id: "email", label: "Email" }
+];
+const PAYLOAD = { pageUrl: "https://jobs.test/apply", fields: FIELDS, docText: "Ada Lovelace, ada@example.com" };
+
+let mock;
+test.before(async () => { mock = await startMockModel(); });
+test.after(() => mock.close());
+
+function loadMapping({ provider = "openai", local = {}, session = { apiKey: "sk-test" } } = {}) {
+  const chrome = fakeChrome({ local: { provider: { id: provider, baseUrl: mock.baseUrl, model: "gpt-4o-mini" }, ...local }, session });
+  return loadScripts(["providers.js", "usage.js", "mapping.js", "profiles.js", "redact.js"], { chrome });
+}
+
+const mapFields = (scripts, payload = PAYLOAD) => scripts.get("mapFieldsWithSelectedProvider")(payload).then(plain);
+
+test("Responses API: structured request with the key, mappings from output_text", async () => {
+  const scripts = loadMapping();
+  mock.reply({ mappings: [{ selector: "#name", kind: "text", value: "Ada Lovelace", confidence: 0.9, source: "CV" }] });
+
+  const res = await mapFields(scripts);
+
+  assert.deepEqual(res.mappings, [{ selector: "#name", kind: "text", value: "Ada Lovelace", confidence: 0.9, source: "CV" }]);
+  assert.equal(res.lowConfidence, 0);
+
+  const sent = mock.requests.at(-1);
+  assert.equal(sent.url, "/v1/responses");
+  assert.equal(sent.headers.authorization, "Bearer sk-test");
+  assert.equal(sent.body.model, "gpt-4o-mini");
+  assert.equal(sent.body.text.format.type, "json_schema");
+  assert.match(JSON.stringify(sent.body.input), /ada@example\.com/);
+  assert.match(res.audit.body, /#email/);
+});
+
+test("usage is added to the session and site totals", async () => {
+  const scripts = loadMapping();
+  mock.reply({ mappings: [] }, { usage: { input: 1000, output: 200 } });
+
+  await mapFields(scripts);
+
+  const { usage } = await scripts.chrome.storage.session.get(["usage"]);
+  assert.deepEqual([usage.requests, usage.input, usage.output], [1, 1000, 200]);
+  const { usageBySite } = await scripts.chrome.storage.local.get(["usageBySite"]);
+  assert.equal(usageBySite["https://jobs.test"].requests, 1);
+});
+
+test("Chat Completions: fenced JSON is accepted", async () => {
+  const scripts = loadMapping({ provider: "chat", session: {} });
+  mock.reply(null, { text: '```json\n{"mappings":[{"selector":"#email","kind":"text","value":"ada@example.com","confidence":1,"source":""}]}\n```' });
+
+  const res = await mapFields(scripts);
+
+  assert.equal(mock.requests.at(-1).url, "/v1/chat/completions");
+  assert.equal(mock.requests.at(-1).headers.authorization, undefined);
+  assert.deepEqual(res.mappings.map(m => m.value), ["ada@example.com"]);
+});
+
+test("an answer that is not JSON is an error", async () => {
+  const scripts = loadMapping();
+  mock.reply(null, { text: "Sorry, I can't help with that." });
+
+  await assert.rejects(mapFields(scripts), /Model returned non-JSON\./);
+});
+
+test("API errors carry the status and the provider's message", async () => {
+  // Retries are covered in jobs.test.js.
+  const scripts = loadMapping({ local: { requestSettings: { retries: 0 } } });
+  mock.replyError(429, { error: { message: "Rate limit reached", type: "rate_limit_exceeded" } });
+
+  await assert.rejects(mapFields(scripts), (err) => {
+    assert.match(err.message, /^OpenAI \(Responses API\) error 429: /);
+    assert.match(err.message, /Rate limit reached/);
+    return true;
+  });
+});
+
+test("no request is made without an API key", async () => {
+  const scripts = loadMapping({ session: {} });
+  const before = mock.requests.length;
+
+  await assert.rejects(mapFields(scripts), /API key not set/);
+  assert.equal(mock.requests.length, before);
+});
+
+test("mappings are cleaned up and those under the confidence threshold dropped", async () => {
+  const scripts = loadMapping({ local: { minConfidence: 0.5 } });
+  mock.reply({
+    mappings: [
+      { selector: "#name", kind: "text", value: "Ada", confidence: 3, source: "  CV  " },
+      { selector: "#email", kind: "text", value: "a@b.c", confidence: 0.2, source: "" },
+      { selector: "#phone", kind: "text", value: "555" },
+      { kind: "text", value: "no selector" },
+      { selector: "#city", kind: "text" }
+    ]
+  });
+
+  const res = await mapFields(scripts);
+
+  assert.deepEqual(res.mappings, [
+    { selector: "#name", kind: "text", value: "Ada", confidence: 1, source: "CV" },
+    { selector: "#phone", kind: "text", value: "555", confidence: null, source: "" }
+  ]);
+  assert.equal(res.lowConfidence, 1);
+});
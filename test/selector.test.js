@@ -0,0 +1,28 @@
+// Selectors from extraction must find their own element and nothing else, or the fill
+// writes to the wrong field: the model answers by selector.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture, fakeChrome } = require("./harness");
+
+const FIXTURES = ["radio-groups.html", "multi-select.html", "labelless.html", "nested-forms.html", "duplicate-names.html"];
+
+for (const fixture of FIXTURES) {
+  test(`${fixture}: every selector matches exactly one element`, async () => {
+    const page = loadPage(readFixture(fixture), { chrome: fakeChrome({ local: { skipUnrelatedFields: false } }) });
+    try {
+      const { fields } = await page.send({ type: "EXTRACT_FORM_FIELDS", probe: false });
+      assert.ok(fields.length > 0);
+
+      const elements = new Set();
+      for (const f of fields) {
+        const matches = page.document.querySelectorAll(f.selector);
+        assert.equal(matches.length, 1, `${f.selector} matches ${matches.length} elements`);
+        elements.add(matches[0]);
+      }
+      assert.equal(elements.size, fields.length, "two fields share an element");
+    } finally {
+      page.close();
+    }
+  });
+}
@@ -0,0 +1,45 @@
+// Per-site fill memory (sites.js): what an approved fill leaves in chrome.storage.local.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./harness");
+
+const TAB = { url: "https://jobs.test/apply", title: "Apply" };
+const FIELDS = [
+  { selector: "#name", tag: "input", type: "text", name: "name", label: "Full name" },
+  { selector: "#iban", tag: "input", type: "text", name: "iban", label: "Bank account" },
+  { selector: "#note", tag: "textarea", name: "note", label: "Payment note" },
+  { selector: "#terms", tag: "input", type: "checkbox", name: "terms", label: "I accept the terms", policy: "confirm" }
+];
+
+test("redacted values and sensitive fields never reach siteTemplates", async () => {
+  const scripts = loadScripts(["frames.js", "redact.js", "sites.js"]);
+  const vault = scripts.get("createRedactionVault")();
+  const iban = "GB82 WEST 1234 5698 7654 32";
+  // What the model saw, and what it answered with tokens.
+  const sent = scripts.get("redactText")(`Ada Lovelace, IBAN ${iban}`, scripts.get("DEFAULT_PRIVACY"), vault);
+  assert.doesNotMatch(sent, /GB82/);
+  const token = scripts.get("findRedactionTokens")(sent, vault)[0];
+
+  // The popup restores the tokens before filling; those are the mappings remembered.
+  const restore = (value) => scripts.get("restoreRedactions")(value, vault);
+  const mappings = [
+    { selector: "#name", kind: "text", value: "Ada Lovelace" },
+    { selector: "#iban", kind: "text", value: restore(token) },
+    { selector: "#note", kind: "text", value: restore(`Refund to ${token}`) },
+    { selector: "#terms", kind: "checkbox", value: "true", confirmed: true }
+  ];
+  assert.equal(mappings[1].value, iban);
+
+  await scripts.get("saveSiteTemplate")(TAB, FIELDS, mappings, vault);
+
+  const stored = scripts.chrome.storage.local.data.siteTemplates;
+  assert.doesNotMatch(JSON.stringify(stored), /GB82|WEST/);
+  const [template] = Object.values(stored["https://jobs.test"]);
+  assert.deepEqual(plain(template.mappings), [{ key: "#name|Full name", label: "Full name", kind: "text", value: "Ada Lovelace" }]);
+
+  // Left-out fields go to the model again on the next visit.
+  const replay = scripts.get("replaySiteTemplate")(template, FIELDS);
+  assert.deepEqual(plain(replay.mappings).map(m => m.selector), ["#name"]);
+  assert.deepEqual(plain(replay.newFields).map(f => f.selector), ["#iban", "#note", "#terms"]);
+});
@@ -0,0 +1,64 @@
+// Token and cost accounting for provider requests.
+// Loaded by the service worker (importScripts); prices come from providers.js.
+//
+// Before a fill, its requests are estimated from their text (about 4 characters per
+// token, plus a flat amount per image). After each request, the usage the API reports
+// is added to two running totals:
+// - this browser session: chrome.storage.session "usage"
+// - per site (origin): chrome.storage.local "usageBySite"
+// Each total is { requests, input, output, cost, unpriced, since }; unpriced counts
+// requests whose model has no known price, so their cost is missing from `cost`.
+
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 1000;
+
+function estimateTextTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+// USD for a request, or null when the model's price is unknown.
+function requestCost(price, input, output) {
+  return price ? (input * price.input + output * price.output) / 1e6 : null;
+}
+
+// Estimate for planned requests ({ system, prompt, schema, screenshotDataUrl, images, docs,
+// expectedOutput }): { requests, input, output, cost, uncountedFiles }.
+// Uploaded files are not counted: their size in tokens depends on the provider.
+function estimateRequests(provider, requests) {
+  let input = 0, output = 0, uncountedFiles = 0;
+  for (const r of requests) {
+    input += estimateTextTokens(r.system) + estimateTextTokens(r.prompt) + estimateTextTokens(JSON.stringify(r.schema));
+    input += IMAGE_TOKENS * [r.screenshotDataUrl, ...(r.images || [])].filter(Boolean).length;
+    output += r.expectedOutput || 0;
+    uncountedFiles += (r.docs || []).length;
+  }
+  return { requests: requests.length, input, output, cost: requestCost(provider.price, input, output), uncountedFiles };
+}
+
+function addUsage(total, usage, cost) {
+  const t = total || { requests: 0, input: 0, output: 0, cost: 0, unpriced: 0, since: new Date().toISOString() };
+  return {
+    ...t,
+    requests: t.requests + 1,
+    input: t.input + usage.input,
+    output: t.output + usage.output,
+    cost: t.cost + (cost ?? 0),
+    unpriced: t.unpriced + (cost === null ? 1 : 0)
+  };
+}
+
+// Add one response's usage to the session and site totals. Responses without usage
+// (some local servers) are not counted.
+async function recordUsage({ provider, pageUrl, usage }) {
+  if (!usage) return;
+  const cost = requestCost(provider.price, usage.input, usage.output);
+
+  const { usage: session } = await chrome.storage.session.get(["usage"]);
+  await chrome.storage.session.set({ usage: addUsage(session, usage, cost) });
+
+  let origin;
+  try { origin = new URL(pageUrl).origin; } catch { return; }
+  const { usageBySite = {} } = await chrome.storage.local.get(["usageBySite"]);
+  usageBySite[origin] = addUsage(usageBySite[origin], usage, cost);
+  await chrome.storage.local.set({ usageBySite });
+}
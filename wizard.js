@@ -0,0 +1,195 @@
+// Wizard mode: fill a multi-step / paginated form one step at a time.
+// Loaded by the service worker (importScripts); uses frames.js, fillhistory.js and mapping.js helpers.
+//
+// A wizard session belongs to a tab and is kept in chrome.storage.session under
+// "wizard:<tabId>", so it survives navigations and service-worker restarts but not a
+// browser restart:
+//   { sourceName, facts, doc, userRules, answers, step, filled, dismissed }
+// - facts: profile facts used for every step. When the wizard starts from a document,
+//   the first filled step also extracts the document's facts (same request), and the
+//   document is dropped from the session once they are known.
+// - doc: the document sources as sent by the popup, { docText, docFiles, images } (see ingest.js);
+//   docText is already redacted.
+//   Values the model returns as redaction tokens are not filled in wizard mode: the
+//   originals stay in the popup and there is no review step to allow them.
+// - answers: [{ question, value }] already entered, so repeated questions get the same answer.
+// - filled / dismissed: { url, keys } of the fields already handled, so a step is only
+//   offered again when new fields show up.
+// Moving on (Next / Submit) is always left to the user.
+
+const wizardKey = (tabId) => `wizard:${tabId}`;
+
+async function getWizard(tabId) {
+  const key = wizardKey(tabId);
+  const stored = await chrome.storage.session.get([key]);
+  return stored[key] || null;
+}
+
+async function saveWizard(tabId, wizard) {
+  await chrome.storage.session.set({ [wizardKey(tabId)]: wizard });
+}
+
+// Identity of a field within a step: the same selector can mean another question on another page.
+function wizardFieldKey(field) {
+  return `${field.selector}|${field.label || field.name || field.placeholder}`;
+}
+
+// Fields not yet filled (or dismissed) on this page. A new URL is a new step.
+function newWizardFields(wizard, url, fields) {
+  const handled = new Set();
+  for (const mark of [wizard.filled, wizard.dismissed]) {
+    if (mark?.url === url) for (const k of mark.keys) handled.add(k);
+  }
+  return fields.filter(f => !handled.has(wizardFieldKey(f)));
+}
+
+// Add fields to a { url, keys } mark, starting over when the page changed.
+function markWizardFields(mark, url, fields) {
+  const keys = new Set(mark?.url === url ? mark.keys : []);
+  for (const f of fields) keys.add(wizardFieldKey(f));
+  return { url, keys: Array.from(keys) };
+}
+
+function notifyWizardTab(tabId, msg) {
+  return chrome.tabs.sendMessage(tabId, msg, { frameId: 0 }).catch(() => null);
+}
+
+async function startWizard(tabId, { profile, docText, docFiles, images, sourceName, userRules }) {
+  if (!profile && !docText && !docFiles?.length && !images?.length) throw new Error("Select a document or a profile first.");
+  if (isBatchRunning(await getBatch(tabId))) throw new Error("Stop the batch fill in this tab first.");
+
+  try {
+    await saveWizard(tabId, {
+      sourceName: profile ? profile.name : (sourceName || "document"),
+      facts: profile?.facts || [],
+      doc: profile ? null : { docText, docFiles, images },
+      userRules: userRules || "",
+      answers: [],
+      step: 0,
+      filled: null,
+      dismissed: null
+    });
+  } catch {
+    // chrome.storage.session is capped (10 MB); the document has to fit for the first step.
+    throw new Error("Document too large for wizard mode. Save it as a profile and start from the profile.");
+  }
+
+  return checkWizardStep(tabId);
+}
+
+async function endWizard(tabId) {
+  await chrome.storage.session.remove(wizardKey(tabId));
+  await notifyWizardTab(tabId, { type: "WIZARD_ENDED" });
+  return { active: false };
+}
+
+async function getWizardStatus(tabId) {
+  const wizard = await getWizard(tabId);
+  return wizard
+    ? { active: true, step: wizard.step, sourceName: wizard.sourceName, answers: wizard.answers.length }
+    : { active: false };
+}
+
+// Look for fields that haven't been handled yet and, if there are any, offer the
+// next step in the page. Called by the content script on load and when the DOM changes.
+async function checkWizardStep(tabId) {
+  const wizard = await getWizard(tabId);
+  if (!wizard) return { active: false };
+
+  const tab = await chrome.tabs.get(tabId);
+  // No widget probing here: this runs on every DOM change and must not open dropdowns.
+  const fields = newWizardFields(wizard, tab.url, await extractFieldsFromAllFrames(tabId, { probe: false }));
+  if (!fields.length) return { active: true, offered: false };
+
+  await notifyWizardTab(tabId, { type: "WIZARD_OFFER_STEP", step: wizard.step + 1, fieldCount: fields.length });
+  return { active: true, offered: true };
+}
+
+async function dismissWizardStep(tabId) {
+  const wizard = await getWizard(tabId);
+  if (!wizard) return { active: false };
+
+  const tab = await chrome.tabs.get(tabId);
+  wizard.dismissed = markWizardFields(wizard.dismissed, tab.url, await extractFieldsFromAllFrames(tabId, { probe: false }));
+  await saveWizard(tabId, wizard);
+  return { active: true };
+}
+
+// Fill the current step: map the new fields from the session's facts (or, before the
+// facts are known, from the document) and apply the result straight to the page.
+async function fillWizardStep(tabId) {
+  const wizard = await getWizard(tabId);
+  if (!wizard) throw new Error("No wizard running in this tab.");
+
+  const tab = await chrome.tabs.get(tabId);
+  const fields = newWizardFields(wizard, tab.url, await extractFieldsFromAllFrames(tabId));
+  if (!fields.length) throw new Error("No new fields on this step.");
+
+  const useDoc = !wizard.facts.length && !!wizard.doc;
+  const res = await mapFieldsWithSelectedProvider({
+    pageUrl: tab.url,
+    fields,
+    userRules: wizard.userRules,
+    previousAnswers: wizard.answers,
+    ...(useDoc
+      ? { ...wizard.doc, extractProfile: true }
+      : { profile: { name: wizard.sourceName, facts: wizard.facts } })
+  });
+
+  if (res.profileFacts?.length) {
+    wizard.facts = res.profileFacts;
+    wizard.doc = null;
+  }
+
+  const mappings = res.mappings.filter(m => !new RegExp(REDACTION_TOKEN_RE.source).test(String(m.value)));
+  const fill = mappings.length
+    ? await applyWithCorrections(tabId, mappings, {
+      pageUrl: tab.url,
+      userRules: wizard.userRules,
+      previousAnswers: wizard.answers,
+      ...(wizard.doc ? wizard.doc : { profile: { name: wizard.sourceName, facts: wizard.facts } })
+    }, { leave: res.mappings.filter(m => !mappings.includes(m)).map(m => m.selector) })
+    : { updated: 0, rejected: 0, skipped: 0, lost: 0, results: [], corrected: 0, blocked: [], invalid: [] };
+  await recordFill({
+    tab,
+    mode: "wizard",
+    source: wizard.sourceName,
+    fields,
+    mappings,
+    fill,
+    correction: fill.correction || null,
+    skipped: res.mappings.filter(m => !mappings.includes(m)).map(m => ({ mapping: m, reason: "redacted" }))
+  });
+
+  // Remember what was entered, by question, for consistent answers on later steps.
+  const fieldBySelector = new Map(fields.map(f => [f.selector, f]));
+  const valueBySelector = new Map(mappings.map(m => [m.selector, m.value]));
+  for (const r of fill.results.filter(x => x.status === "updated")) {
+    const f = fieldBySelector.get(r.selector);
+    const question = f?.label || f?.placeholder || f?.name;
+    if (!question) continue;
+    wizard.answers = wizard.answers.filter(a => a.question !== question);
+    wizard.answers.push({ question, value: valueBySelector.get(r.selector) });
+  }
+
+  wizard.step++;
+  wizard.filled = markWizardFields(wizard.filled, tab.url, fields);
+  await saveWizard(tabId, wizard);
+
+  return {
+    step: wizard.step,
+    updated: fill.updated,
+    rejected: fill.rejected,
+    skipped: fill.skipped + res.mappings.length - mappings.length,
+    lost: fill.lost,
+    lowConfidence: res.lowConfidence || 0,
+    corrected: fill.corrected,
+    invalid: fill.invalid.length,
+    unconfirmed: fill.results.filter(r => r.policy === "confirm").length,
+    blocked: fill.blocked.length
+  };
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(wizardKey(tabId));
+});